@@ -0,0 +1,155 @@
+/* ----------------------
+   accounts.js - lightweight local accounts (DATA_DIR/accounts.json)
+   - username + password (scrypt, per-user salt) or password-less "magic token" accounts,
+     where the token handed out at sign-up is the only credential
+   - sessions are random bearer tokens; only their SHA-256 is stored, each expires after
+     SESSION_TTL_DAYS (default 90) without use
+   - account ids start with "acct_"; the anonymous x-user-id header only carries "g-" ids the
+     server signed, so it can never name an account (see requestUser in server.js)
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+const USERNAME = /^[a-z0-9][a-z0-9_.-]{2,31}$/;
+const MIN_PASSWORD = 8;
+
+export const ACCOUNT_PREFIX = "acct_";
+
+/**
+ * AccountError - a request the account store refuses (taken username, bad credentials...).
+ * `status` is the HTTP status the route should answer with.
+ */
+export class AccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "AccountError";
+    this.status = status;
+  }
+}
+
+function tokenHash(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+async function hashPassword(password, salt) {
+  return (await scrypt(password, salt, KEY_LENGTH)).toString("hex");
+}
+
+/* the account as clients see it */
+export function publicUser(user) {
+  if (!user) return null;
+  return { id: user.id, username: user.username, hasPassword: !!user.passwordHash, createdAt: user.createdAt };
+}
+
+/**
+ * createAccountStore({ dataDir, sessionTtlDays })
+ * - register({ username, password? }) -> { user, token }  (no password = magic token account)
+ * - login({ username, password }) -> { user, token }
+ * - authenticate(token) -> user | null, issueToken(userId, label) -> token, revoke(token)
+ */
+export function createAccountStore({ dataDir, sessionTtlDays = 90 }) {
+  const storePath = path.join(dataDir, "accounts.json");
+  const ttlMs = sessionTtlDays * 24 * 3600 * 1000;
+  let state = null; // { users: { [id]: user }, sessions: { [sha256(token)]: session } }
+
+  function load() {
+    if (state) return state;
+    try {
+      state = JSON.parse(fs.readFileSync(storePath, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn("accounts.json unreadable, starting fresh:", e?.message || e);
+      state = {};
+    }
+    state.users = state.users || {};
+    state.sessions = state.sessions || {};
+    return state;
+  }
+
+  function save() {
+    fs.writeFileSync(storePath + ".tmp", JSON.stringify(state, null, 2), "utf8");
+    fs.renameSync(storePath + ".tmp", storePath);
+  }
+
+  function findByUsername(username) {
+    return Object.values(load().users).find(u => u.username === username) || null;
+  }
+
+  function issueToken(userId, label = "") {
+    load();
+    const token = crypto.randomBytes(32).toString("base64url");
+    const now = new Date().toISOString();
+    state.sessions[tokenHash(token)] = { userId, label, createdAt: now, lastUsedAt: now };
+    save();
+    return token;
+  }
+
+  async function register({ username, password } = {}) {
+    username = String(username || "").trim().toLowerCase();
+    if (!USERNAME.test(username)) throw new AccountError("username must be 3-32 characters: letters, digits, '.', '_' or '-'");
+    if (password !== undefined && password !== null && password !== "" && String(password).length < MIN_PASSWORD) {
+      throw new AccountError(`password must be at least ${MIN_PASSWORD} characters`);
+    }
+    if (findByUsername(username)) throw new AccountError("username is taken", 409);
+    const user = {
+      id: `${ACCOUNT_PREFIX}${Date.now()}-${crypto.randomBytes(4).toString("hex")}`,
+      username,
+      salt: null,
+      passwordHash: null,
+      createdAt: new Date().toISOString()
+    };
+    if (password) {
+      user.salt = crypto.randomBytes(16).toString("hex");
+      user.passwordHash = await hashPassword(String(password), user.salt);
+    }
+    state.users[user.id] = user;
+    save();
+    return { user, token: issueToken(user.id, password ? "password" : "magic") };
+  }
+
+  async function login({ username, password } = {}) {
+    const user = findByUsername(String(username || "").trim().toLowerCase());
+    // hash anyway so unknown usernames take as long as wrong passwords
+    const salt = user?.salt || "0".repeat(32);
+    const hash = await hashPassword(String(password || ""), salt);
+    if (!user || !user.passwordHash || !crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(user.passwordHash, "hex"))) {
+      throw new AccountError("invalid username or password", 401);
+    }
+    return { user, token: issueToken(user.id, "password") };
+  }
+
+  function authenticate(token) {
+    if (!token) return null;
+    load();
+    const key = tokenHash(token);
+    const session = state.sessions[key];
+    if (!session) return null;
+    const user = state.users[session.userId];
+    if (!user || Date.now() - Date.parse(session.lastUsedAt) > ttlMs) {
+      delete state.sessions[key];
+      save();
+      return null;
+    }
+    // persist last use at most hourly - every request would otherwise rewrite the file
+    if (Date.now() - Date.parse(session.lastUsedAt) > 3600 * 1000) {
+      session.lastUsedAt = new Date().toISOString();
+      save();
+    }
+    return user;
+  }
+
+  function revoke(token) {
+    load();
+    const key = tokenHash(token);
+    if (!state.sessions[key]) return false;
+    delete state.sessions[key];
+    save();
+    return true;
+  }
+
+  return { register, login, authenticate, issueToken, revoke };
+}
@@ -0,0 +1,245 @@
+/* ----------------------
+   blobs.js - content-addressed upload storage with per-user / per-conversation references
+   - each distinct upload is stored once as UPLOAD_DIR/<sha256><ext>; its .meta.json / .index.json
+     sit next to it as before, so everything keyed by the stored filename keeps working
+   - every upload (re-uploads of the same bytes included) records a reference
+     { id, filename, sha256, userId, conversationId, originalName, createdAt } in DATA_DIR/file-refs.json
+   - removing the last reference of a blob deletes the blob and the files derived from it, unless
+     the blob is held: by an upload between adopt() and its addRef(), or by the job processing
+     it (hold() / release()); the last release() of an unreferenced blob deletes it then.
+     Each decision runs synchronously after hashing, so it is atomic per blob
+   - legacy (timestamp-named) uploads can be folded in with importLegacy(); their old names stay
+     usable through resolve()
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/* files derived from a stored upload (see server.js / retrieval.js) */
+const DERIVED_SUFFIXES = [".meta.json", ".index.json", ".vectors.json"];
+const BLOB_NAME = /^[0-9a-f]{64}(\.[a-z0-9]{1,8})?$/;
+
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const h = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", d => h.update(d))
+      .on("error", reject)
+      .on("end", () => resolve(h.digest("hex")));
+  });
+}
+
+function blobName(sha256, originalName) {
+  const ext = path.extname(originalName || "").toLowerCase();
+  return /^\.[a-z0-9]{1,8}$/.test(ext) ? `${sha256}${ext}` : sha256;
+}
+
+export function isBlobName(name) {
+  return BLOB_NAME.test(String(name || ""));
+}
+
+/**
+ * createBlobStore({ uploadDir, dataDir })
+ * - adopt(tmpPath, originalName) -> { sha256, filename, path, existed }; the blob is held until
+ *   release(filename), so the caller can add its reference (or give up) without racing removeRef()
+ * - addRef({ filename, sha256, userId, conversationId, originalName }) -> ref
+ * - getRef(id), listRefs(filter), refsFor(filename), updateRef(id, patch), removeRef(id) -> { ref, freed }
+ *   (freed: that was the last reference; the blob goes now, or with its last hold)
+ * - hold(filename), release(filename) -> true if that deleted the blob, held(filename)
+ * - reassignUser(fromUserId, toUserId) -> number of references moved
+ * - resolve(name) -> stored filename (follows legacy aliases), importLegacy()
+ */
+export function createBlobStore({ uploadDir, dataDir }) {
+  const refsPath = path.join(dataDir, "file-refs.json");
+  let state = null; // { refs: { [id]: ref }, aliases: { [legacyName]: blobName } }
+  const holds = new Map(); // filename -> number of holders (in memory: uploads and jobs in flight)
+
+  function load() {
+    if (state) return state;
+    try {
+      state = JSON.parse(fs.readFileSync(refsPath, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn("file-refs.json unreadable, starting fresh:", e?.message || e);
+      state = {};
+    }
+    state.refs = state.refs || {};
+    state.aliases = state.aliases || {};
+    return state;
+  }
+
+  function save() {
+    fs.writeFileSync(refsPath + ".tmp", JSON.stringify(state, null, 2), "utf8");
+    fs.renameSync(refsPath + ".tmp", refsPath);
+  }
+
+  /* move a freshly written upload to its content address (or drop it if that blob exists) */
+  async function adopt(tmpPath, originalName) {
+    const sha256 = await hashFile(tmpPath);
+    const filename = blobName(sha256, originalName);
+    const target = path.join(uploadDir, filename);
+    const existed = fs.existsSync(target);
+    if (existed) fs.unlinkSync(tmpPath);
+    else fs.renameSync(tmpPath, target);
+    hold(filename);
+    return { sha256, filename, path: target, existed };
+  }
+
+  function hold(filename) {
+    holds.set(filename, (holds.get(filename) || 0) + 1);
+  }
+
+  function held(filename) {
+    return holds.has(filename);
+  }
+
+  function release(filename) {
+    const n = (holds.get(filename) || 0) - 1;
+    if (n > 0) {
+      holds.set(filename, n);
+      return false;
+    }
+    holds.delete(filename);
+    load();
+    if (Object.values(state.refs).some(r => r.filename === filename)) return false;
+    deleteBlob(filename);
+    save();
+    return true;
+  }
+
+  function addRef({ filename, sha256, userId = "anonymous", conversationId = null, originalName = "" }) {
+    load();
+    const ref = {
+      id: `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`,
+      filename,
+      sha256,
+      userId,
+      conversationId,
+      originalName,
+      createdAt: new Date().toISOString()
+    };
+    state.refs[ref.id] = ref;
+    save();
+    return ref;
+  }
+
+  function getRef(id) {
+    return load().refs[id] || null;
+  }
+
+  /* filter: { userId, conversationId, filename } (undefined keys are ignored) */
+  function listRefs(filter = {}) {
+    return Object.values(load().refs)
+      .filter(r => Object.entries(filter).every(([k, v]) => v === undefined || r[k] === v))
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  function refsFor(filename) {
+    return listRefs({ filename });
+  }
+
+  /* library fields only (title, tags, subject); the content a ref points at never changes */
+  function updateRef(id, patch) {
+    load();
+    const ref = state.refs[id];
+    if (!ref) return null;
+    for (const key of ["title", "tags", "subject"]) {
+      if (patch[key] !== undefined) ref[key] = patch[key];
+    }
+    ref.updatedAt = new Date().toISOString();
+    save();
+    return ref;
+  }
+
+  function deleteBlob(filename) {
+    for (const suffix of ["", ...DERIVED_SUFFIXES]) {
+      const p = path.join(uploadDir, filename + suffix);
+      try {
+        if (fs.existsSync(p)) fs.unlinkSync(p);
+      } catch (e) {
+        console.warn(`Could not delete ${p}:`, e?.message || e);
+      }
+    }
+    for (const [legacy, target] of Object.entries(state.aliases)) {
+      if (target === filename) delete state.aliases[legacy];
+    }
+  }
+
+  function removeRef(id) {
+    load();
+    const ref = state.refs[id];
+    if (!ref) return null;
+    delete state.refs[id];
+    const freed = !Object.values(state.refs).some(r => r.filename === ref.filename);
+    if (freed && !held(ref.filename)) deleteBlob(ref.filename);
+    save();
+    return { ref, freed };
+  }
+
+  /* an anonymous browser id's uploads become the signed-in account's */
+  function reassignUser(fromUserId, toUserId) {
+    load();
+    let moved = 0;
+    for (const ref of Object.values(state.refs)) {
+      if (ref.userId === fromUserId) {
+        ref.userId = toUserId;
+        moved += 1;
+      }
+    }
+    if (moved) save();
+    return moved;
+  }
+
+  function resolve(name) {
+    return load().aliases[name] || name;
+  }
+
+  /**
+   * importLegacy()
+   * - folds timestamp-named uploads (with a .meta.json) into blobs; duplicates collapse into one blob
+   *   (the first meta found is kept), each legacy upload becomes an 'anonymous' reference and its
+   *   old name an alias
+   * - returns { imported, duplicates, missing }
+   */
+  async function importLegacy() {
+    load();
+    const summary = { imported: 0, duplicates: 0, missing: 0 };
+    const metas = fs.readdirSync(uploadDir).filter(n => n.endsWith(".meta.json")).sort();
+    for (const metaName of metas) {
+      const legacyName = metaName.slice(0, -".meta.json".length);
+      if (isBlobName(legacyName)) continue;
+      const legacyPath = path.join(uploadDir, legacyName);
+      if (!fs.existsSync(legacyPath)) {
+        summary.missing += 1;
+        continue;
+      }
+      let meta;
+      try {
+        meta = JSON.parse(fs.readFileSync(path.join(uploadDir, metaName), "utf8"));
+      } catch (e) {
+        console.warn(`Skipping ${metaName}:`, e?.message || e);
+        continue;
+      }
+      const blob = await adopt(legacyPath, meta.originalName || legacyName);
+      const blobMeta = path.join(uploadDir, `${blob.filename}.meta.json`);
+      if (fs.existsSync(blobMeta)) {
+        summary.duplicates += 1;
+      } else {
+        fs.writeFileSync(blobMeta, JSON.stringify({ ...meta, filename: blob.filename, path: blob.path.split(path.sep).join("/"), sha256: blob.sha256 }, null, 2), "utf8");
+        summary.imported += 1;
+      }
+      // the legacy meta and any index built for the old name are superseded by the blob's
+      for (const suffix of DERIVED_SUFFIXES) {
+        const p = path.join(uploadDir, legacyName + suffix);
+        if (fs.existsSync(p)) fs.unlinkSync(p);
+      }
+      state.aliases[legacyName] = blob.filename;
+      addRef({ filename: blob.filename, sha256: blob.sha256, originalName: meta.originalName || legacyName });
+      release(blob.filename);
+    }
+    save();
+    return summary;
+  }
+
+  return { adopt, addRef, getRef, listRefs, refsFor, updateRef, removeRef, hold, release, held, reassignUser, resolve, importLegacy };
+}
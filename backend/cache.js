@@ -0,0 +1,170 @@
+/* ----------------------
+   cache.js - response cache for identical AI requests (in front of getChatResponse)
+   - key: SHA-256 of the endpoint, provider, model, sampling params (max_tokens, temperature)
+     and the exact messages sent (system prompt, history and the final wrapped prompt)
+   - two tiers: an in-memory LRU (RESPONSE_CACHE_ENTRIES, default 500) over one JSON file per
+     entry in DATA_DIR/response-cache/ (RESPONSE_CACHE_DISK_ENTRIES, default 5000), so hits
+     survive restarts
+   - TTL per endpoint (DEFAULT_TTLS, overridden by RESPONSE_CACHE_TTLS='{"planner":3600}',
+     seconds); endpoints without a TTL are not cached. RESPONSE_CACHE=off disables it all
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+/* seconds; generators that should vary between calls (quizzes, flashcards) or depend on
+   uploaded content (upload analysis, OCR, assignment checks) stay uncached */
+export const DEFAULT_TTLS = {
+  syllabus: 7 * DAY,
+  "topic-map": 7 * DAY,
+  planner: DAY,
+  "summarize-chat": DAY,
+  "history-summary": DAY,
+  "voice-evaluate": DAY,
+  "voice-hints": DAY,
+  "file-qa": HOUR,
+  ai: HOUR
+};
+
+function parseTtls(raw) {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return Object.fromEntries(Object.entries(parsed).filter(([, v]) => Number.isFinite(Number(v))).map(([k, v]) => [k, Number(v)]));
+  } catch (e) {
+    console.warn("RESPONSE_CACHE_TTLS is not valid JSON, ignoring:", e?.message || e);
+    return {};
+  }
+}
+
+/* the cache key for one chat request */
+export function cacheKey({ endpoint, provider, model, messages, max_tokens, temperature }) {
+  const material = JSON.stringify({ endpoint, provider, model, max_tokens, temperature, messages: messages.map(m => [m.role, m.content]) });
+  return crypto.createHash("sha256").update(material).digest("hex");
+}
+
+/**
+ * createResponseCache({ dataDir, env })
+ * - ttlFor(endpoint) -> seconds (0 = not cached)
+ * - get(key) -> stored value or null (expired entries are dropped); set(key, value, { endpoint })
+ * - forget(key), clear(), stats() -> { enabled, memoryEntries, diskEntries, hits, misses, ... }
+ */
+export function createResponseCache({ dataDir, env = process.env }) {
+  const enabled = !/^(0|off|false|no)$/i.test(String(env.RESPONSE_CACHE || "on"));
+  const maxMemory = Number(env.RESPONSE_CACHE_ENTRIES) || 500;
+  const maxDisk = Number(env.RESPONSE_CACHE_DISK_ENTRIES) || 5000;
+  const ttls = { ...DEFAULT_TTLS, ...parseTtls(env.RESPONSE_CACHE_TTLS) };
+  const dir = path.join(dataDir, "response-cache");
+  if (enabled && !fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const memory = new Map(); // key -> entry, oldest use first
+  const counters = { hits: 0, misses: 0, memoryHits: 0, diskHits: 0, writes: 0 };
+  let writesSincePrune = 0;
+
+  const fileOf = key => path.join(dir, `${key}.json`);
+
+  function ttlFor(endpoint) {
+    return enabled ? Math.max(0, ttls[endpoint || "ai"] || 0) : 0;
+  }
+
+  function remember(key, entry) {
+    memory.delete(key);
+    memory.set(key, entry);
+    while (memory.size > maxMemory) memory.delete(memory.keys().next().value);
+  }
+
+  function get(key) {
+    if (!enabled) return null;
+    let entry = memory.get(key);
+    let tier = "memory";
+    if (!entry) {
+      tier = "disk";
+      try {
+        entry = JSON.parse(fs.readFileSync(fileOf(key), "utf8"));
+      } catch {
+        entry = null;
+      }
+    }
+    if (entry && entry.expiresAt <= Date.now()) {
+      forget(key);
+      entry = null;
+    }
+    if (!entry) {
+      counters.misses += 1;
+      return null;
+    }
+    remember(key, entry);
+    counters.hits += 1;
+    counters[tier === "memory" ? "memoryHits" : "diskHits"] += 1;
+    return entry.value;
+  }
+
+  function set(key, value, { endpoint } = {}) {
+    const ttl = ttlFor(endpoint);
+    if (!ttl) return;
+    const entry = { endpoint, createdAt: Date.now(), expiresAt: Date.now() + ttl * 1000, value };
+    remember(key, entry);
+    counters.writes += 1;
+    try {
+      fs.writeFileSync(fileOf(key) + ".tmp", JSON.stringify(entry), "utf8");
+      fs.renameSync(fileOf(key) + ".tmp", fileOf(key));
+    } catch (e) {
+      console.warn("Response cache write failed:", e?.message || e);
+    }
+    if (++writesSincePrune >= 100) prune();
+  }
+
+  function forget(key) {
+    memory.delete(key);
+    try {
+      fs.unlinkSync(fileOf(key));
+    } catch {
+      // not on disk
+    }
+  }
+
+  /* drop expired files, then the oldest ones beyond RESPONSE_CACHE_DISK_ENTRIES */
+  function prune() {
+    writesSincePrune = 0;
+    if (!enabled) return 0;
+    const now = Date.now();
+    let removed = 0;
+    const kept = [];
+    for (const name of fs.readdirSync(dir).filter(n => n.endsWith(".json"))) {
+      const p = path.join(dir, name);
+      try {
+        const { expiresAt, createdAt } = JSON.parse(fs.readFileSync(p, "utf8"));
+        if (expiresAt <= now) {
+          fs.unlinkSync(p);
+          removed += 1;
+        } else kept.push({ p, createdAt });
+      } catch {
+        fs.rmSync(p, { force: true });
+        removed += 1;
+      }
+    }
+    kept.sort((a, b) => a.createdAt - b.createdAt);
+    for (const { p } of kept.slice(0, Math.max(0, kept.length - maxDisk))) {
+      fs.rmSync(p, { force: true });
+      removed += 1;
+    }
+    return removed;
+  }
+
+  function clear() {
+    memory.clear();
+    if (enabled) for (const name of fs.readdirSync(dir)) fs.rmSync(path.join(dir, name), { force: true });
+  }
+
+  function stats() {
+    const diskEntries = enabled ? fs.readdirSync(dir).filter(n => n.endsWith(".json")).length : 0;
+    return { enabled, memoryEntries: memory.size, diskEntries, ttls: enabled ? ttls : {}, ...counters };
+  }
+
+  if (enabled) prune();
+  return { enabled, ttlFor, get, set, forget, prune, clear, stats };
+}
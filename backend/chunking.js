@@ -0,0 +1,299 @@
+/* ----------------------
+   chunking.js - page- and section-aware chunking of extracted text
+   - PDFs: per-page lines (with font size) are collected through pdf-parse's pagerender hook
+   - headings / chapters are detected from numbering patterns, ALL CAPS lines and larger fonts
+   - short lines are merged into paragraph-sized windows (with overlap inside a section), so
+     "1996" or "SunSoft Press" no longer become chunks of their own
+   - every chunk records the page it starts on and the section title it belongs to
+   ---------------------- */
+
+export const CHUNKING_VERSION = 2;
+const TARGET_CHARS = 900;
+const MAX_CHARS = 1400;
+const OVERLAP_CHARS = 150;
+
+/**
+ * extractPdfPages(buffer, pdfParse)
+ * - returns { text, pages: [{ page, view, lines: [{ text, size }] }], numPages } (view = page box in points)
+ * - mirrors pdf-parse's default page renderer (new line whenever the baseline moves) but keeps
+ *   the page boundaries and the font height of each line
+ */
+export async function extractPdfPages(buffer, pdfParse) {
+  const pages = [];
+  let counter = 0;
+  const pagerender = async (pageData) => {
+    counter += 1;
+    const pageNo = pageData.pageNumber || pageData.pageIndex + 1 || counter;
+    const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    const lines = [];
+    let lastY = null;
+    let current = null;
+    for (const item of content.items) {
+      const y = item.transform ? item.transform[5] : null;
+      const size = item.transform ? Math.abs(item.transform[3]) || item.height || 0 : item.height || 0;
+      if (current && (lastY === y || lastY === null)) {
+        current.text += item.str;
+        current.size = Math.max(current.size, size);
+      } else {
+        current = { text: item.str, size };
+        lines.push(current);
+      }
+      lastY = y;
+    }
+    pages.push({ page: pageNo, view: pageData.view || null, lines: lines.map(l => ({ text: l.text.replace(/\s+/g, " ").trim(), size: l.size })).filter(l => l.text) });
+    return lines.map(l => l.text).join("\n");
+  };
+  const data = await pdfParse(buffer, { pagerender });
+  pages.sort((a, b) => a.page - b.page);
+  return { text: data?.text || "", pages, numPages: data?.numpages || pages.length };
+}
+
+/* plain text (txt/md/OCR output) -> a single "page" without a page number */
+export function textToPages(text) {
+  const lines = String(text || "").split(/\r?\n/).map(l => ({ text: l.replace(/\s+/g, " ").trim(), size: 0 }));
+  return [{ page: null, lines }];
+}
+
+/* ----------------------
+   Heading detection
+   ---------------------- */
+
+function median(nums) {
+  const s = nums.filter(n => n > 0).sort((a, b) => a - b);
+  if (!s.length) return 0;
+  return s[Math.floor(s.length / 2)];
+}
+
+/* "4 Modules and Ports 47" / "Introduction ........ 3" */
+function isTocLine(text) {
+  return /\.{4,}\s*\d+$/.test(text) || /^(chapter\s+)?\d+(\.\d+)*\s+\S.*\s\d{1,4}$/i.test(text);
+}
+
+/**
+ * classifyHeading(line, bodySize)
+ * - returns null or { level: 1 (chapter) | 2 (section), title }
+ */
+function classifyHeading(line, bodySize, { markdown = false } = {}) {
+  const text = line.text;
+  if (!text || text.length > 90 || isTocLine(text)) return null;
+  if (/[.,;:]$/.test(text) && !/^chapter\b/i.test(text)) return null;
+  // code / identifiers ("4 CARD32 ALIAS_LIST_OFFSET", "assign y = a & b;")
+  if (/[_{}<>=;@]/.test(text) || /\b[A-Z]+\d+\b/.test(text)) return null;
+
+  let m = text.match(/^chapter\s+(\d+|[ivxlc]+)\b[\s:.-]*(.*)$/i);
+  if (m) return { level: 1, title: m[2] ? `Chapter ${m[1]}: ${m[2]}` : `Chapter ${m[1]}` };
+  if (markdown && /^#\s+\S/.test(text)) return { level: 1, title: text.replace(/^#\s+/, "") };
+  if (markdown && /^#{2,6}\s+\S/.test(text)) return { level: 2, title: text.replace(/^#+\s+/, "") };
+
+  // "4.2 Ports" / "4 Modules and Ports" (numbered heading, capitalised title, few words)
+  m = text.match(/^(\d+(?:\.\d+){0,3})\.?\s+([A-Z][^]*)$/);
+  if (m && m[2].split(/\s+/).length <= 10 && !/\d{3,}$/.test(m[2])) {
+    return { level: m[1].includes(".") ? 2 : 1, title: `${m[1]} ${m[2]}` };
+  }
+
+  const words = text.split(/\s+/);
+  const letters = text.replace(/[^A-Za-z]/g, "");
+  // short ALL CAPS line
+  if (letters.length >= 4 && words.length <= 8 && text === text.toUpperCase() && /[A-Z]/.test(text)) {
+    return { level: 2, title: text.replace(/\b([A-Z])([A-Z]+)\b/g, (_, a, b) => a + b.toLowerCase()) };
+  }
+  // noticeably larger font than the body text
+  if (bodySize && line.size >= bodySize * 1.25 && words.length <= 12 && letters.length >= 3) {
+    return { level: 2, title: text };
+  }
+  return null;
+}
+
+/* ----------------------
+   Chunking
+   ---------------------- */
+
+/**
+ * stripRunningLines(pages)
+ * - drops running headers/footers and bare page numbers: lines near the top or bottom of a page
+ *   that repeat (digits ignored) on at least 40% of the pages
+ */
+function stripRunningLines(pages) {
+  const numbered = pages.filter(p => p.page !== null);
+  if (numbered.length < 3) return pages;
+  const key = text => text.toLowerCase().replace(/\d+/g, "#");
+  const edge = lines => [...lines.slice(0, 2), ...lines.slice(-2)];
+  const counts = new Map();
+  for (const p of numbered) {
+    for (const k of new Set(edge(p.lines).map(l => key(l.text)))) counts.set(k, (counts.get(k) || 0) + 1);
+  }
+  const running = new Set([...counts].filter(([, n]) => n >= numbered.length * 0.4).map(([k]) => k));
+  return pages.map(p => {
+    if (p.page === null) return p;
+    const last = p.lines.length - 1;
+    const lines = p.lines.filter((l, i) => {
+      if (i >= 2 && i <= last - 2) return true;
+      if (/^\d{1,4}$/.test(l.text)) return false;
+      return !running.has(key(l.text));
+    });
+    return { ...p, lines };
+  });
+}
+
+/* tail of a window, starting at a sentence (or word) boundary, carried into the next window */
+function overlapTail(text, chars) {
+  if (text.length <= chars) return text;
+  const tail = text.slice(text.length - chars);
+  const sentence = tail.search(/[.!?]\s+[A-Z]/);
+  if (sentence !== -1) return tail.slice(sentence + 2);
+  const space = tail.indexOf(" ");
+  return space !== -1 ? tail.slice(space + 1) : tail;
+}
+
+/**
+ * chunkPages(pages, { idPrefix, targetChars, overlapChars })
+ * - returns { chunks: [{ id, text, page, pageEnd?, section, chapter }], outline: [{ level, title, page }] }
+ */
+export function chunkPages(pages, opts = {}) {
+  const idPrefix = opts.idPrefix || String(Date.now());
+  const target = opts.targetChars || TARGET_CHARS;
+  const overlap = opts.overlapChars ?? OVERLAP_CHARS;
+  pages = stripRunningLines(pages);
+  const bodySize = median(pages.flatMap(p => p.lines.map(l => l.size)));
+
+  const chunks = [];
+  const outline = [];
+  let chapter = null;
+  let section = null;
+  let win = null; // { parts: [], page, pageEnd, section, chapter, carried, headingsOnly }
+  let chunkId = 0;
+
+  const flush = ({ keepOverlap }) => {
+    if (!win) return;
+    const text = win.parts.join("\n").replace(/[ \t]+/g, " ").trim();
+    // a window that only holds carried-over text from the previous chunk adds nothing new
+    if (text && text.length > (win.carried || 0)) {
+      const chunk = { id: `${idPrefix}_${chunkId++}`, text, page: win.page, section: win.section || win.chapter || null, chapter: win.chapter || null };
+      if (win.pageEnd !== null && win.pageEnd !== win.page) chunk.pageEnd = win.pageEnd;
+      chunks.push(chunk);
+    }
+    const tail = keepOverlap && overlap > 0 && text ? overlapTail(text, overlap) : "";
+    win = tail ? { parts: [tail], page: win.pageEnd, pageEnd: win.pageEnd, section: win.section, chapter: win.chapter, carried: tail.length, headingsOnly: false } : null;
+  };
+
+  const add = (para, page, { heading = false } = {}) => {
+    if (!win) win = { parts: [], page, pageEnd: page, section, chapter, carried: 0, headingsOnly: true };
+    if (!heading) win.headingsOnly = false;
+    win.parts.push(para);
+    win.pageEnd = page;
+    const len = win.parts.reduce((n, p) => n + p.length + 1, 0);
+    if (len >= target) flush({ keepOverlap: true });
+  };
+
+  for (const { page, lines } of pages) {
+    const markdown = page === null;
+    let para = "";
+    const endParagraph = () => {
+      if (!para) return;
+      // very long paragraphs (OCR output without line breaks) are split on sentence boundaries
+      while (para.length > MAX_CHARS) {
+        let cut = para.lastIndexOf(". ", target);
+        if (cut < target / 2) cut = para.lastIndexOf(" ", target);
+        if (cut <= 0) cut = target;
+        add(para.slice(0, cut + 1).trim(), page);
+        para = para.slice(cut + 1).trim();
+      }
+      if (para) add(para, page);
+      para = "";
+    };
+
+    for (const line of lines) {
+      const text = line.text;
+      if (!text) { endParagraph(); continue; }
+      if (isTocLine(text)) { endParagraph(); add(text, page); continue; }
+
+      const heading = classifyHeading(line, bodySize, { markdown });
+      if (heading) {
+        endParagraph();
+        if (heading.level === 1) { chapter = heading.title; section = heading.title; }
+        else section = heading.title;
+        outline.push({ level: heading.level, title: heading.title, page });
+        // a new section starts a new window (no overlap across sections); consecutive headings
+        // ("1 Introduction" / "1.1 Version") share one window labelled with the innermost one
+        if (win && win.headingsOnly && !win.carried) {
+          win.section = section;
+          win.chapter = chapter;
+        } else {
+          flush({ keepOverlap: false });
+        }
+        add(text, page, { heading: true });
+        continue;
+      }
+      // join wrapped lines; undo end-of-line hyphenation
+      if (para.endsWith("-") && /^[a-z]/.test(text)) para = para.slice(0, -1) + text;
+      else para = para ? `${para} ${text}` : text;
+      if (/[.!?:]$/.test(text) && para.length > target / 3) endParagraph();
+    }
+    endParagraph();
+    // keep windows within a page unless the page ended with only a fragment
+    if (win && win.parts.reduce((n, p) => n + p.length, 0) >= target / 4) flush({ keepOverlap: true });
+  }
+  flush({ keepOverlap: false });
+  return { chunks, outline };
+}
+
+/**
+ * citationLabel(chunk) -> "p. 47, Modules and Ports" (parts omitted when unknown)
+ */
+export function citationLabel(chunk) {
+  if (!chunk) return "";
+  const parts = [];
+  if (chunk.page) parts.push(chunk.pageEnd && chunk.pageEnd !== chunk.page ? `pp. ${chunk.page}-${chunk.pageEnd}` : `p. ${chunk.page}`);
+  const title = chunk.section ? String(chunk.section).replace(/^\d+(\.\d+)*\s+/, "") : "";
+  if (title) parts.push(title);
+  return parts.join(", ");
+}
+
+/**
+ * selectChunks(chunks, { pageFrom, pageTo, chapter })
+ * - chunks overlapping pages pageFrom..pageTo (pageTo defaults to pageFrom) and/or inside a chapter;
+ *   chapter matches the chunk's chapter title ("Modules and Ports"), its number ("3" -> "3 Modules...",
+ *   "Chapter 3") or, from 4 characters on, part of the title
+ */
+export function selectChunks(chunks, { pageFrom = null, pageTo = null, chapter = null } = {}) {
+  const from = Number(pageFrom) || null;
+  const to = Number(pageTo) || from;
+  const wanted = chapter !== null && chapter !== undefined ? String(chapter).trim().toLowerCase() : "";
+  const inChapter = (c) => {
+    const title = String(c.chapter || c.section || "").toLowerCase();
+    if (!title) return false;
+    return title === wanted || title.startsWith(`${wanted} `) || title.startsWith(`${wanted}.`) ||
+      title.startsWith(`chapter ${wanted}`) || (wanted.length >= 4 && title.includes(wanted));
+  };
+  return chunks.filter(c => {
+    if (from && !(c.page && (c.pageEnd || c.page) >= Math.min(from, to) && c.page <= Math.max(from, to))) return false;
+    return !wanted || inChapter(c);
+  });
+}
+
+/* deterministic 0..1 generator for a number or string seed (FNV-1a hash + mulberry32) */
+export function seededRandom(seed) {
+  let h = 2166136261;
+  for (const ch of String(seed)) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+  return () => {
+    h = (h + 0x6d2b79f5) | 0;
+    let t = Math.imul(h ^ (h >>> 15), 1 | h);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * sampleChunks(chunks, count, seed)
+ * - `count` chunks spread evenly over the list: one random chunk (per the seed) from each of
+ *   `count` equal slices, in document order
+ */
+export function sampleChunks(chunks, count, seed = 0) {
+  if (chunks.length <= count) return chunks.slice();
+  const rand = seededRandom(seed);
+  return Array.from({ length: count }, (_, i) => {
+    const start = Math.floor(i * chunks.length / count);
+    const end = Math.floor((i + 1) * chunks.length / count);
+    return chunks[start + Math.floor(rand() * (end - start))];
+  });
+}
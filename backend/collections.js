@@ -0,0 +1,115 @@
+/* ----------------------
+   collections.js - named, per-user sets of library documents (DATA_DIR/collections.json)
+   - a collection lists upload reference ids (see blobs.js), e.g. textbook + slides + screenshots
+     for one subject, so /api/file-qa can retrieve across all of them at once
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * createCollectionStore({ dataDir })
+ * - list(userId), get(id), create({ userId, name, description, fileIds }), update(id, patch),
+ *   remove(id), removeFile(fileId) (drops a deleted document from every collection),
+ *   reassignUser(fromUserId, toUserId)
+ */
+export function createCollectionStore({ dataDir }) {
+  const storePath = path.join(dataDir, "collections.json");
+  let state = null; // { collections: { [id]: collection } }
+
+  function load() {
+    if (state) return state;
+    try {
+      state = JSON.parse(fs.readFileSync(storePath, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn("collections.json unreadable, starting fresh:", e?.message || e);
+      state = {};
+    }
+    state.collections = state.collections || {};
+    return state;
+  }
+
+  function save() {
+    fs.writeFileSync(storePath + ".tmp", JSON.stringify(state, null, 2), "utf8");
+    fs.renameSync(storePath + ".tmp", storePath);
+  }
+
+  function list(userId) {
+    return Object.values(load().collections)
+      .filter(c => c.userId === userId)
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+
+  function get(id) {
+    return load().collections[id] || null;
+  }
+
+  function create({ userId, name, description = "", fileIds = [] }) {
+    load();
+    const now = new Date().toISOString();
+    const collection = {
+      id: `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`,
+      userId,
+      name,
+      description,
+      fileIds: [...new Set(fileIds)],
+      createdAt: now,
+      updatedAt: now
+    };
+    state.collections[collection.id] = collection;
+    save();
+    return collection;
+  }
+
+  /* patch: { name, description, fileIds (replace), addFileIds, removeFileIds } */
+  function update(id, patch) {
+    load();
+    const c = state.collections[id];
+    if (!c) return null;
+    if (patch.name !== undefined) c.name = patch.name;
+    if (patch.description !== undefined) c.description = patch.description;
+    let ids = patch.fileIds !== undefined ? [...patch.fileIds] : [...c.fileIds];
+    if (patch.addFileIds) ids.push(...patch.addFileIds);
+    if (patch.removeFileIds) ids = ids.filter(x => !patch.removeFileIds.includes(x));
+    c.fileIds = [...new Set(ids)];
+    c.updatedAt = new Date().toISOString();
+    save();
+    return c;
+  }
+
+  function remove(id) {
+    load();
+    if (!state.collections[id]) return false;
+    delete state.collections[id];
+    save();
+    return true;
+  }
+
+  function removeFile(fileId) {
+    load();
+    let changed = false;
+    for (const c of Object.values(state.collections)) {
+      if (c.fileIds.includes(fileId)) {
+        c.fileIds = c.fileIds.filter(x => x !== fileId);
+        changed = true;
+      }
+    }
+    if (changed) save();
+  }
+
+  function reassignUser(fromUserId, toUserId) {
+    load();
+    let moved = 0;
+    for (const c of Object.values(state.collections)) {
+      if (c.userId === fromUserId) {
+        c.userId = toUserId;
+        moved += 1;
+      }
+    }
+    if (moved) save();
+    return moved;
+  }
+
+  return { list, get, create, update, remove, removeFile, reassignUser };
+}
@@ -0,0 +1,168 @@
+/* ----------------------
+   flashcards.js - question/answer cards with SM-2 review scheduling (DATA_DIR/flashcards.json)
+   - cards belong to a user and remember where they came from (a note, a chat message or a page
+     of a library document)
+   - reviews are graded 0-5 (SM-2): grades below 3 restart the card at a 1 day interval,
+     otherwise the interval grows 1 -> 6 -> interval * ease days; the ease factor moves with
+     every grade and never drops below 1.3
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const DAY_MS = 24 * 3600 * 1000;
+export const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+/**
+ * sm2(card, grade, now) -> the scheduling fields after a review
+ * - { ease, interval (days), repetitions, lapses, due (ISO), lastReviewedAt, lastGrade }
+ */
+export function sm2(card, grade, now = new Date()) {
+  let { ease = DEFAULT_EASE, interval = 0, repetitions = 0, lapses = 0 } = card;
+  if (grade < 3) {
+    if (repetitions > 0) lapses += 1;
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * ease);
+  }
+  ease = Math.max(MIN_EASE, ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+  return {
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    due: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+    lastReviewedAt: now.toISOString(),
+    lastGrade: grade
+  };
+}
+
+/**
+ * createFlashcardStore({ dataDir })
+ * - list(userId, { dueBefore, deck }), get(id), create(userId, cards, { deck, source, firstReviewInDays })
+ * - update(id, patch), remove(id), review(id, grade) -> card, stats(userId, { dueBefore }),
+ *   reassignUser(fromUserId, toUserId)
+ */
+export function createFlashcardStore({ dataDir }) {
+  const storePath = path.join(dataDir, "flashcards.json");
+  let state = null; // { cards: { [id]: card } }
+
+  function load() {
+    if (state) return state;
+    try {
+      state = JSON.parse(fs.readFileSync(storePath, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn("flashcards.json unreadable, starting fresh:", e?.message || e);
+      state = {};
+    }
+    state.cards = state.cards || {};
+    return state;
+  }
+
+  function save() {
+    fs.writeFileSync(storePath + ".tmp", JSON.stringify(state, null, 2), "utf8");
+    fs.renameSync(storePath + ".tmp", storePath);
+  }
+
+  /* dueBefore (ISO) limits the list to cards due by then, soonest first */
+  function list(userId, { dueBefore = null, deck = undefined } = {}) {
+    return Object.values(load().cards)
+      .filter(c => c.userId === userId && (deck === undefined || c.deck === deck))
+      .filter(c => !dueBefore || (!c.suspended && c.due <= dueBefore))
+      .sort((a, b) => (dueBefore ? a.due.localeCompare(b.due) : String(b.createdAt).localeCompare(String(a.createdAt))));
+  }
+
+  function get(id) {
+    return load().cards[id] || null;
+  }
+
+  /* cards: [{ front, back, source? }] - each card's own source overrides the shared one */
+  function create(userId, cards, { deck = "", source = null, firstReviewInDays = 0 } = {}) {
+    load();
+    const now = new Date();
+    const due = new Date(now.getTime() + Math.max(0, firstReviewInDays) * DAY_MS).toISOString();
+    const created = cards.map(c => ({
+      id: `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`,
+      userId,
+      deck: c.deck ?? deck,
+      front: c.front,
+      back: c.back,
+      source: c.source ? { ...source, ...c.source } : source,
+      ease: DEFAULT_EASE,
+      interval: 0,
+      repetitions: 0,
+      lapses: 0,
+      due,
+      suspended: false,
+      lastReviewedAt: null,
+      lastGrade: null,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    }));
+    for (const card of created) state.cards[card.id] = card;
+    save();
+    return created;
+  }
+
+  function update(id, patch) {
+    load();
+    const card = state.cards[id];
+    if (!card) return null;
+    for (const key of ["front", "back", "deck", "suspended"]) {
+      if (patch[key] !== undefined) card[key] = patch[key];
+    }
+    card.updatedAt = new Date().toISOString();
+    save();
+    return card;
+  }
+
+  function remove(id) {
+    load();
+    if (!state.cards[id]) return false;
+    delete state.cards[id];
+    save();
+    return true;
+  }
+
+  function review(id, grade) {
+    load();
+    const card = state.cards[id];
+    if (!card) return null;
+    Object.assign(card, sm2(card, grade));
+    card.reviews = (card.reviews || 0) + 1;
+    card.updatedAt = card.lastReviewedAt;
+    save();
+    return card;
+  }
+
+  /* a guest's cards (with their review state) become the signed-in account's */
+  function reassignUser(fromUserId, toUserId) {
+    load();
+    let moved = 0;
+    for (const card of Object.values(state.cards)) {
+      if (card.userId === fromUserId) {
+        card.userId = toUserId;
+        moved += 1;
+      }
+    }
+    if (moved) save();
+    return moved;
+  }
+
+  /* { total, due (by dueBefore), new (never reviewed), reviewedToday (since dayStart) } */
+  function stats(userId, { dueBefore = new Date().toISOString(), dayStart = null } = {}) {
+    const cards = list(userId);
+    return {
+      total: cards.length,
+      due: cards.filter(c => !c.suspended && c.due <= dueBefore).length,
+      new: cards.filter(c => !c.lastReviewedAt).length,
+      reviewedToday: dayStart ? cards.filter(c => c.lastReviewedAt && c.lastReviewedAt >= dayStart).length : undefined
+    };
+  }
+
+  return { list, get, create, update, remove, review, stats, reassignUser };
+}
@@ -0,0 +1,186 @@
+/* ----------------------
+   grading.js - deterministic grading of multiple-choice and true/false answers
+   - spoken answers are matched against the options: the option text ("4"), its letter
+     ("B", "option b", "the answer is b"), how the letter sounds ("bee", "see") or its
+     position ("the second one", "option two")
+   - the answer key may be a letter, "B. 4" or the option text
+   - gradeChoice() returns null when the answer can't be matched to an option (or the key
+     can't be found); callers fall back to the LLM grader for those
+   ---------------------- */
+
+const LETTERS = "abcdefghij";
+
+// how speech recognition tends to spell single letters
+const LETTER_SOUNDS = {
+  a: ["a", "ay", "eh", "hey", "aye"],
+  b: ["b", "bee", "be", "bea"],
+  c: ["c", "see", "sea", "si", "cee"],
+  d: ["d", "dee", "de"],
+  e: ["e", "ee"],
+  f: ["f", "ef", "eff"]
+};
+
+const ORDINALS = [
+  ["first", "one", "1", "1st"],
+  ["second", "two", "2", "2nd"],
+  ["third", "three", "3", "3rd"],
+  ["fourth", "four", "4", "4th"],
+  ["fifth", "five", "5", "5th"],
+  ["sixth", "six", "6", "6th"]
+];
+
+const NUMBER_WORDS = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten", "eleven", "twelve"];
+
+const TRUE_WORDS = ["true", "yes", "yeah", "yep", "correct", "right", "t", "truth"];
+const FALSE_WORDS = ["false", "no", "nope", "incorrect", "wrong", "f", "not true"];
+
+// lead-ins people say before the actual answer
+const FILLERS = /^(?:(?:i think|i guess|i'd say|i would say|maybe|probably|um+|uh+|er+|hmm+|so|well|okay|ok)\s+)*(?:(?:the|my)\s+)?(?:(?:correct\s+)?answer\s+(?:is\s+)?|it(?:'s| is)\s+|that(?:'s| is)\s+)?/;
+
+/* lowercase, strip punctuation and extra spaces */
+export function normalizeAnswer(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\p{L}\p{N}'\s.-]/gu, " ")
+    .replace(/[.]+(\s|$)/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/* "B. 4", "b) 4", "(B) 4" -> { letter: "b", text: "4" }; unlabelled options get their position's letter */
+function parseOption(option, index) {
+  const raw = String(option ?? "").trim();
+  const m = raw.match(/^\(?([A-Ja-j])[.):]\s*(.*)$/);
+  if (m) return { letter: m[1].toLowerCase(), text: normalizeAnswer(m[2]) || normalizeAnswer(raw) };
+  return { letter: LETTERS[index], text: normalizeAnswer(raw) };
+}
+
+function isBooleanKey(correctAnswer) {
+  return typeof correctAnswer === "boolean" || /^(true|false)$/i.test(String(correctAnswer ?? "").trim());
+}
+
+/* "true" | "false" | null */
+function readBoolean(answer) {
+  const a = normalizeAnswer(answer).replace(FILLERS, "").trim();
+  if (!a) return null;
+  if (FALSE_WORDS.some(w => a === w || a.startsWith(w + " "))) return "false";
+  if (TRUE_WORDS.some(w => a === w || a.startsWith(w + " "))) return "true";
+  return null;
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * matchOption(answer, options) -> index of the chosen option, or -1
+ * - exact option text, then letter / letter sound / position, then the one option whose
+ *   text the answer contains (or nearly spells)
+ */
+export function matchOption(answer, options) {
+  const parsed = options.map(parseOption);
+  const said = normalizeAnswer(answer);
+  if (!said) return -1;
+
+  const exact = parsed.findIndex(o => o.text && o.text === said);
+  if (exact >= 0) return exact;
+
+  const core = said.replace(FILLERS, "").replace(/^(?:option|choice|letter|number)\s+/, "").replace(/\s+(?:one|option)$/, "").trim();
+  const exactCore = parsed.findIndex(o => o.text && o.text === core);
+  if (exactCore >= 0) return exactCore;
+
+  // "four" for an option reading "4" (unless it was said as a position: "option four")
+  const spelled = core.split(" ").map(w => (NUMBER_WORDS.includes(w) ? String(NUMBER_WORDS.indexOf(w)) : w)).join(" ");
+  const positional = /^(?:option|choice|number)\s/.test(said.replace(FILLERS, ""));
+  const numberText = positional ? -1 : parsed.findIndex(o => o.text && o.text === spelled);
+  if (numberText >= 0) return numberText;
+
+  for (let i = 0; i < parsed.length; i++) {
+    const sounds = LETTER_SOUNDS[parsed[i].letter] || [parsed[i].letter];
+    if (sounds.includes(core)) return i;
+  }
+  // positions ("second", "option two") - bare digits only count when no option reads like a number
+  const numericOptions = parsed.some(o => /^\d/.test(o.text));
+  for (let i = 0; i < Math.min(parsed.length, ORDINALS.length); i++) {
+    const words = numericOptions && !positional ? ORDINALS[i].filter(w => !/^\d+$/.test(w)) : ORDINALS[i];
+    if (words.includes(core) || words.some(w => core === `${w} one`)) return i;
+  }
+
+  const containing = parsed.map((o, i) => (o.text.length >= 2 && new RegExp(`(^|\\s)${o.text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(\\s|$)`).test(core) ? i : -1)).filter(i => i >= 0);
+  if (containing.length === 1) return containing[0];
+
+  if (core.length >= 4) {
+    const close = parsed.map((o, i) => ({ i, d: levenshtein(core, o.text) / Math.max(core.length, o.text.length) })).filter(x => x.d <= 0.2);
+    if (close.length === 1) return close[0].i;
+  }
+  return -1;
+}
+
+/* index of the option the answer key ("B", "B. 4" or the option text) names, or -1 */
+export function correctOptionIndex(correctAnswer, options) {
+  const key = String(correctAnswer ?? "").trim();
+  if (!key) return -1;
+  const parsed = options.map(parseOption);
+  const letter = key.match(/^\(?([A-Ja-j])(?:[.):]|\s*$)/);
+  if (letter) {
+    const i = parsed.findIndex(o => o.letter === letter[1].toLowerCase());
+    if (i >= 0) return i;
+  }
+  const text = normalizeAnswer(key.replace(/^\(?[A-Ja-j][.):]\s*/, ""));
+  return parsed.findIndex(o => o.text === text);
+}
+
+/**
+ * gradeChoice({ type, options, correctAnswer, userAnswer })
+ * - { score: 0 | 1, correct, matched (the chosen option or "True"/"False"), expected, feedback, grader: "local" }
+ * - null when the question isn't MCQ/true-false or the answer matches no option
+ */
+export function gradeChoice({ type, options = [], correctAnswer, userAnswer }) {
+  const opts = Array.isArray(options) ? options.filter(o => String(o ?? "").trim()) : [];
+  const boolOptions = opts.length === 2 && opts.every(o => /^(true|false)$/i.test(String(o).trim()));
+
+  if (type === "tf" || boolOptions || (type !== "mcq" && !opts.length && isBooleanKey(correctAnswer))) {
+    if (!isBooleanKey(correctAnswer)) return null;
+    const said = readBoolean(userAnswer);
+    if (!said) return null;
+    const expected = String(correctAnswer).toLowerCase();
+    const correct = said === expected;
+    const label = v => (v === "true" ? "True" : "False");
+    return {
+      score: correct ? 1 : 0,
+      correct,
+      matched: label(said),
+      expected: label(expected),
+      feedback: correct ? "Correct." : `Not quite - the statement is ${label(expected).toLowerCase()}.`,
+      hints: [],
+      grader: "local"
+    };
+  }
+
+  if (opts.length < 2) return null;
+  const expectedIndex = correctOptionIndex(correctAnswer, opts);
+  if (expectedIndex < 0) return null;
+  const chosen = matchOption(userAnswer, opts);
+  if (chosen < 0) return null;
+  const correct = chosen === expectedIndex;
+  return {
+    score: correct ? 1 : 0,
+    correct,
+    matched: String(opts[chosen]),
+    expected: String(opts[expectedIndex]),
+    feedback: correct ? "Correct." : `Not quite - you chose "${opts[chosen]}", the answer is "${opts[expectedIndex]}".`,
+    hints: [],
+    grader: "local"
+  };
+}
@@ -0,0 +1,198 @@
+/* ----------------------
+   history.js - multi-turn conversation context for /api/ai
+   - normalizes prior turns sent by the client ({from,text} or {role,content})
+   - keeps a server-side turn log per user and conversation id
+     (DATA_DIR/conversations/<userId>/<id>.json), so a conversation id only ever reaches its
+     own user's log; logs from before that (conversations/<id>.json) are no longer read.
+     When a guest signs in, reassignUser() moves their logs to the account
+   - fits the history into a token budget: newest turns are kept verbatim, older turns
+     are folded into a short (cached) summary, or dropped if summarizing fails
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/* rough token estimate (~4 chars/token for English); good enough for budgeting */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+function plainText(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") {
+    // structured cards (e.g. chat summaries) -> readable text
+    if (Array.isArray(value.keyPoints)) return "Summary: " + value.keyPoints.join("; ");
+    return JSON.stringify(value);
+  }
+  return String(value)
+    .replace(/<img[^>]*>/gi, "[image]")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/[ \t]+/g, " ")
+    .trim();
+}
+
+/**
+ * normalizeTurns(messages)
+ * - accepts [{from:'user'|'ai', text}] (frontend store shape) or [{role, content}]
+ * - returns [{role:'user'|'assistant', content}] with empty / non-text turns removed
+ */
+export function normalizeTurns(messages) {
+  if (!Array.isArray(messages)) return [];
+  const out = [];
+  for (const m of messages) {
+    if (!m || typeof m !== "object") continue;
+    const who = m.role || m.from;
+    const role = who === "user" ? "user" : (who === "assistant" || who === "ai") ? "assistant" : null;
+    if (!role) continue;
+    const content = plainText(m.content !== undefined ? m.content : m.text);
+    if (content) out.push({ role, content });
+  }
+  return out;
+}
+
+/* keep the tail of an over-long turn (the end of an answer is usually what gets referenced) */
+function truncateToTokens(text, tokens) {
+  const maxChars = Math.max(0, tokens * 4);
+  if (text.length <= maxChars) return text;
+  return "…" + text.slice(text.length - maxChars + 1);
+}
+
+function turnsKey(turns) {
+  const h = crypto.createHash("sha1");
+  for (const t of turns) h.update(t.role + "\u0000" + t.content + "\u0001");
+  return h.digest("hex");
+}
+
+/**
+ * createHistoryManager({ dataDir, budget, summarize })
+ * - summarize(turns) -> Promise<string>; used to compress turns that don't fit the budget
+ */
+export function createHistoryManager({ dataDir, budget = 2500, summarize = null } = {}) {
+  const convDir = path.join(dataDir, "conversations");
+  if (!fs.existsSync(convDir)) fs.mkdirSync(convDir, { recursive: true });
+
+  // summaries of older turns, keyed by a hash of exactly the turns they cover
+  const summaryCache = new Map();
+  const SUMMARY_CACHE_MAX = 200;
+
+  const userDir = userId => path.join(convDir, String(userId || "anonymous").replace(/[^\w.-]/g, "_"));
+
+  function convPath(userId, id) {
+    if (!/^[\w-]{1,80}$/.test(String(id || ""))) throw new Error("Invalid conversationId");
+    return path.join(userDir(userId), `${id}.json`);
+  }
+
+  function load(userId, id) {
+    const p = convPath(userId, id);
+    if (!fs.existsSync(p)) return { id, turns: [], updatedAt: null };
+    try {
+      return JSON.parse(fs.readFileSync(p, "utf8"));
+    } catch (e) {
+      console.warn(`Conversation log ${id} unreadable, starting fresh:`, e?.message || e);
+      return { id, turns: [], updatedAt: null };
+    }
+  }
+
+  function append(userId, id, turns) {
+    const conv = load(userId, id);
+    conv.turns.push(...normalizeTurns(turns).map(t => ({ ...t, at: new Date().toISOString() })));
+    conv.updatedAt = new Date().toISOString();
+    write(convPath(userId, id), conv);
+    return conv;
+  }
+
+  function write(p, conv) {
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    fs.writeFileSync(p + ".tmp", JSON.stringify(conv, null, 2), "utf8");
+    fs.renameSync(p + ".tmp", p);
+  }
+
+  /* a guest's logs become the signed-in account's; a conversation both have gets its turns
+     merged in time order. Returns the number of conversations moved */
+  function reassignUser(fromUserId, toUserId) {
+    const from = userDir(fromUserId);
+    if (from === userDir(toUserId) || !fs.existsSync(from)) return 0;
+    let moved = 0;
+    for (const name of fs.readdirSync(from).filter(n => n.endsWith(".json"))) {
+      const id = name.slice(0, -".json".length);
+      const theirs = load(fromUserId, id);
+      const mine = load(toUserId, id);
+      const turns = mine.turns.concat(theirs.turns).sort((a, b) => String(a.at).localeCompare(String(b.at)));
+      const updatedAt = [mine.updatedAt, theirs.updatedAt].filter(Boolean).sort().pop() || null;
+      write(convPath(toUserId, id), { ...mine, ...theirs, id, turns, updatedAt });
+      fs.rmSync(path.join(from, name), { force: true });
+      moved += 1;
+    }
+    fs.rmSync(from, { recursive: true, force: true });
+    return moved;
+  }
+
+  async function summarizeCached(turns) {
+    const key = turnsKey(turns);
+    if (summaryCache.has(key)) return summaryCache.get(key);
+    const summary = await summarize(turns);
+    if (summaryCache.size >= SUMMARY_CACHE_MAX) summaryCache.delete(summaryCache.keys().next().value);
+    summaryCache.set(key, summary);
+    return summary;
+  }
+
+  /**
+   * fit(turns, { budget })
+   * - returns { messages, info } where messages are ready to sit between the system prompt
+   *   and the current user turn, and info = { turns, kept, summarized, dropped, tokens }
+   */
+  async function fit(turns, opts = {}) {
+    const limit = opts.budget || budget;
+    const all = normalizeTurns(turns);
+    if (!all.length) return { messages: [], info: { turns: 0, kept: 0, summarized: 0, dropped: 0, tokens: 0 } };
+
+    // reserve a slice of the budget for the summary of whatever doesn't fit
+    const recentBudget = Math.floor(limit * 0.75);
+    const kept = [];
+    let used = 0;
+    for (let i = all.length - 1; i >= 0; i--) {
+      const t = all[i];
+      const cost = estimateTokens(t.content);
+      if (used + cost <= recentBudget) {
+        kept.unshift(t);
+        used += cost;
+        continue;
+      }
+      // always keep at least the latest turn, trimmed to fit
+      if (!kept.length) {
+        kept.unshift({ role: t.role, content: truncateToTokens(t.content, recentBudget) });
+        used += estimateTokens(kept[0].content);
+      }
+      break;
+    }
+
+    const older = all.slice(0, all.length - kept.length);
+    const messages = [];
+    let summarized = 0;
+    let dropped = 0;
+    if (older.length) {
+      let summary = null;
+      if (summarize) {
+        try {
+          summary = await summarizeCached(older);
+        } catch (e) {
+          console.warn("History summarization failed, dropping older turns:", e?.message || e);
+        }
+      }
+      if (summary) {
+        const text = truncateToTokens(String(summary).trim(), limit - used);
+        messages.push({ role: "system", content: `Summary of the earlier part of this tutoring conversation:\n${text}` });
+        used += estimateTokens(text);
+        summarized = older.length;
+      } else {
+        dropped = older.length;
+      }
+    }
+    messages.push(...kept);
+    return { messages, info: { turns: all.length, kept: kept.length, summarized, dropped, tokens: used } };
+  }
+
+  return { load, append, fit, reassignUser };
+}
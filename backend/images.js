@@ -0,0 +1,428 @@
+/* ----------------------
+   images.js - image generation providers and the store for generated images
+   Adapters: Stability (STABILITY_API_KEY, STABILITY_ENGINE), OpenAI Images (OPENAI_API_KEY,
+   OPENAI_IMAGE_MODEL: dall-e-3 by default, dall-e-2, gpt-image-1) and Imagen through
+   @google/genai (GEMINI_API_KEY, GEMINI_IMAGE_MODEL). IMAGE_PROVIDER_ORDER sets the fallback
+   order (default stability,openai,gemini); AI_MOCK=replay swaps them all for an offline
+   generator. As with chat providers, 429 / 5xx / network failures fall through to the next one.
+
+   - a request is { prompt, width, height, style, negativePrompt }; each adapter asks its model
+     for the closest size it supports, the PNG that comes back is center-cropped and scaled to
+     exactly width x height (png.js)
+   - style (IMAGE_STYLES) maps to Stability's style_preset and DALL-E 3's vivid/natural where
+     they fit and is always described in the prompt; the negative prompt is native on Stability
+     and appended as "Avoid: ..." elsewhere
+   - createImageStore keeps the PNG and a thumbnail (THUMB_SIZE px) per image in
+     DATA_DIR/images/, indexed in images.json by a random 128-bit id - knowing the id is what
+     grants access to the file, so the URL can sit in a chat message or an <img> tag
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { ProviderError, toProviderError } from "./providers.js";
+import { mockMode } from "./mock.js";
+import { isPng, pngSize, decodePng, encodePng, resizeImage } from "./png.js";
+
+let OpenAI = null;
+let GoogleGenAI = null;
+try {
+  OpenAI = (await import("openai")).default;
+} catch (e) {
+  // reported by providers.js
+}
+try {
+  GoogleGenAI = (await import("@google/genai")).GoogleGenAI;
+} catch (e) {
+  // reported by providers.js
+}
+
+const DEFAULT_ORDER = ["stability", "openai", "gemini"];
+export const MIN_SIDE = 256;
+export const MAX_SIDE = 1536;
+export const THUMB_SIZE = 256;
+
+/* style -> Stability style_preset, DALL-E 3 style, prompt wording */
+export const IMAGE_STYLES = {
+  photographic: { stability: "photographic", openai: "natural", words: "a realistic photograph" },
+  illustration: { stability: "digital-art", openai: "vivid", words: "a clean digital illustration" },
+  diagram: { stability: "line-art", openai: "natural", words: "a clear, labelled educational diagram on a plain white background" },
+  sketch: { stability: "line-art", openai: "natural", words: "a pencil sketch" },
+  "3d": { stability: "3d-model", openai: "vivid", words: "a 3D render" },
+  watercolor: { stability: "fantasy-art", openai: "vivid", words: "a watercolor painting" },
+  anime: { stability: "anime", openai: "vivid", words: "anime-style artwork" }
+};
+
+/**
+ * parseImageRequest(body) -> { request } or { status, error }
+ * - body: { prompt, size: "512x512" (or width + height), style, negativePrompt }
+ */
+export function parseImageRequest(body = {}) {
+  const prompt = typeof body.prompt === "string" ? body.prompt.trim() : "";
+  if (!prompt) return { status: 400, error: "Missing prompt" };
+  if (prompt.length > 2000) return { status: 400, error: "prompt must be at most 2000 characters" };
+
+  let width = Number(body.width) || 1024;
+  let height = Number(body.height) || width;
+  if (body.size !== undefined) {
+    const m = /^(\d{2,4})x(\d{2,4})$/.exec(String(body.size).trim());
+    if (!m) return { status: 400, error: 'size must look like "512x512"' };
+    [width, height] = [Number(m[1]), Number(m[2])];
+  }
+  if (![width, height].every(n => Number.isInteger(n) && n >= MIN_SIDE && n <= MAX_SIDE)) {
+    return { status: 400, error: `width and height must be whole numbers from ${MIN_SIDE} to ${MAX_SIDE}` };
+  }
+
+  const style = body.style ? String(body.style) : null;
+  if (style && !IMAGE_STYLES[style]) return { status: 400, error: `style must be one of ${Object.keys(IMAGE_STYLES).join(", ")}` };
+  const negativePrompt = typeof body.negativePrompt === "string" ? body.negativePrompt.trim().slice(0, 1000) : "";
+  return { request: { prompt, width, height, style, negativePrompt: negativePrompt || null } };
+}
+
+/* the prompt for providers without native style / negative prompt support */
+function describedPrompt({ prompt, style, negativePrompt }, { negative = true } = {}) {
+  let text = style ? `${prompt}\n\nStyle: ${IMAGE_STYLES[style].words}.` : prompt;
+  if (negative && negativePrompt) text += `\n\nAvoid: ${negativePrompt}.`;
+  return text;
+}
+
+/* of `sizes` ([w, h] pairs), the one whose aspect ratio is closest to width:height (larger wins ties) */
+function closestSize(sizes, width, height) {
+  const want = Math.log(width / height);
+  return sizes.reduce((best, s) => {
+    const d = Math.abs(Math.log(s[0] / s[1]) - want);
+    const bd = Math.abs(Math.log(best[0] / best[1]) - want);
+    return d < bd - 1e-9 || (Math.abs(d - bd) <= 1e-9 && s[0] * s[1] > best[0] * best[1]) ? s : best;
+  });
+}
+
+/* ----------------------
+   Adapters
+   Every adapter exposes: name, configured, defaultModel,
+     generate({ prompt, width, height, style, negativePrompt, model, signal })
+       -> { data (image bytes), revisedPrompt? }
+   ---------------------- */
+
+const SDXL_SIZES = [[1024, 1024], [1152, 896], [896, 1152], [1216, 832], [832, 1216], [1344, 768], [768, 1344], [1536, 640], [640, 1536]];
+
+function createStabilityAdapter(env) {
+  const apiKey = env.STABILITY_API_KEY;
+  const engine = env.STABILITY_ENGINE || "stable-diffusion-xl-1024-v1-0";
+  return {
+    name: "stability",
+    configured: !!apiKey,
+    defaultModel: engine,
+    async generate({ prompt, width, height, style, negativePrompt, model, signal }) {
+      if (!apiKey) throw new ProviderError("stability is not configured", { provider: "stability", status: 503 });
+      // SDXL only renders its fixed sizes; older engines take multiples of 64
+      const [w, h] = /xl-1024/.test(model)
+        ? closestSize(SDXL_SIZES, width, height)
+        : [width, height].map(n => Math.min(1536, Math.max(320, Math.round(n / 64) * 64)));
+      const body = {
+        text_prompts: [{ text: describedPrompt({ prompt, style }, { negative: false }), weight: 1 }, ...(negativePrompt ? [{ text: negativePrompt, weight: -1 }] : [])],
+        width: w,
+        height: h,
+        samples: 1,
+        ...(style ? { style_preset: IMAGE_STYLES[style].stability } : {})
+      };
+      let r;
+      try {
+        r = await fetch(`https://api.stability.ai/v1/generation/${encodeURIComponent(model)}/text-to-image`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Accept: "application/json", Authorization: `Bearer ${apiKey}` },
+          body: JSON.stringify(body),
+          signal
+        });
+      } catch (err) {
+        throw toProviderError(err, "stability");
+      }
+      if (!r.ok) {
+        const txt = await r.text().catch(() => "");
+        throw new ProviderError(`stability error: ${r.status} ${txt.slice(0, 500)}`, { provider: "stability", status: r.status });
+      }
+      const j = await r.json();
+      const artifact = j?.artifacts?.[0];
+      if (!artifact?.base64) throw new ProviderError("stability error: no image in the response", { provider: "stability", status: 502 });
+      if (artifact.finishReason === "CONTENT_FILTERED") throw new ProviderError("stability refused the prompt (content filter)", { provider: "stability", status: 400 });
+      return { data: Buffer.from(artifact.base64, "base64") };
+    }
+  };
+}
+
+const OPENAI_SIZES = {
+  "dall-e-2": [[256, 256], [512, 512], [1024, 1024]],
+  "dall-e-3": [[1024, 1024], [1792, 1024], [1024, 1792]],
+  "gpt-image-1": [[1024, 1024], [1536, 1024], [1024, 1536]]
+};
+
+function createOpenAIImageAdapter(env) {
+  let client = null;
+  if (OpenAI && env.OPENAI_API_KEY) {
+    try {
+      client = new OpenAI({ apiKey: env.OPENAI_API_KEY, baseURL: env.OPENAI_BASE_URL || undefined });
+    } catch (e) {
+      console.warn("Failed to create OpenAI images client:", e?.message || e);
+    }
+  }
+  return {
+    name: "openai",
+    configured: !!client,
+    defaultModel: env.OPENAI_IMAGE_MODEL || "dall-e-3",
+    async generate({ prompt, width, height, style, negativePrompt, model, signal }) {
+      if (!client) throw new ProviderError("openai is not configured", { provider: "openai", status: 503 });
+      let size;
+      if (model === "dall-e-2") {
+        // squares only: the smallest one that covers the request
+        const side = [256, 512, 1024].find(s => s >= Math.max(width, height)) || 1024;
+        size = `${side}x${side}`;
+      } else {
+        size = closestSize(OPENAI_SIZES[model] || OPENAI_SIZES["gpt-image-1"], width, height).join("x");
+      }
+      const params = { model, prompt: describedPrompt({ prompt, style, negativePrompt }), n: 1, size };
+      if (model.startsWith("dall-e")) params.response_format = "b64_json";
+      if (model === "dall-e-3" && style) params.style = IMAGE_STYLES[style].openai;
+      try {
+        const response = await client.images.generate(params, { signal });
+        const item = response?.data?.[0];
+        if (!item?.b64_json) throw new ProviderError("openai error: no image in the response", { provider: "openai", status: 502 });
+        return { data: Buffer.from(item.b64_json, "base64"), revisedPrompt: item.revised_prompt || null };
+      } catch (err) {
+        throw toProviderError(err, "openai");
+      }
+    }
+  };
+}
+
+const IMAGEN_RATIOS = [[1, 1], [3, 4], [4, 3], [9, 16], [16, 9]];
+
+function createGeminiImageAdapter(env) {
+  const apiKey = env.GEMINI_API_KEY || env.GOOGLE_API_KEY;
+  let client = null;
+  if (GoogleGenAI && apiKey) {
+    try {
+      client = new GoogleGenAI({ apiKey });
+    } catch (e) {
+      console.warn("Failed to create Gemini images client:", e?.message || e);
+    }
+  }
+  return {
+    name: "gemini",
+    configured: !!client,
+    defaultModel: env.GEMINI_IMAGE_MODEL || "imagen-3.0-generate-002",
+    async generate({ prompt, width, height, style, negativePrompt, model, signal }) {
+      if (!client) throw new ProviderError("gemini is not configured", { provider: "gemini", status: 503 });
+      try {
+        const response = await client.models.generateImages({
+          model,
+          prompt: describedPrompt({ prompt, style, negativePrompt }),
+          config: { numberOfImages: 1, aspectRatio: closestSize(IMAGEN_RATIOS, width, height).join(":"), outputMimeType: "image/png", abortSignal: signal }
+        });
+        const generated = response?.generatedImages?.[0];
+        if (!generated?.image?.imageBytes) {
+          const reason = generated?.raiFilteredReason;
+          throw new ProviderError(reason ? `gemini refused the prompt: ${reason}` : "gemini error: no image in the response", { provider: "gemini", status: reason ? 400 : 502 });
+        }
+        return { data: Buffer.from(generated.image.imageBytes, "base64"), revisedPrompt: generated.enhancedPrompt || null };
+      } catch (err) {
+        throw toProviderError(err, "gemini");
+      }
+    }
+  };
+}
+
+/* AI_MOCK=replay: a diagonal two-colour gradient picked from the prompt - same request, same image */
+function createMockImageAdapter() {
+  return {
+    name: "mock",
+    configured: true,
+    defaultModel: "gradient",
+    async generate({ prompt, width, height, style, negativePrompt }) {
+      const seed = crypto.createHash("sha256").update(JSON.stringify([prompt, style, negativePrompt])).digest();
+      const data = Buffer.alloc(width * height * 4);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const t = (x + y) / (width + height - 2 || 1);
+          const o = (y * width + x) * 4;
+          for (let c = 0; c < 3; c++) data[o + c] = Math.round(seed[c] * (1 - t) + seed[c + 3] * t);
+          data[o + 3] = 255;
+        }
+      }
+      return { data: encodePng({ width, height, data }) };
+    }
+  };
+}
+
+/**
+ * processImage(data, width, height) -> { data, thumb, width, height, mime }
+ * - PNGs are cropped/scaled to width x height and get a thumbnail; other formats (or PNGs
+ *   png.js can't read) are kept as they came, without a thumbnail
+ */
+export function processImage(data, width, height) {
+  if (isPng(data)) {
+    try {
+      const image = resizeImage(decodePng(data), width, height);
+      const scale = THUMB_SIZE / Math.max(width, height);
+      const thumb = scale < 1 ? encodePng(resizeImage(image, Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)))) : null;
+      return { data: encodePng(image), thumb, width, height, mime: "image/png" };
+    } catch (e) {
+      console.warn("Generated PNG could not be resized, keeping it as is:", e?.message || e);
+      return { data, thumb: null, ...pngSize(data), mime: "image/png" };
+    }
+  }
+  const mime = data[0] === 0xff && data[1] === 0xd8 ? "image/jpeg" : data.subarray(8, 12).toString("latin1") === "WEBP" ? "image/webp" : "application/octet-stream";
+  return { data, thumb: null, width: null, height: null, mime };
+}
+
+/**
+ * createImageProviders(env)
+ * - generate(request, { provider, model, signal }) -> { data, provider, model, revisedPrompt, attempts };
+ *   throws the last ProviderError (with .attempts) when every provider failed
+ * - configured() -> provider names in fallback order; hasAny()
+ */
+export function createImageProviders(env = process.env) {
+  const adapters = new Map();
+  const built = mockMode(env) === "replay"
+    ? [createMockImageAdapter()]
+    : [createStabilityAdapter(env), createOpenAIImageAdapter(env), createGeminiImageAdapter(env)];
+  for (const adapter of built) adapters.set(adapter.name, adapter);
+
+  const order = (env.IMAGE_PROVIDER_ORDER ? env.IMAGE_PROVIDER_ORDER.split(",") : DEFAULT_ORDER)
+    .map(s => s.trim().toLowerCase())
+    .filter(name => adapters.has(name));
+  for (const name of adapters.keys()) if (!order.includes(name)) order.push(name);
+  const timeoutMs = Number(env.IMAGE_TIMEOUT_MS) || 60000;
+
+  function configured() {
+    return order.filter(name => adapters.get(name).configured);
+  }
+
+  async function generate(request, { provider, model, signal } = {}) {
+    const names = configured();
+    if (provider && names.includes(provider)) names.unshift(...names.splice(names.indexOf(provider), 1));
+    if (!names.length) throw new ProviderError("No image provider configured", { status: 501 });
+
+    const attempts = [];
+    let lastErr = null;
+    for (const [i, name] of names.entries()) {
+      const adapter = adapters.get(name);
+      const useModel = (i === 0 && model) || adapter.defaultModel;
+      const timeout = AbortSignal.timeout(timeoutMs);
+      try {
+        const out = await adapter.generate({ ...request, model: useModel, signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+        attempts.push({ provider: name, model: useModel, ok: true });
+        return { ...out, provider: name, model: useModel, attempts };
+      } catch (e) {
+        const err = toProviderError(e, name);
+        attempts.push({ provider: name, model: useModel, ok: false, status: err.status, error: err.message });
+        console.error(`[image] ${name} failed (${err.status ?? "network"}):`, err.message);
+        lastErr = err;
+        if (!err.retryable || signal?.aborted) break;
+      }
+    }
+    lastErr.attempts = attempts;
+    throw lastErr;
+  }
+
+  return { adapters, order, configured, hasAny: () => configured().length > 0, generate };
+}
+
+/**
+ * createImageStore({ dataDir })
+ * - create({ userId, conversationId, request, result }) -> image record (files written first)
+ * - get(id), list({ userId, conversationId }) newest first, remove(id) -> record or null
+ * - fileOf(image, "image" | "thumb") -> absolute path (thumb falls back to the image)
+ * - reassignUser(fromUserId, toUserId) -> number of images moved
+ */
+export function createImageStore({ dataDir }) {
+  const dir = path.join(dataDir, "images");
+  const storePath = path.join(dataDir, "images.json");
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  let state = null; // { images: { [id]: image } }
+
+  function load() {
+    if (state) return state;
+    try {
+      state = JSON.parse(fs.readFileSync(storePath, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn("images.json unreadable, starting fresh:", e?.message || e);
+      state = {};
+    }
+    state.images = state.images || {};
+    return state;
+  }
+
+  function save() {
+    fs.writeFileSync(storePath + ".tmp", JSON.stringify(state, null, 2), "utf8");
+    fs.renameSync(storePath + ".tmp", storePath);
+  }
+
+  const EXT = { "image/png": ".png", "image/jpeg": ".jpg", "image/webp": ".webp" };
+
+  function create({ userId, conversationId = null, request, result }) {
+    const id = crypto.randomBytes(16).toString("hex");
+    const ext = EXT[result.mime] || ".bin";
+    fs.writeFileSync(path.join(dir, id + ext), result.data);
+    if (result.thumb) fs.writeFileSync(path.join(dir, `${id}.thumb.png`), result.thumb);
+    const image = {
+      id,
+      userId,
+      conversationId,
+      prompt: request.prompt,
+      negativePrompt: request.negativePrompt,
+      style: request.style,
+      requestedSize: `${request.width}x${request.height}`,
+      width: result.width,
+      height: result.height,
+      mime: result.mime,
+      file: id + ext,
+      thumb: result.thumb ? `${id}.thumb.png` : null,
+      bytes: result.data.length,
+      provider: result.provider,
+      model: result.model,
+      revisedPrompt: result.revisedPrompt || null,
+      createdAt: new Date().toISOString()
+    };
+    load().images[id] = image;
+    save();
+    return image;
+  }
+
+  function get(id) {
+    return load().images[id] || null;
+  }
+
+  function list({ userId, conversationId } = {}) {
+    return Object.values(load().images)
+      .filter(i => (userId === undefined || i.userId === userId) && (conversationId === undefined || i.conversationId === conversationId))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  function remove(id) {
+    const image = get(id);
+    if (!image) return null;
+    for (const name of [image.file, image.thumb].filter(Boolean)) fs.rmSync(path.join(dir, name), { force: true });
+    delete state.images[id];
+    save();
+    return image;
+  }
+
+  function fileOf(image, variant = "image") {
+    return path.join(dir, variant === "thumb" && image.thumb ? image.thumb : image.file);
+  }
+
+  /* a guest's images become the signed-in account's */
+  function reassignUser(fromUserId, toUserId) {
+    load();
+    let moved = 0;
+    for (const image of Object.values(state.images)) {
+      if (image.userId === fromUserId) {
+        image.userId = toUserId;
+        moved += 1;
+      }
+    }
+    if (moved) save();
+    return moved;
+  }
+
+  return { dir, create, get, list, remove, fileOf, reassignUser };
+}
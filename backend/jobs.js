@@ -0,0 +1,246 @@
+/* ----------------------
+   jobs.js - persistent background job queue (used for upload processing)
+   - jobs are stored as DATA_DIR/jobs/<id>.json so they survive restarts; jobs that were
+     queued or running when the server stopped are picked up again by start()
+   - bounded concurrency (JOB_CONCURRENCY, default 2); handlers report progress through
+     ctx.stage(stage, message, { current, total }), which is persisted and broadcast to listeners
+   - finished jobs are kept for JOB_RETENTION_HOURS (default 24) so clients can still poll them;
+     older ones are pruned at start() and then every hour (or every retention period, if shorter)
+   - a job belongs to the users in its userIds (whoever enqueued it, plus anyone share()d in);
+     the routes answer 404 to everybody else
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { EventEmitter } from "events";
+
+const MAX_ATTEMPTS = 3;
+
+/* an upload's meta as clients see it: no server path, and no chunk text (the document's content
+   stays behind the library routes), only how many chunks it has */
+export function publicMeta(meta) {
+  const { chunks, path: serverPath, ...rest } = meta;
+  return { ...rest, chunkCount: (chunks || []).length };
+}
+
+/* the job as clients see it: no payload (server paths), no owners, and a public result meta */
+export function publicJob(job) {
+  if (!job) return null;
+  const { payload, userIds, ...rest } = job;
+  if (rest.result && rest.result.meta) rest.result = { ...rest.result, meta: publicMeta(rest.result.meta) };
+  return rest;
+}
+
+/**
+ * createJobQueue({ dataDir, concurrency, retentionHours })
+ * - register(type, handler): handler(job, ctx) -> Promise<result>
+ * - enqueue(type, payload, { stage, message, userId }) -> job (status 'queued')
+ * - get(id), findActive(predicate), share(id, userId), subscribe(id, listener) -> unsubscribe
+ * - start() -> the interrupted jobs it queued again (and starts pruning finished ones)
+ * - prune() -> how many finished jobs past the retention it deleted
+ */
+export function createJobQueue({ dataDir, concurrency = 2, retentionHours = 24 } = {}) {
+  const jobsDir = path.join(dataDir, "jobs");
+  if (!fs.existsSync(jobsDir)) fs.mkdirSync(jobsDir, { recursive: true });
+
+  const handlers = new Map();
+  const jobs = new Map();
+  const pending = [];
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  let running = 0;
+  let started = false;
+
+  function jobPath(id) {
+    if (!/^[\w-]{1,80}$/.test(String(id || ""))) return null;
+    return path.join(jobsDir, `${id}.json`);
+  }
+
+  function save(job) {
+    job.updatedAt = new Date().toISOString();
+    const p = jobPath(job.id);
+    fs.writeFileSync(p + ".tmp", JSON.stringify(job, null, 2), "utf8");
+    fs.renameSync(p + ".tmp", p);
+    events.emit(job.id, publicJob(job));
+  }
+
+  function register(type, handler) {
+    handlers.set(type, handler);
+  }
+
+  function enqueue(type, payload, { stage = "queued", message = "Waiting in queue", userId = null } = {}) {
+    if (!handlers.has(type)) throw new Error(`No handler registered for job type '${type}'`);
+    const now = new Date().toISOString();
+    const job = {
+      id: `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`,
+      type,
+      status: "queued",
+      stage,
+      message,
+      progress: null,
+      attempts: 0,
+      result: null,
+      error: null,
+      payload,
+      userIds: userId ? [userId] : [],
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+    jobs.set(job.id, job);
+    save(job);
+    pending.push(job.id);
+    // start on the next tick so the caller still sees the job as enqueued
+    setImmediate(pump);
+    return job;
+  }
+
+  function get(id) {
+    if (jobs.has(id)) return jobs.get(id);
+    const p = jobPath(id);
+    if (!p || !fs.existsSync(p)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(p, "utf8"));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /* a queued or running job matching predicate(job), or null */
+  function findActive(predicate) {
+    for (const job of jobs.values()) {
+      if ((job.status === "queued" || job.status === "running") && predicate(job)) return job;
+    }
+    return null;
+  }
+
+  /* let another user follow the job (the same upload, deduplicated while it is processing) */
+  function share(id, userId) {
+    const job = jobs.get(id);
+    if (!job || (job.userIds || []).includes(userId)) return;
+    job.userIds = [...(job.userIds || []), userId];
+    save(job);
+  }
+
+  /* listener(publicJob) on every update; returns an unsubscribe function */
+  function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  }
+
+  async function run(job) {
+    const handler = handlers.get(job.type);
+    job.status = "running";
+    job.attempts += 1;
+    job.startedAt = new Date().toISOString();
+    job.error = null;
+    save(job);
+
+    const ctx = {
+      stage(stage, message = "", progress = null) {
+        job.stage = stage;
+        job.message = message;
+        job.progress = progress;
+        save(job);
+      }
+    };
+
+    try {
+      job.result = await handler(job, ctx);
+      job.status = "done";
+      job.stage = "done";
+      job.message = "Finished";
+      job.progress = null;
+    } catch (e) {
+      console.error(`Job ${job.id} (${job.type}) failed:`, e);
+      job.status = "failed";
+      job.error = String(e?.message || e);
+    }
+    job.finishedAt = new Date().toISOString();
+    save(job);
+  }
+
+  function pump() {
+    if (!started) return;
+    while (running < concurrency && pending.length) {
+      const job = jobs.get(pending.shift());
+      if (!job) continue;
+      running += 1;
+      run(job).finally(() => {
+        running -= 1;
+        // finished jobs only need to stay readable from disk
+        jobs.delete(job.id);
+        pump();
+      });
+    }
+  }
+
+  /* delete finished and failed jobs older than the retention */
+  function prune() {
+    const cutoff = Date.now() - retentionHours * 3600 * 1000;
+    let deleted = 0;
+    for (const name of fs.readdirSync(jobsDir)) {
+      if (!name.endsWith(".json")) continue;
+      const p = path.join(jobsDir, name);
+      try {
+        const job = JSON.parse(fs.readFileSync(p, "utf8"));
+        if ((job.status === "done" || job.status === "failed") && Date.parse(job.finishedAt || job.updatedAt) < cutoff) {
+          fs.unlinkSync(p);
+          deleted++;
+        }
+      } catch (e) {
+        // unreadable (start() reports it) or already gone
+      }
+    }
+    return deleted;
+  }
+
+  /* load persisted jobs: resume interrupted ones, prune old finished ones (now and periodically) */
+  function start() {
+    if (started) return [];
+    started = true;
+    prune();
+    const timer = setInterval(() => {
+      const n = prune();
+      if (n) console.log(`Pruned ${n} finished job(s).`);
+    }, Math.max(60, Math.min(3600, retentionHours * 3600)) * 1000);
+    timer.unref();
+    const resumed = [];
+    for (const name of fs.readdirSync(jobsDir)) {
+      if (!name.endsWith(".json")) continue;
+      const p = path.join(jobsDir, name);
+      let job;
+      try {
+        job = JSON.parse(fs.readFileSync(p, "utf8"));
+      } catch (e) {
+        console.warn(`Unreadable job file ${name}, skipping:`, e?.message || e);
+        continue;
+      }
+      if (job.status === "done" || job.status === "failed") continue;
+      if (jobs.has(job.id)) continue;
+      if (!handlers.has(job.type) || job.attempts >= MAX_ATTEMPTS) {
+        job.status = "failed";
+        job.error = handlers.has(job.type) ? "Interrupted too many times" : `Unknown job type '${job.type}'`;
+        job.finishedAt = new Date().toISOString();
+        save(job);
+        continue;
+      }
+      job.status = "queued";
+      job.stage = "queued";
+      job.message = "Resuming after restart";
+      job.progress = null;
+      jobs.set(job.id, job);
+      save(job);
+      resumed.push(job);
+    }
+    resumed.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    pending.unshift(...resumed.map(j => j.id));
+    if (resumed.length) console.log(`Resuming ${resumed.length} interrupted job(s).`);
+    pump();
+    return resumed;
+  }
+
+  return { register, enqueue, get, findActive, share, subscribe, start, prune };
+}
@@ -0,0 +1,224 @@
+/* ----------------------
+   knowledge.js - per-user knowledge graph built from topic maps (DATA_DIR/knowledge-graph.json)
+   - every /api/topic-map result is merged in: the mapped topic becomes an explored node, its
+     prerequisites, next topics, key concepts and applications become (unexplored) neighbours
+   - nodes are keyed by their normalized label (topicKey), so "Newton's Laws" and
+     "newtons laws" are the same node, and re-mapping a topic never duplicates it
+   - annotateGraph() adds the user's quiz results per node and marks it quizzed or weak;
+     notes only live in the browser, so "studied" is marked there
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+
+export const MAX_NODES = 400;
+const MAX_ITEMS_PER_LIST = 8;
+const MAX_LABEL = 120;
+export const WEAK_ACCURACY = 0.6;
+
+/* topic-map field -> edge relation and the kind of node it creates */
+const RELATIONS = {
+  prerequisites: { relation: "prerequisite", kind: "topic" },
+  whatToLearnNext: { relation: "next", kind: "topic" },
+  keyConcepts: { relation: "concept", kind: "concept" },
+  realWorldApplications: { relation: "application", kind: "application" }
+};
+
+const STOP_WORDS = new Set(["a", "an", "and", "the", "of", "in", "on", "to", "for", "with", "its"]);
+
+function tokens(label) {
+  return String(label || "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(w => w && !STOP_WORDS.has(w));
+}
+
+/* "Newton's Second Law" -> "newtons-second-law" (node id) */
+export function topicKey(label) {
+  return tokens(label).join("-").slice(0, 80);
+}
+
+/* a quiz topic belongs to a node when one's words contain the other's ("Units" ~ "Units and measurement") */
+function matches(nodeWords, topicWords) {
+  if (!nodeWords.length || !topicWords.length) return false;
+  const [small, large] = nodeWords.length <= topicWords.length ? [nodeWords, topicWords] : [topicWords, nodeWords];
+  return small.every(w => large.includes(w));
+}
+
+/* topic-map items are usually strings; tolerate { name | title | topic | concept } objects */
+function labelOf(item) {
+  const raw = typeof item === "string" ? item : item && (item.name || item.title || item.topic || item.concept);
+  return typeof raw === "string" ? raw.replace(/\s+/g, " ").trim().slice(0, MAX_LABEL) : "";
+}
+
+/**
+ * annotateGraph(graph, quizTopics)
+ * - quizTopics: progress(userId).topics ({ topic, answered, correct, accuracy, lastAnsweredAt })
+ * - each node gets quiz { answered, correct, accuracy, lastAnsweredAt, topics } (or null) and a
+ *   status: "weak" (>= 2 answers below WEAK_ACCURACY), "quizzed", "explored" or "new"
+ */
+export function annotateGraph(graph, quizTopics = []) {
+  const quiz = quizTopics.map(t => ({ ...t, words: tokens(t.topic) }));
+  const nodes = graph.nodes.map(node => {
+    const words = tokens(node.label);
+    const hits = quiz.filter(t => t.answered && matches(words, t.words));
+    const answered = hits.reduce((n, t) => n + t.answered, 0);
+    const stats = answered ? {
+      answered,
+      correct: hits.reduce((n, t) => n + t.correct, 0),
+      accuracy: Math.round(hits.reduce((n, t) => n + t.accuracy * t.answered, 0) / answered * 1000) / 1000,
+      lastAnsweredAt: hits.reduce((m, t) => (t.lastAnsweredAt > m ? t.lastAnsweredAt : m), ""),
+      topics: hits.map(t => t.topic)
+    } : null;
+    const status = stats && stats.answered >= 2 && stats.accuracy < WEAK_ACCURACY ? "weak"
+      : stats ? "quizzed"
+      : node.exploredAt ? "explored" : "new";
+    return { ...node, quiz: stats, status };
+  });
+  const count = status => nodes.filter(n => n.status === status).length;
+  return {
+    nodes,
+    edges: graph.edges,
+    stats: { nodes: nodes.length, edges: graph.edges.length, explored: nodes.filter(n => n.exploredAt).length, quizzed: count("quizzed") + count("weak"), weak: count("weak") }
+  };
+}
+
+/**
+ * createKnowledgeGraphStore({ dataDir })
+ * - merge(userId, topic, map) -> { node, added: { nodes, edges }, skipped } (skipped: over MAX_NODES)
+ * - graph(userId) -> { nodes, edges }, removeNode(userId, id) -> bool, clear(userId),
+ *   reassignUser(fromUserId, toUserId) -> nodes moved (merged into the account's own graph)
+ * - a node is { id, label, kind: topic | concept | application, createdAt, exploredAt, map };
+ *   an edge { from, to, relation: prerequisite | next | concept | application, createdAt }, read
+ *   "from is a prerequisite of to", "from leads to to", "to is a key concept / an application of from"
+ */
+export function createKnowledgeGraphStore({ dataDir }) {
+  const storePath = path.join(dataDir, "knowledge-graph.json");
+  let state = null; // { users: { [userId]: { nodes: { [id]: node }, edges: { ["from>to"]: edge } } } }
+
+  function load() {
+    if (state) return state;
+    try {
+      state = JSON.parse(fs.readFileSync(storePath, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn("knowledge-graph.json unreadable, starting fresh:", e?.message || e);
+      state = {};
+    }
+    state.users = state.users || {};
+    return state;
+  }
+
+  function save() {
+    fs.writeFileSync(storePath + ".tmp", JSON.stringify(state, null, 2), "utf8");
+    fs.renameSync(storePath + ".tmp", storePath);
+  }
+
+  function userGraph(userId, create = false) {
+    const users = load().users;
+    if (!users[userId] && create) users[userId] = { nodes: {}, edges: {} };
+    return users[userId] || { nodes: {}, edges: {} };
+  }
+
+  function merge(userId, topic, map) {
+    const g = userGraph(userId, true);
+    const now = new Date().toISOString();
+    const added = { nodes: 0, edges: 0 };
+    let skipped = 0;
+
+    // returns the node id, or null when the label is empty or the graph is full
+    function upsert(label, kind) {
+      const id = topicKey(label);
+      if (!id) return null;
+      if (!g.nodes[id]) {
+        if (Object.keys(g.nodes).length >= MAX_NODES) {
+          skipped += 1;
+          return null;
+        }
+        g.nodes[id] = { id, label, kind, createdAt: now, exploredAt: null, map: null };
+        added.nodes += 1;
+      }
+      return id;
+    }
+
+    function link(from, to, relation) {
+      if (!from || !to || from === to) return;
+      const key = `${from}>${to}`;
+      if (!g.edges[key]) added.edges += 1;
+      g.edges[key] = { from, to, relation, createdAt: g.edges[key]?.createdAt || now };
+    }
+
+    const label = labelOf(topic);
+    const id = upsert(label, "topic");
+    if (!id) return { node: null, added, skipped };
+    const node = g.nodes[id];
+    node.kind = "topic";
+    node.exploredAt = now;
+    node.map = {};
+    for (const [field, { relation, kind }] of Object.entries(RELATIONS)) {
+      const labels = (Array.isArray(map?.[field]) ? map[field] : []).map(labelOf).filter(Boolean).slice(0, MAX_ITEMS_PER_LIST);
+      node.map[field] = labels;
+      for (const itemLabel of labels) {
+        const other = upsert(itemLabel, kind);
+        if (relation === "prerequisite") link(other, id, relation);
+        else link(id, other, relation);
+      }
+    }
+    save();
+    return { node, added, skipped };
+  }
+
+  function graph(userId) {
+    const g = userGraph(userId);
+    return {
+      nodes: Object.values(g.nodes).sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id)),
+      edges: Object.values(g.edges)
+    };
+  }
+
+  function removeNode(userId, id) {
+    const g = userGraph(userId);
+    if (!g.nodes[id]) return false;
+    delete g.nodes[id];
+    for (const [key, edge] of Object.entries(g.edges)) {
+      if (edge.from === id || edge.to === id) delete g.edges[key];
+    }
+    save();
+    return true;
+  }
+
+  function clear(userId) {
+    const users = load().users;
+    if (!users[userId]) return false;
+    delete users[userId];
+    save();
+    return true;
+  }
+
+  /* a guest's graph becomes the signed-in account's; a topic both have keeps its newer map */
+  function reassignUser(fromUserId, toUserId) {
+    const users = load().users;
+    const from = users[fromUserId];
+    if (!from || fromUserId === toUserId) return 0;
+    const to = userGraph(toUserId, true);
+    let moved = 0;
+    for (const node of Object.values(from.nodes)) {
+      const mine = to.nodes[node.id];
+      if (!mine) {
+        if (Object.keys(to.nodes).length >= MAX_NODES) continue;
+        to.nodes[node.id] = node;
+        moved += 1;
+      } else if (node.exploredAt && !(mine.exploredAt >= node.exploredAt)) {
+        Object.assign(mine, { kind: node.kind, exploredAt: node.exploredAt, map: node.map });
+      }
+    }
+    for (const [key, edge] of Object.entries(from.edges)) {
+      if (!to.edges[key] && to.nodes[edge.from] && to.nodes[edge.to]) to.edges[key] = edge;
+    }
+    delete users[fromUserId];
+    save();
+    return moved;
+  }
+
+  return { merge, graph, removeNode, clear, reassignUser };
+}
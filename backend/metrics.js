@@ -0,0 +1,244 @@
+/* ----------------------
+   metrics.js - AI usage accounting, daily token budgets and the /api/metrics output
+   - per endpoint / provider / model: successful calls, failed provider attempts (by status),
+     prompt + completion tokens, latency histogram; cache hits and JSON (schema) failures per endpoint
+   - counters live in memory since the server started; the tokens spent per UTC day and endpoint
+     are kept in DATA_DIR/token-usage.json (last 31 days) so budgets survive restarts
+   - budgets (tokens per UTC day, 0 = none): AI_DAILY_TOKEN_BUDGET for all endpoints together,
+     AI_TOKEN_BUDGETS='{"upload":200000}' per endpoint; once spent, checkBudget() throws BudgetError
+   - providers that report no usage are counted with estimateTokens() of the messages / reply
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+import { estimateTokens } from "./history.js";
+
+const LATENCY_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 40];
+const KEEP_DAYS = 31;
+
+/**
+ * BudgetError - the daily token budget of an endpoint (or the global one) is spent (status 429).
+ * `scope` is the endpoint name or "total"; `resetsAt` is the next UTC midnight.
+ */
+export class BudgetError extends Error {
+  constructor(message, { scope, used, budget, resetsAt }) {
+    super(message);
+    this.name = "BudgetError";
+    this.status = 429;
+    this.scope = scope;
+    this.used = used;
+    this.budget = budget;
+    this.resetsAt = resetsAt;
+  }
+}
+
+function parseBudgets(raw) {
+  if (!raw) return {};
+  try {
+    return Object.fromEntries(Object.entries(JSON.parse(raw)).filter(([, v]) => Number(v) > 0).map(([k, v]) => [k, Number(v)]));
+  } catch (e) {
+    console.warn("AI_TOKEN_BUDGETS is not valid JSON, ignoring:", e?.message || e);
+    return {};
+  }
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function nextUtcMidnight() {
+  const d = new Date();
+  d.setUTCHours(24, 0, 0, 0);
+  return d.toISOString();
+}
+
+/* label values are quoted; backslashes, quotes and newlines escaped */
+function labels(obj) {
+  const parts = Object.entries(obj).map(([k, v]) => `${k}="${String(v ?? "").replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+/**
+ * createMetrics({ dataDir, env })
+ * - recordCall({ endpoint, provider, model, usage, latencyMs, attempts, messages, text })
+ *   after a provider answered; recordFailure({ endpoint, attempts, error }) when none did
+ * - recordCacheHit(endpoint), recordParseFailure(endpoint, schema)
+ * - checkBudget(endpoint) throws BudgetError; budgets() -> [{ scope, used, budget, remaining }]
+ * - prometheus() -> text exposition format; summary() -> JSON
+ */
+export function createMetrics({ dataDir, env = process.env }) {
+  const usagePath = path.join(dataDir, "token-usage.json");
+  const totalBudget = Number(env.AI_DAILY_TOKEN_BUDGET) > 0 ? Number(env.AI_DAILY_TOKEN_BUDGET) : 0;
+  const endpointBudgets = parseBudgets(env.AI_TOKEN_BUDGETS);
+  const startedAt = new Date().toISOString();
+
+  const series = new Map(); // endpoint|provider|model -> counters
+  const errors = new Map(); // endpoint|provider|model|status -> count
+  const cacheHits = new Map(); // endpoint -> count
+  const parseFailures = new Map(); // endpoint|schema -> count
+  const rejections = new Map(); // scope -> count
+  let daily = null; // { days: { "YYYY-MM-DD": { total, endpoints: { [endpoint]: tokens } } } }
+
+  function loadDaily() {
+    if (daily) return daily;
+    try {
+      daily = JSON.parse(fs.readFileSync(usagePath, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn("token-usage.json unreadable, starting fresh:", e?.message || e);
+      daily = {};
+    }
+    daily.days = daily.days || {};
+    return daily;
+  }
+
+  function saveDaily() {
+    const days = Object.keys(daily.days).sort();
+    for (const d of days.slice(0, Math.max(0, days.length - KEEP_DAYS))) delete daily.days[d];
+    fs.writeFileSync(usagePath + ".tmp", JSON.stringify(daily, null, 2), "utf8");
+    fs.renameSync(usagePath + ".tmp", usagePath);
+  }
+
+  function day(date = today()) {
+    const d = loadDaily().days;
+    d[date] = d[date] || { total: 0, endpoints: {} };
+    return d[date];
+  }
+
+  function bump(map, key, by = 1) {
+    map.set(key, (map.get(key) || 0) + by);
+  }
+
+  function seriesFor(endpoint, provider, model) {
+    const key = [endpoint, provider, model].join("\u0000");
+    if (!series.has(key)) {
+      series.set(key, { endpoint, provider, model, requests: 0, promptTokens: 0, completionTokens: 0, estimated: 0, latencySum: 0, buckets: LATENCY_BUCKETS.map(() => 0) });
+    }
+    return series.get(key);
+  }
+
+  function recordAttemptErrors(endpoint, attempts = []) {
+    for (const a of attempts) if (!a.ok) bump(errors, [endpoint, a.provider, a.model, a.status ?? "network"].join("\u0000"));
+  }
+
+  function recordCall({ endpoint = "ai", provider, model, usage, latencyMs = 0, attempts, messages = [], text = "" }) {
+    recordAttemptErrors(endpoint, attempts);
+    const s = seriesFor(endpoint, provider, model);
+    let prompt = usage?.prompt_tokens;
+    let completion = usage?.completion_tokens;
+    if (!usage || (!prompt && !completion)) {
+      prompt = messages.reduce((n, m) => n + estimateTokens(m.content), 0);
+      completion = estimateTokens(text);
+      s.estimated += 1;
+    }
+    s.requests += 1;
+    s.promptTokens += prompt;
+    s.completionTokens += completion;
+    const seconds = latencyMs / 1000;
+    s.latencySum += seconds;
+    LATENCY_BUCKETS.forEach((le, i) => { if (seconds <= le) s.buckets[i] += 1; });
+
+    const d = day();
+    d.total += prompt + completion;
+    d.endpoints[endpoint] = (d.endpoints[endpoint] || 0) + prompt + completion;
+    try {
+      saveDaily();
+    } catch (e) {
+      console.warn("Could not save token usage:", e?.message || e);
+    }
+  }
+
+  function recordFailure({ endpoint = "ai", attempts, error }) {
+    if (attempts && attempts.length) recordAttemptErrors(endpoint, attempts);
+    else bump(errors, [endpoint, error?.provider || "none", "", error?.status ?? "network"].join("\u0000"));
+  }
+
+  function recordCacheHit(endpoint = "ai") {
+    bump(cacheHits, endpoint);
+  }
+
+  function recordParseFailure(endpoint = "ai", schema = "") {
+    bump(parseFailures, [endpoint, schema].join("\u0000"));
+  }
+
+  /* [{ scope, used, budget, remaining }] for today (UTC) */
+  function budgets() {
+    const d = day();
+    const out = [];
+    if (totalBudget) out.push({ scope: "total", used: d.total, budget: totalBudget, remaining: Math.max(0, totalBudget - d.total) });
+    for (const [endpoint, budget] of Object.entries(endpointBudgets)) {
+      const used = d.endpoints[endpoint] || 0;
+      out.push({ scope: endpoint, used, budget, remaining: Math.max(0, budget - used) });
+    }
+    return out;
+  }
+
+  /* throws BudgetError when today's global or `endpoint` budget is used up */
+  function checkBudget(endpoint = "ai") {
+    const spent = budgets().find(b => (b.scope === "total" || b.scope === endpoint) && b.remaining <= 0);
+    if (!spent) return;
+    bump(rejections, endpoint);
+    const what = spent.scope === "total" ? "The daily AI token budget" : `The daily AI token budget for ${endpoint}`;
+    throw new BudgetError(`${what} (${spent.budget} tokens) is used up. It resets at midnight UTC.`, { ...spent, resetsAt: nextUtcMidnight() });
+  }
+
+  function prometheus() {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const [l, v] of samples) lines.push(`${name}${labels(l)} ${v}`);
+    };
+    const all = [...series.values()];
+    const base = s => ({ endpoint: s.endpoint, provider: s.provider, model: s.model });
+
+    metric("mystudyai_ai_requests_total", "counter", "AI calls answered by a provider.", all.map(s => [base(s), s.requests]));
+    metric("mystudyai_ai_tokens_total", "counter", "Tokens used by AI calls (estimated when the provider reports none).",
+      all.flatMap(s => [[{ ...base(s), type: "prompt" }, s.promptTokens], [{ ...base(s), type: "completion" }, s.completionTokens]]));
+    metric("mystudyai_ai_usage_estimated_total", "counter", "AI calls whose token usage had to be estimated.", all.map(s => [base(s), s.estimated]));
+
+    lines.push("# HELP mystudyai_ai_request_duration_seconds Time from request to full answer, fallbacks included.", "# TYPE mystudyai_ai_request_duration_seconds histogram");
+    for (const s of all) {
+      LATENCY_BUCKETS.forEach((le, i) => lines.push(`mystudyai_ai_request_duration_seconds_bucket${labels({ ...base(s), le })} ${s.buckets[i]}`));
+      lines.push(`mystudyai_ai_request_duration_seconds_bucket${labels({ ...base(s), le: "+Inf" })} ${s.requests}`);
+      lines.push(`mystudyai_ai_request_duration_seconds_sum${labels(base(s))} ${Number(s.latencySum.toFixed(3))}`);
+      lines.push(`mystudyai_ai_request_duration_seconds_count${labels(base(s))} ${s.requests}`);
+    }
+
+    metric("mystudyai_ai_errors_total", "counter", "Failed provider attempts (status \"network\" when there was no HTTP status).",
+      [...errors.entries()].map(([k, v]) => {
+        const [endpoint, provider, model, status] = k.split("\u0000");
+        return [{ endpoint, provider, model, status }, v];
+      }));
+    metric("mystudyai_ai_cache_hits_total", "counter", "AI calls answered from the response cache.", [...cacheHits.entries()].map(([endpoint, v]) => [{ endpoint }, v]));
+    metric("mystudyai_ai_json_parse_failures_total", "counter", "AI replies that did not match the endpoint's JSON schema.",
+      [...parseFailures.entries()].map(([k, v]) => {
+        const [endpoint, schema] = k.split("\u0000");
+        return [{ endpoint, schema }, v];
+      }));
+    metric("mystudyai_ai_budget_rejections_total", "counter", "Requests refused because a daily token budget was used up.", [...rejections.entries()].map(([endpoint, v]) => [{ endpoint }, v]));
+
+    const d = day();
+    metric("mystudyai_ai_tokens_today", "gauge", "Tokens used since midnight UTC.",
+      [[{ scope: "total" }, d.total], ...Object.entries(d.endpoints).map(([endpoint, v]) => [{ scope: endpoint }, v])]);
+    metric("mystudyai_ai_token_budget_daily", "gauge", "Configured daily token budgets.", budgets().map(b => [{ scope: b.scope }, b.budget]));
+    return lines.join("\n") + "\n";
+  }
+
+  function summary() {
+    const byEndpoint = {};
+    for (const s of series.values()) {
+      const e = (byEndpoint[s.endpoint] = byEndpoint[s.endpoint] || { requests: 0, promptTokens: 0, completionTokens: 0, errors: 0, cacheHits: 0, parseFailures: 0, avgLatencyMs: 0, models: [] });
+      e.requests += s.requests;
+      e.promptTokens += s.promptTokens;
+      e.completionTokens += s.completionTokens;
+      e.avgLatencyMs += s.latencySum * 1000;
+      e.models.push({ provider: s.provider, model: s.model, requests: s.requests, promptTokens: s.promptTokens, completionTokens: s.completionTokens, avgLatencyMs: s.requests ? Math.round((s.latencySum / s.requests) * 1000) : null });
+    }
+    const entry = name => (byEndpoint[name] = byEndpoint[name] || { requests: 0, promptTokens: 0, completionTokens: 0, errors: 0, cacheHits: 0, parseFailures: 0, avgLatencyMs: 0, models: [] });
+    for (const [k, v] of errors) entry(k.split("\u0000")[0]).errors += v;
+    for (const [endpoint, v] of cacheHits) entry(endpoint).cacheHits += v;
+    for (const [k, v] of parseFailures) entry(k.split("\u0000")[0]).parseFailures += v;
+    for (const e of Object.values(byEndpoint)) e.avgLatencyMs = e.requests ? Math.round(e.avgLatencyMs / e.requests) : null;
+
+    return { since: startedAt, endpoints: byEndpoint, daily: loadDaily().days, budgets: budgets() };
+  }
+
+  return { recordCall, recordFailure, recordCacheHit, recordParseFailure, checkBudget, budgets, prometheus, summary };
+}
@@ -0,0 +1,19 @@
+/* ----------------------
+   migrate-uploads.js - one-off migration of legacy uploads to content-addressed storage
+   Usage: npm run migrate:uploads   (reads UPLOAD_DIR / DATA_DIR from .env like server.js)
+   Byte-identical copies collapse into one blob; old filenames keep working as aliases.
+   ---------------------- */
+
+import dotenv from "dotenv";
+import fs from "fs";
+import { createBlobStore } from "./blobs.js";
+
+dotenv.config();
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || "uploads";
+const DATA_DIR = process.env.DATA_DIR || "data";
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+const blobs = createBlobStore({ uploadDir: UPLOAD_DIR, dataDir: DATA_DIR });
+const summary = await blobs.importLegacy();
+console.log(`Imported ${summary.imported} upload(s), merged ${summary.duplicates} duplicate(s), skipped ${summary.missing} meta file(s) without their upload.`);
@@ -0,0 +1,136 @@
+/* ----------------------
+   mock.js - offline "mock" AI provider answering from fixture files (development, demos, e2e)
+   - AI_MOCK=replay (or 1/on) makes "mock" the only provider: nothing leaves the machine.
+     A call is answered by the fixture recorded for exactly that request
+     (fixtures/<endpoint>/<key>.json), else the endpoint's newest recording, else its
+     default.json (from backend/fixtures when AI_MOCK_DIR has none), else a placeholder text
+   - AI_MOCK=record keeps the real providers and saves every successful reply as a fixture of
+     its endpoint, so a session against a real model can be replayed offline later. Recordings go
+     to AI_MOCK_RECORD_DIR (default DATA_DIR/fixtures), never straight over backend/fixtures;
+     `npm run fixtures:record` promotes a reviewed set to the bundled default.json files
+   - AI_MOCK_DIR overrides the directory replay reads (default backend/fixtures); point it at a
+     recording directory to replay that session
+   - a fixture is { endpoint, key, recordedAt, provider, model, prompt (excerpt), text, usage };
+     hand-written ones may give `json` instead of `text`
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+export const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+/* "replay" | "record" | null */
+export function mockMode(env = process.env) {
+  const raw = String(env.AI_MOCK || "").trim().toLowerCase();
+  if (!raw || /^(0|off|false|no)$/.test(raw)) return null;
+  if (raw === "record") return "record";
+  if (/^(1|on|true|yes|replay)$/.test(raw)) return "replay";
+  console.warn(`AI_MOCK="${env.AI_MOCK}" is not one of replay, record, off - ignoring`);
+  return null;
+}
+
+/* the directory a mode reads or writes fixtures in */
+export function fixtureDir(mode, env = process.env) {
+  if (mode === "record") return env.AI_MOCK_RECORD_DIR || path.join(env.DATA_DIR || "data", "fixtures");
+  return env.AI_MOCK_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+/* the request a fixture answers: endpoint + exact messages (not the model, which differs on replay) */
+export function fixtureKey(endpoint, messages) {
+  const material = JSON.stringify({ endpoint, messages: messages.map(m => [m.role, m.content]) });
+  return crypto.createHash("sha256").update(material).digest("hex").slice(0, 16);
+}
+
+const estimate = text => Math.ceil(String(text || "").length / 4);
+
+/**
+ * createFixtureStore({ dir })
+ * - find(endpoint, messages) -> { fixture, match: "exact" | "latest" | "default" } or null
+ * - record(endpoint, messages, { text, usage, provider, model }) -> file written
+ */
+export function createFixtureStore({ dir = DEFAULT_FIXTURES_DIR } = {}) {
+  const endpointDir = (endpoint, root = dir) => path.join(root, String(endpoint || "ai").replace(/[^\w-]/g, "_"));
+
+  function read(file) {
+    try {
+      const f = JSON.parse(fs.readFileSync(file, "utf8"));
+      return typeof f.text === "string" ? f : f.json !== undefined ? { ...f, text: JSON.stringify(f.json, null, 2) } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function find(endpoint, messages) {
+    const d = endpointDir(endpoint);
+    const bundled = () => {
+      const f = read(path.join(endpointDir(endpoint, DEFAULT_FIXTURES_DIR), "default.json"));
+      return f ? { fixture: f, match: "default" } : null;
+    };
+    if (!fs.existsSync(d)) return bundled();
+    const exact = read(path.join(d, `${fixtureKey(endpoint, messages)}.json`));
+    if (exact) return { fixture: exact, match: "exact" };
+    const recorded = fs.readdirSync(d)
+      .filter(n => n.endsWith(".json") && n !== "default.json")
+      .map(n => read(path.join(d, n)))
+      .filter(Boolean)
+      .sort((a, b) => String(b.recordedAt).localeCompare(String(a.recordedAt)) || String(a.key).localeCompare(String(b.key)));
+    if (recorded.length) return { fixture: recorded[0], match: "latest" };
+    const fallback = read(path.join(d, "default.json"));
+    return fallback ? { fixture: fallback, match: "default" } : bundled();
+  }
+
+  function record(endpoint, messages, { text, usage, provider, model }) {
+    const d = endpointDir(endpoint);
+    fs.mkdirSync(d, { recursive: true });
+    const key = fixtureKey(endpoint, messages);
+    const prompt = String([...messages].reverse().find(m => m.role === "user")?.content || "").slice(0, 300);
+    const file = path.join(d, `${key}.json`);
+    const fixture = { endpoint, key, recordedAt: new Date().toISOString(), provider, model, prompt, text, usage: usage || null };
+    fs.writeFileSync(file + ".tmp", JSON.stringify(fixture, null, 2) + "\n", "utf8");
+    fs.renameSync(file + ".tmp", file);
+    return file;
+  }
+
+  return { dir, find, record };
+}
+
+/**
+ * createMockAdapter({ fixtures })
+ * - the provider adapter behind AI_MOCK=replay (see the adapter contract in providers.js);
+ *   deterministic: the same request always gets the same text and usage
+ */
+export function createMockAdapter({ fixtures }) {
+  function reply(endpoint, messages) {
+    const found = fixtures.find(endpoint, messages);
+    const text = found ? found.fixture.text : `(mock reply - no fixture for "${endpoint || "ai"}" in ${fixtures.dir})`;
+    const usage = found?.fixture.usage || (() => {
+      const prompt_tokens = messages.reduce((n, m) => n + estimate(m.content), 0);
+      const completion_tokens = estimate(text);
+      return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+    })();
+    return { text, usage, match: found?.match || "none" };
+  }
+
+  return {
+    name: "mock",
+    configured: true,
+    defaultModel: "fixtures",
+    async chat({ endpoint, messages, signal }) {
+      signal?.throwIfAborted();
+      const { text, usage, match } = reply(endpoint, messages);
+      return { text, raw: { mock: true, match }, usage };
+    },
+    async *stream({ endpoint, messages, signal }) {
+      const { text, usage } = reply(endpoint, messages);
+      // word-sized deltas, like a real provider
+      for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+        signal?.throwIfAborted();
+        await new Promise(resolve => setImmediate(resolve));
+        yield { delta: piece };
+      }
+      yield { usage };
+    }
+  };
+}
@@ -0,0 +1,131 @@
+/* ----------------------
+   ocr.js - OCR fallback for PDF pages without a usable text layer (scanned PDFs)
+   - pages whose text layer has fewer than OCR_MIN_CHARS characters are rasterized with
+     pdf2pic (GraphicsMagick/ImageMagick + Ghostscript) and read with tesseract, one page at a time
+   - tesseract runs with the "tsv" preset so each page gets a mean word confidence (0-100)
+   - OCR text is merged into the page's text-layer lines, so chunking stays page-aware
+   Env: OCR_LANG (default eng), OCR_DENSITY (dpi, default 200), OCR_MIN_CHARS (default 40),
+        OCR_MAX_PAGES (default 50; pages beyond that are left as-is)
+   ---------------------- */
+
+import * as tesseract from 'node-tesseract-ocr';
+
+/* Optional pdf2pic import (soft) - it also needs gm/ImageMagick and Ghostscript on the host */
+let pdf2pic = null;
+try {
+  pdf2pic = await import('pdf2pic');
+} catch (e) {
+  pdf2pic = null;
+  console.warn("pdf2pic not installed. Install with: npm install pdf2pic to enable OCR of scanned PDFs.");
+}
+
+export function ocrSettings(env = process.env) {
+  return {
+    lang: env.OCR_LANG || "eng",
+    density: Number(env.OCR_DENSITY) || 200,
+    minChars: Number(env.OCR_MIN_CHARS) || 40,
+    maxPages: Number(env.OCR_MAX_PAGES) || 50
+  };
+}
+
+function pageChars(page) {
+  return page.lines.reduce((n, l) => n + l.text.replace(/\s/g, "").length, 0);
+}
+
+/**
+ * parseTsv(tsv)
+ * - tesseract TSV -> { lines: [string], confidence } (mean word confidence, weighted by word length)
+ */
+export function parseTsv(tsv) {
+  const rows = String(tsv || "").split(/\r?\n/).slice(1);
+  const lines = new Map(); // "block.par.line" -> words
+  let confSum = 0;
+  let confWeight = 0;
+  for (const row of rows) {
+    const cols = row.split("\t");
+    if (cols.length < 12 || cols[0] !== "5") continue; // level 5 = word
+    const word = cols.slice(11).join("\t").trim();
+    const conf = Number(cols[10]);
+    if (!word) continue;
+    const key = `${cols[2]}.${cols[3]}.${cols[4]}`;
+    if (!lines.has(key)) lines.set(key, []);
+    lines.get(key).push(word);
+    if (conf >= 0) {
+      confSum += conf * word.length;
+      confWeight += word.length;
+    }
+  }
+  return {
+    lines: [...lines.values()].map(words => words.join(" ")),
+    confidence: confWeight ? Math.round((confSum / confWeight) * 10) / 10 : 0
+  };
+}
+
+/* rasterize one page (1-based) to a PNG buffer sized from the page box (points) at `density` dpi */
+async function rasterizePage(pdfPath, page, density) {
+  const [x0, y0, x1, y1] = Array.isArray(page.view) ? page.view : [0, 0, 612, 792];
+  const scale = density / 72;
+  const convert = pdf2pic.fromPath(pdfPath, {
+    density,
+    format: "png",
+    width: Math.round(Math.abs(x1 - x0) * scale),
+    height: Math.round(Math.abs(y1 - y0) * scale),
+    preserveAspectRatio: false
+  });
+  const out = await convert(page.page, { responseType: "buffer" });
+  if (!out || !out.buffer || !out.buffer.length) throw new Error(`Rasterizing page ${page.page} produced no image (are GraphicsMagick and Ghostscript installed?)`);
+  return out.buffer;
+}
+
+/* existing text-layer lines are kept unless the OCR output already contains them */
+function mergeLines(textLines, ocrLines) {
+  const norm = s => s.toLowerCase().replace(/[^a-z0-9]+/g, "");
+  const ocrText = norm(ocrLines.join(" "));
+  const extra = textLines.filter(l => norm(l.text) && !ocrText.includes(norm(l.text)));
+  return [...extra, ...ocrLines.map(text => ({ text, size: 0 }))];
+}
+
+/**
+ * ocrLowTextPages(pdfPath, pages, { env, onPage })
+ * - pages: output of extractPdfPages() (mutated in place: OCR'd pages get merged lines)
+ * - onPage({ page, index, total }) is called before each page is OCR'd (progress reporting)
+ * - returns { ocrPages: [{ page, confidence, chars }], skipped: [page], error }
+ *   error is set when the OCR toolchain is unavailable; pages are then left untouched
+ */
+export async function ocrLowTextPages(pdfPath, pages, { env = process.env, onPage = null } = {}) {
+  const settings = ocrSettings(env);
+  const candidates = pages.filter(p => pageChars(p) < settings.minChars);
+  const result = { ocrPages: [], skipped: [], error: null };
+  if (!candidates.length) return result;
+  if (!pdf2pic) {
+    result.error = "pdf2pic not installed";
+    result.skipped = candidates.map(p => p.page);
+    return result;
+  }
+
+  const todo = candidates.slice(0, settings.maxPages);
+  result.skipped = candidates.slice(settings.maxPages).map(p => p.page);
+  for (let i = 0; i < todo.length; i++) {
+    const page = todo[i];
+    if (onPage) onPage({ page: page.page, index: i + 1, total: todo.length });
+    try {
+      const image = await rasterizePage(pdfPath, page, settings.density);
+      const tsv = await tesseract.recognize(image, { lang: settings.lang, oem: 1, psm: 3, presets: ["tsv"] });
+      const { lines, confidence } = parseTsv(tsv);
+      page.lines = mergeLines(page.lines, lines);
+      page.ocr = true;
+      result.ocrPages.push({ page: page.page, confidence, chars: lines.join(" ").length });
+    } catch (e) {
+      console.warn(`OCR failed for page ${page.page} of ${pdfPath}:`, e?.message || e);
+      // missing binaries fail every page the same way - stop instead of retrying each page
+      if (!result.ocrPages.length && i === 0) {
+        result.error = String(e?.message || e);
+        result.skipped.unshift(...todo.map(p => p.page));
+        return result;
+      }
+      result.skipped.push(page.page);
+    }
+  }
+  result.skipped.sort((a, b) => a - b);
+  return result;
+}
@@ -0,0 +1,208 @@
+/* ----------------------
+   png.js - minimal PNG codec (zlib only) for resizing generated images and making thumbnails
+   - decodes 8-bit, non-interlaced PNGs of every colour type to RGBA; anything else throws
+   - encodes RGB (when fully opaque) or RGBA with per-row adaptive filtering
+   ---------------------- */
+
+import zlib from "zlib";
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+export function isPng(buf) {
+  return Buffer.isBuffer(buf) && buf.length > 24 && buf.subarray(0, 8).equals(SIGNATURE);
+}
+
+/* { width, height } from the IHDR chunk, or null */
+export function pngSize(buf) {
+  return isPng(buf) ? { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) } : null;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * decodePng(buffer) -> { width, height, data } (data: RGBA bytes, row by row)
+ */
+export function decodePng(buf) {
+  if (!isPng(buf)) throw new Error("Not a PNG file");
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  while (offset + 8 <= buf.length) {
+    const length = buf.readUInt32BE(offset);
+    const type = buf.toString("latin1", offset + 4, offset + 8);
+    const body = buf.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+    if (type === "IHDR") {
+      header = { width: body.readUInt32BE(0), height: body.readUInt32BE(4), depth: body[8], colorType: body[9], interlace: body[12] };
+    } else if (type === "PLTE") palette = body;
+    else if (type === "tRNS") transparency = body;
+    else if (type === "IDAT") idat.push(body);
+    else if (type === "IEND") break;
+  }
+  if (!header) throw new Error("PNG has no IHDR chunk");
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (depth !== 8 || !channels || interlace) throw new Error(`Unsupported PNG (bit depth ${depth}, colour type ${colorType}, interlace ${interlace})`);
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= channels ? pixels[out + x - channels] : 0;
+      const b = y ? pixels[out - stride + x] : 0;
+      const c = y && x >= channels ? pixels[out - stride + x - channels] : 0;
+      const predictor = filter === 1 ? a : filter === 2 ? b : filter === 3 ? (a + b) >> 1 : filter === 4 ? paeth(a, b, c) : 0;
+      pixels[out + x] = (line[x] + predictor) & 0xff;
+    }
+  }
+
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+    let r, g, b, a = 255;
+    if (colorType === 3) {
+      const idx = pixels[j];
+      [r, g, b] = [palette[idx * 3], palette[idx * 3 + 1], palette[idx * 3 + 2]];
+      if (transparency && idx < transparency.length) a = transparency[idx];
+    } else if (colorType === 0 || colorType === 4) {
+      r = g = b = pixels[j];
+      if (colorType === 4) a = pixels[j + 1];
+    } else {
+      [r, g, b] = [pixels[j], pixels[j + 1], pixels[j + 2]];
+      if (colorType === 6) a = pixels[j + 3];
+    }
+    data[i * 4] = r;
+    data[i * 4 + 1] = g;
+    data[i * 4 + 2] = b;
+    data[i * 4 + 3] = a;
+  }
+  return { width, height, data };
+}
+
+function chunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, "latin1");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+  return Buffer.concat([head, body, crc]);
+}
+
+/**
+ * encodePng({ width, height, data }) -> Buffer
+ * - data: RGBA bytes; written as RGB when every pixel is opaque
+ */
+export function encodePng({ width, height, data }) {
+  let opaque = true;
+  for (let i = 3; i < data.length; i += 4) if (data[i] !== 255) { opaque = false; break; }
+  const channels = opaque ? 3 : 4;
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+  for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+    pixels[j] = data[i * 4];
+    pixels[j + 1] = data[i * 4 + 1];
+    pixels[j + 2] = data[i * 4 + 2];
+    if (!opaque) pixels[j + 3] = data[i * 4 + 3];
+  }
+
+  // per row, the filter with the smallest sum of absolute (signed) residuals
+  const raw = Buffer.alloc((stride + 1) * height);
+  const candidate = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    let bestScore = Infinity;
+    for (let filter = 0; filter <= 4; filter++) {
+      let score = 0;
+      for (let x = 0; x < stride; x++) {
+        const a = x >= channels ? pixels[row + x - channels] : 0;
+        const b = y ? pixels[row - stride + x] : 0;
+        const c = y && x >= channels ? pixels[row - stride + x - channels] : 0;
+        const predictor = filter === 1 ? a : filter === 2 ? b : filter === 3 ? (a + b) >> 1 : filter === 4 ? paeth(a, b, c) : 0;
+        const v = (pixels[row + x] - predictor) & 0xff;
+        candidate[x] = v;
+        score += v < 128 ? v : 256 - v;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        raw[y * (stride + 1)] = filter;
+        candidate.copy(raw, y * (stride + 1) + 1);
+      }
+    }
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = opaque ? 2 : 6;
+  return Buffer.concat([SIGNATURE, chunk("IHDR", ihdr), chunk("IDAT", zlib.deflateSync(raw, { level: 9 })), chunk("IEND", Buffer.alloc(0))]);
+}
+
+/**
+ * resizeImage(image, width, height) -> image of exactly width x height
+ * - center-crops to the target aspect ratio first (nothing is stretched), then averages the
+ *   source pixels under each target pixel (nearest pixel when enlarging)
+ */
+export function resizeImage(image, width, height) {
+  if (image.width === width && image.height === height) return image;
+  const targetRatio = width / height;
+  let cropW = image.width;
+  let cropH = image.height;
+  if (cropW / cropH > targetRatio) cropW = Math.max(1, Math.round(cropH * targetRatio));
+  else cropH = Math.max(1, Math.round(cropW / targetRatio));
+  const left = Math.floor((image.width - cropW) / 2);
+  const top = Math.floor((image.height - cropH) / 2);
+
+  const data = Buffer.alloc(width * height * 4);
+  const sx = cropW / width;
+  const sy = cropH / height;
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * sy);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * sy));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * sx);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * sx));
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let yy = y0; yy < y1; yy++) {
+        let i = ((top + yy) * image.width + left + x0) * 4;
+        for (let xx = x0; xx < x1; xx++, i += 4) {
+          r += image.data[i];
+          g += image.data[i + 1];
+          b += image.data[i + 2];
+          a += image.data[i + 3];
+        }
+      }
+      const n = (y1 - y0) * (x1 - x0);
+      const o = (y * width + x) * 4;
+      data[o] = Math.round(r / n);
+      data[o + 1] = Math.round(g / n);
+      data[o + 2] = Math.round(b / n);
+      data[o + 3] = Math.round(a / n);
+    }
+  }
+  return { width, height, data };
+}
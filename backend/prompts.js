@@ -0,0 +1,122 @@
+/* ----------------------
+   prompts.js - /api/ai prompt composition from the templates in backend/prompts/ (PROMPTS_DIR)
+   - frame.md holds {{persona}}, {{instructions}} and {{prompt}}; instructions stack one layer
+     per concern: length/<mode>, math/<plain|latex>, pedagogy/<structured|step-by-step>,
+     difficulty/<beginner|intermediate|expert>
+   - modes: short (final answer only), mcq, standard, detailed. body.mode picks one, else
+     body.detailed, else classifyPrompt(), else standard
+   - short and mcq answers skip the pedagogy and difficulty layers (they would contradict a
+     one-line answer); the skipped layers are listed in the composed result
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "prompts");
+
+export const MODES = ["short", "mcq", "standard", "detailed"];
+const MODE_TOKENS = { short: 300, mcq: 300, standard: 900, detailed: 1500 };
+const DIFFICULTIES = { beginner: "beginner", easy: "beginner", intermediate: "intermediate", medium: "intermediate", expert: "expert", hard: "expert" };
+const REQUIRED = [
+  "frame", "persona",
+  ...MODES.map(m => `length/${m}`),
+  "math/plain", "math/latex",
+  "pedagogy/structured", "pedagogy/step-by-step",
+  "difficulty/beginner", "difficulty/intermediate", "difficulty/expert"
+];
+
+const SHORT_ANSWER = /\b(?:(?:one|1)[- ]marks?|(?:final )?answer only|just the (?:final )?answer|only the (?:final )?answer|in one word|one[- ]word answer|one[- ]line answer)\b/i;
+const DETAILED_ANSWER = /\b(?:detailed|in detail|long answer|very big|one and (?:a )?half pages?|(?:10|ten|15|fifteen|16|sixteen)[- ]marks?)\b/i;
+const MCQ_WORDS = /\b(?:mcqs?|multiple[- ]choice)\b/i;
+const CHOICE_CUE = /\b(?:which of the following|choose the|select the|pick the|correct option)\b/i;
+
+/* option labels written the way MCQs are: "(a) ..." / "a) ..." anywhere, "a. ..." / "A: ..." at a line start */
+function optionLabels(text) {
+  const found = new Set();
+  for (const m of text.matchAll(/(?:^|\s)\(?([a-d])\)\s*\S/gim)) found.add(m[1].toLowerCase());
+  for (const m of text.matchAll(/^\s*([a-d])[.:]\s+\S/gim)) found.add(m[1].toLowerCase());
+  return found;
+}
+
+/**
+ * classifyPrompt(prompt) -> "mcq" | "short" | "detailed" | null
+ * - mcq: says MCQ / multiple choice, or lists options a-c, or options a-b with a cue like
+ *   "which of the following" (a lone "a", "option" or "choose" is not enough)
+ * - short: asks for a one-mark or answer-only reply; detailed: asks for a long answer
+ */
+export function classifyPrompt(prompt) {
+  const text = String(prompt || "");
+  const labels = optionLabels(text);
+  const listsOptions = labels.has("a") && labels.has("b") && (labels.has("c") || CHOICE_CUE.test(text));
+  if (MCQ_WORDS.test(text) || listsOptions) return "mcq";
+  if (SHORT_ANSWER.test(text)) return "short";
+  if (DETAILED_ANSWER.test(text)) return "detailed";
+  return null;
+}
+
+function loadTemplates(dir) {
+  const templates = {};
+  const walk = (sub) => {
+    for (const entry of fs.readdirSync(path.join(dir, sub), { withFileTypes: true })) {
+      const rel = sub ? `${sub}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) walk(rel);
+      else if (entry.name.endsWith(".md")) templates[rel.slice(0, -3)] = fs.readFileSync(path.join(dir, rel), "utf8").trim();
+    }
+  };
+  walk("");
+  const missing = REQUIRED.filter(name => !templates[name]);
+  if (missing.length) throw new Error(`Prompt templates missing in ${dir}: ${missing.map(n => n + ".md").join(", ")}`);
+  return templates;
+}
+
+/* "{{name}}" -> vars.name */
+function render(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => vars[name] ?? "");
+}
+
+/**
+ * createPromptComposer({ dir })
+ * - compose(body) -> { wrapperPrompt, tokens, mode, modeSource, layers, skipped }
+ *   body: { prompt, mode, detailed, latex, stepByStep, difficulty, max_tokens }
+ * - templates are read once; reload() picks up edited files
+ */
+export function createPromptComposer({ dir = process.env.PROMPTS_DIR || DEFAULT_DIR } = {}) {
+  let templates = loadTemplates(dir);
+
+  function compose(body) {
+    const { prompt, mode, detailed, latex, stepByStep, difficulty, max_tokens } = body || {};
+    let useMode = MODES.includes(mode) ? mode : null;
+    let modeSource = useMode ? "request" : null;
+    if (!useMode && detailed === true) [useMode, modeSource] = ["detailed", "detailed flag"];
+    if (!useMode) {
+      const guessed = classifyPrompt(prompt);
+      [useMode, modeSource] = guessed ? [guessed, "classifier"] : ["standard", "default"];
+    }
+    const oneLine = useMode === "short" || useMode === "mcq";
+    const useLatex = Boolean(latex) || /latex|\$\$/i.test(prompt);
+    const level = DIFFICULTIES[String(difficulty || "").toLowerCase()] || null;
+
+    const layers = [`length/${useMode}`, useLatex ? "math/latex" : "math/plain"];
+    const skipped = [];
+    const pedagogy = stepByStep ? "pedagogy/step-by-step" : "pedagogy/structured";
+    if (oneLine) skipped.push(pedagogy);
+    else layers.push(pedagogy);
+    if (level) (oneLine ? skipped : layers).push(`difficulty/${level}`);
+
+    const wrapperPrompt = render(templates.frame, {
+      persona: templates.persona,
+      instructions: layers.map(name => templates[name]).join("\n"),
+      prompt
+    });
+    const base = MODE_TOKENS[useMode];
+    const tokens = max_tokens || (useLatex && !oneLine ? Math.max(base, 1500) : base);
+    return { wrapperPrompt, tokens, mode: useMode, modeSource, layers: ["frame", "persona", ...layers], skipped };
+  }
+
+  function reload() {
+    templates = loadTemplates(dir);
+  }
+
+  return { compose, reload, dir };
+}
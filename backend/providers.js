@@ -0,0 +1,438 @@
+/* ----------------------
+   providers.js - pluggable LLM provider layer
+   Adapters: Groq, OpenAI (or any OpenAI-compatible API), Gemini (@google/genai),
+   and a local OpenAI-compatible server (Ollama, LM Studio, llama.cpp, vLLM...).
+
+   Configuration (.env):
+     GROQ_API_KEY, GROQ_MODEL
+     OPENAI_API_KEY, OPENAI_MODEL, OPENAI_BASE_URL (optional)
+     GEMINI_API_KEY (or GOOGLE_API_KEY), GEMINI_MODEL
+     LOCAL_LLM_URL (e.g. http://localhost:11434/v1), LOCAL_LLM_MODEL, LOCAL_LLM_API_KEY (optional)
+     AI_PROVIDER_ORDER  comma list used as the fallback order (default: groq,openai,gemini,local)
+     AI_ROUTES          JSON map of endpoint -> "provider:model" or { provider, model }
+                        e.g. {"planner":"openai:gpt-4o-mini","file-qa":{"provider":"gemini"}}
+     AI_MOCK            replay: answer from fixture files only (offline), record: save real
+                        replies as fixtures (see mock.js); AI_MOCK_DIR for the directory replay
+                        reads, AI_MOCK_RECORD_DIR for the one record writes (default DATA_DIR/fixtures)
+
+   A call starts with the endpoint's routed provider (if any) and falls back through the
+   remaining configured providers, in order, when a provider is rate limited (429),
+   returns a 5xx, or cannot be reached.
+   ---------------------- */
+
+import { mockMode, fixtureDir, createFixtureStore, createMockAdapter } from "./mock.js";
+
+let Groq = null;
+let OpenAI = null;
+let GoogleGenAI = null;
+try {
+  // dynamic imports so the process won't crash if a package is missing
+  Groq = (await import("groq-sdk")).default;
+} catch (e) {
+  console.warn("Groq SDK not installed or failed to load. Install with: npm install groq-sdk");
+}
+try {
+  OpenAI = (await import("openai")).default;
+} catch (e) {
+  console.warn("openai package not installed. Install with: npm install openai");
+}
+try {
+  GoogleGenAI = (await import("@google/genai")).GoogleGenAI;
+} catch (e) {
+  console.warn("@google/genai not installed. Install with: npm install @google/genai");
+}
+
+const DEFAULT_ORDER = ["groq", "openai", "gemini", "local"];
+
+/**
+ * ProviderError - error raised by an adapter.
+ * `status` is the upstream HTTP status (if any); `retryable` tells the fallback
+ * loop whether the next provider should be tried.
+ */
+export class ProviderError extends Error {
+  constructor(message, { provider, status, cause } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.provider = provider || null;
+    this.status = typeof status === "number" ? status : null;
+    this.retryable = isRetryableStatus(this.status);
+    if (cause) this.cause = cause;
+  }
+}
+
+/* 429 / 5xx and network failures (no status at all) move on to the next provider */
+function isRetryableStatus(status) {
+  if (status === null || status === undefined) return true;
+  return status === 429 || status >= 500;
+}
+
+export function toProviderError(err, provider) {
+  if (err instanceof ProviderError) return err;
+  const status = err?.status ?? err?.response?.status ?? err?.code;
+  const msg = err?.message || String(err);
+  return new ProviderError(`${provider} error: ${msg}`, { provider, status: typeof status === "number" ? status : null, cause: err });
+}
+
+function normalizeUsage(u) {
+  if (!u) return null;
+  const prompt = u.prompt_tokens ?? u.promptTokenCount ?? 0;
+  const completion = u.completion_tokens ?? u.candidatesTokenCount ?? 0;
+  const total = u.total_tokens ?? u.totalTokenCount ?? (prompt + completion);
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: total };
+}
+
+/* ----------------------
+   Adapters
+   Every adapter exposes: name, configured, defaultModel,
+     chat({ messages, model, max_tokens, temperature, signal })   -> { text, raw, usage }
+     stream({ messages, model, max_tokens, temperature, signal }) -> async iterator of
+       { delta } items, finishing with one { usage } item
+   Both also receive `endpoint` (only the mock adapter in mock.js uses it).
+   ---------------------- */
+
+/* Groq and OpenAI-compatible clients share the same chat.completions API.
+   `streamUsage` asks for a final usage chunk (OpenAI only; many local servers reject the option) */
+function openAIStyleAdapter(name, client, defaultModel, { streamUsage = false } = {}) {
+  return {
+    name,
+    configured: !!client,
+    defaultModel,
+    async chat({ messages, model, max_tokens, temperature, signal }) {
+      if (!client) throw new ProviderError(`${name} is not configured`, { provider: name, status: 503 });
+      try {
+        const response = await client.chat.completions.create({ model, messages, max_tokens, temperature }, { signal });
+        const out = response?.choices?.[0]?.message?.content;
+        return { text: out ? String(out) : JSON.stringify(response), raw: response, usage: normalizeUsage(response?.usage) };
+      } catch (err) {
+        throw toProviderError(err, name);
+      }
+    },
+    async *stream({ messages, model, max_tokens, temperature, signal }) {
+      if (!client) throw new ProviderError(`${name} is not configured`, { provider: name, status: 503 });
+      let usage = null;
+      try {
+        const body = { model, messages, max_tokens, temperature, stream: true };
+        if (streamUsage) body.stream_options = { include_usage: true };
+        const stream = await client.chat.completions.create(body, { signal });
+        for await (const chunk of stream) {
+          const delta = chunk?.choices?.[0]?.delta?.content;
+          if (delta) yield { delta: String(delta) };
+          // Groq reports usage on the last chunk under x_groq, OpenAI under usage
+          const u = chunk?.usage || chunk?.x_groq?.usage;
+          if (u) usage = normalizeUsage(u);
+        }
+      } catch (err) {
+        throw toProviderError(err, name);
+      }
+      yield { usage };
+    }
+  };
+}
+
+function createGroqAdapter(env) {
+  let client = null;
+  if (Groq && env.GROQ_API_KEY) {
+    try {
+      client = new Groq({ apiKey: env.GROQ_API_KEY });
+    } catch (e) {
+      console.warn("Failed to create Groq client:", e?.message || e);
+    }
+  }
+  return openAIStyleAdapter("groq", client, env.GROQ_MODEL || "llama-3.1-8b-instant");
+}
+
+function createOpenAIAdapter(env) {
+  let client = null;
+  if (OpenAI && env.OPENAI_API_KEY) {
+    try {
+      client = new OpenAI({ apiKey: env.OPENAI_API_KEY, baseURL: env.OPENAI_BASE_URL || undefined });
+    } catch (e) {
+      console.warn("Failed to create OpenAI client:", e?.message || e);
+    }
+  }
+  return openAIStyleAdapter("openai", client, env.OPENAI_MODEL || "gpt-4o-mini", { streamUsage: true });
+}
+
+function createLocalAdapter(env) {
+  let client = null;
+  if (OpenAI && env.LOCAL_LLM_URL) {
+    try {
+      // most local servers ignore the key but the SDK requires one
+      client = new OpenAI({ apiKey: env.LOCAL_LLM_API_KEY || "local", baseURL: env.LOCAL_LLM_URL });
+    } catch (e) {
+      console.warn("Failed to create local LLM client:", e?.message || e);
+    }
+  }
+  return openAIStyleAdapter("local", client, env.LOCAL_LLM_MODEL || "llama3.1");
+}
+
+/* Gemini takes the system prompt separately and uses "model" instead of "assistant" */
+function toGeminiRequest(messages) {
+  const system = messages.filter(m => m.role === "system").map(m => m.content).join("\n\n");
+  const contents = messages
+    .filter(m => m.role !== "system")
+    .map(m => ({ role: m.role === "assistant" ? "model" : "user", parts: [{ text: String(m.content) }] }));
+  // Gemini rejects a conversation that opens with a model turn (trimmed histories can)
+  if (contents.length && contents[0].role === "model") contents.unshift({ role: "user", parts: [{ text: "(continuing our conversation)" }] });
+  return { system, contents };
+}
+
+function createGeminiAdapter(env) {
+  const apiKey = env.GEMINI_API_KEY || env.GOOGLE_API_KEY;
+  let client = null;
+  if (GoogleGenAI && apiKey) {
+    try {
+      client = new GoogleGenAI({ apiKey });
+    } catch (e) {
+      console.warn("Failed to create Gemini client:", e?.message || e);
+    }
+  }
+  return {
+    name: "gemini",
+    configured: !!client,
+    defaultModel: env.GEMINI_MODEL || "gemini-2.0-flash",
+    async chat({ messages, model, max_tokens, temperature, signal }) {
+      if (!client) throw new ProviderError("gemini is not configured", { provider: "gemini", status: 503 });
+      const { system, contents } = toGeminiRequest(messages);
+      try {
+        const response = await client.models.generateContent({
+          model,
+          contents,
+          config: { systemInstruction: system || undefined, maxOutputTokens: max_tokens, temperature, abortSignal: signal }
+        });
+        return { text: String(response?.text || ""), raw: response, usage: normalizeUsage(response?.usageMetadata) };
+      } catch (err) {
+        throw toProviderError(err, "gemini");
+      }
+    },
+    async *stream({ messages, model, max_tokens, temperature, signal }) {
+      if (!client) throw new ProviderError("gemini is not configured", { provider: "gemini", status: 503 });
+      const { system, contents } = toGeminiRequest(messages);
+      let usage = null;
+      try {
+        const stream = await client.models.generateContentStream({
+          model,
+          contents,
+          config: { systemInstruction: system || undefined, maxOutputTokens: max_tokens, temperature, abortSignal: signal }
+        });
+        for await (const chunk of stream) {
+          if (chunk?.text) yield { delta: String(chunk.text) };
+          if (chunk?.usageMetadata) usage = normalizeUsage(chunk.usageMetadata);
+        }
+      } catch (err) {
+        throw toProviderError(err, "gemini");
+      }
+      yield { usage };
+    }
+  };
+}
+
+/* ----------------------
+   Registry
+   ---------------------- */
+
+function parseRoutes(raw) {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    const routes = {};
+    for (const [endpoint, value] of Object.entries(parsed || {})) {
+      if (typeof value === "string") {
+        const [provider, ...rest] = value.split(":");
+        routes[endpoint] = { provider: provider || null, model: rest.join(":") || null };
+      } else if (value && typeof value === "object") {
+        routes[endpoint] = { provider: value.provider || null, model: value.model || null };
+      }
+    }
+    return routes;
+  } catch (e) {
+    console.warn("AI_ROUTES is not valid JSON, ignoring:", e?.message || e);
+    return {};
+  }
+}
+
+/**
+ * createProviderRegistry(env)
+ * - builds every adapter from env and returns helpers for routing, fallback and health
+ * - AI_MOCK=replay registers only the mock adapter; `mock` is the active mock mode (or null)
+ */
+export function createProviderRegistry(env = process.env) {
+  const mock = mockMode(env);
+  const fixtures = mock ? createFixtureStore({ dir: fixtureDir(mock, env) }) : null;
+  const adapters = new Map();
+  // replay mode never builds the network clients
+  const built = mock === "replay"
+    ? [createMockAdapter({ fixtures })]
+    : [createGroqAdapter(env), createOpenAIAdapter(env), createGeminiAdapter(env), createLocalAdapter(env)];
+  for (const adapter of built) {
+    adapters.set(adapter.name, adapter);
+  }
+
+  const order = (env.AI_PROVIDER_ORDER ? env.AI_PROVIDER_ORDER.split(",") : DEFAULT_ORDER)
+    .map(s => s.trim().toLowerCase())
+    .filter(name => adapters.has(name));
+  for (const name of adapters.keys()) if (!order.includes(name)) order.push(name);
+
+  const routes = parseRoutes(env.AI_ROUTES);
+
+  // passive health: outcome of the last call per provider
+  const health = new Map();
+  for (const name of adapters.keys()) health.set(name, { lastOkAt: null, lastErrorAt: null, lastError: null, lastStatus: null, lastLatencyMs: null, calls: 0, failures: 0 });
+
+  function configured() {
+    return order.filter(name => adapters.get(name).configured);
+  }
+
+  /* ordered list of { adapter, model } to try for an endpoint */
+  function chainFor(endpoint, { provider, model } = {}) {
+    const route = routes[endpoint] || {};
+    const preferred = provider || route.provider;
+    const names = configured();
+    if (preferred && names.includes(preferred)) {
+      names.splice(names.indexOf(preferred), 1);
+      names.unshift(preferred);
+    }
+    return names.map((name, i) => {
+      const adapter = adapters.get(name);
+      // an explicit model only makes sense for the first (preferred) provider
+      const chosen = i === 0 ? (model || (name === route.provider ? route.model : null)) : (name === route.provider ? route.model : null);
+      return { adapter, model: chosen || adapter.defaultModel };
+    });
+  }
+
+  function record(name, startedAt, err) {
+    const h = health.get(name);
+    h.calls += 1;
+    h.lastLatencyMs = Date.now() - startedAt;
+    if (err) {
+      h.failures += 1;
+      h.lastErrorAt = new Date().toISOString();
+      h.lastError = err.message;
+      h.lastStatus = err.status;
+    } else {
+      h.lastOkAt = new Date().toISOString();
+      h.lastStatus = 200;
+    }
+  }
+
+  /* AI_MOCK=record: keep a successful reply as a fixture; recording must never fail the call */
+  function recordFixture(endpoint, messages, reply) {
+    if (mock !== "record") return;
+    try {
+      fixtures.record(endpoint || "ai", messages, reply);
+    } catch (e) {
+      console.warn("Fixture recording failed:", e?.message || e);
+    }
+  }
+
+  /**
+   * chat({ endpoint, messages, model, provider, max_tokens, temperature, signal })
+   * - returns { text, raw, usage, provider, model, attempts }
+   * - throws the last ProviderError if every provider failed
+   */
+  async function chat({ endpoint, messages, model, provider, max_tokens, temperature, signal }) {
+    const chain = chainFor(endpoint, { provider, model });
+    if (!chain.length) throw new ProviderError("No AI provider configured", { status: 503 });
+
+    const attempts = [];
+    let lastErr = null;
+    for (const { adapter, model: useModel } of chain) {
+      const startedAt = Date.now();
+      try {
+        const out = await adapter.chat({ endpoint, messages, model: useModel, max_tokens, temperature, signal });
+        record(adapter.name, startedAt, null);
+        recordFixture(endpoint, messages, { text: out.text, usage: out.usage, provider: adapter.name, model: useModel });
+        attempts.push({ provider: adapter.name, model: useModel, ok: true });
+        return { ...out, provider: adapter.name, model: useModel, attempts };
+      } catch (e) {
+        const err = toProviderError(e, adapter.name);
+        record(adapter.name, startedAt, err);
+        attempts.push({ provider: adapter.name, model: useModel, ok: false, status: err.status, error: err.message });
+        console.error(`[${endpoint || "ai"}] ${adapter.name} failed (${err.status ?? "network"}):`, err.message);
+        lastErr = err;
+        if (!err.retryable) break;
+      }
+    }
+    lastErr.attempts = attempts;
+    throw lastErr;
+  }
+
+  /**
+   * stream({ endpoint, messages, model, provider, max_tokens, temperature, signal })
+   * - async iterator of { type: "start", provider, model } / { type: "delta", text } /
+   *   { type: "done", usage, provider, model, attempts }
+   * - falls back to the next provider only while nothing has been emitted yet;
+   *   once text has reached the client a failure is surfaced as-is
+   * - attempts are collected like chat()'s (on "done", or on the thrown error)
+   */
+  async function* stream({ endpoint, messages, model, provider, max_tokens, temperature, signal }) {
+    const chain = chainFor(endpoint, { provider, model });
+    if (!chain.length) throw new ProviderError("No AI provider configured", { status: 503 });
+
+    const attempts = [];
+    let lastErr = null;
+    for (const { adapter, model: useModel } of chain) {
+      const startedAt = Date.now();
+      let emitted = false;
+      let text = "";
+      try {
+        for await (const item of adapter.stream({ endpoint, messages, model: useModel, max_tokens, temperature, signal })) {
+          if (item.delta) {
+            if (!emitted) yield { type: "start", provider: adapter.name, model: useModel };
+            emitted = true;
+            text += item.delta;
+            yield { type: "delta", text: item.delta };
+          } else if ("usage" in item) {
+            record(adapter.name, startedAt, null);
+            recordFixture(endpoint, messages, { text, usage: item.usage, provider: adapter.name, model: useModel });
+            attempts.push({ provider: adapter.name, model: useModel, ok: true });
+            if (!emitted) yield { type: "start", provider: adapter.name, model: useModel };
+            yield { type: "done", usage: item.usage, provider: adapter.name, model: useModel, attempts };
+            return;
+          }
+        }
+        return;
+      } catch (e) {
+        const err = toProviderError(e, adapter.name);
+        // a client abort is not the provider's fault
+        if (signal?.aborted) throw err;
+        record(adapter.name, startedAt, err);
+        attempts.push({ provider: adapter.name, model: useModel, ok: false, status: err.status, error: err.message });
+        console.error(`[${endpoint || "ai"}] ${adapter.name} stream failed (${err.status ?? "network"}):`, err.message);
+        lastErr = err;
+        if (emitted || !err.retryable) break;
+      }
+    }
+    lastErr.attempts = attempts;
+    throw lastErr;
+  }
+
+  /* per-provider health report for /api/ping */
+  function status() {
+    return order.map(name => {
+      const adapter = adapters.get(name);
+      const h = health.get(name);
+      let state = "unconfigured";
+      if (adapter.configured) {
+        if (!h.calls) state = "unknown";
+        else if (h.lastErrorAt && (!h.lastOkAt || h.lastErrorAt > h.lastOkAt)) state = h.lastStatus === 429 ? "rate_limited" : "failing";
+        else state = "ok";
+      }
+      return { name, configured: adapter.configured, state, model: adapter.defaultModel, ...h };
+    });
+  }
+
+  return {
+    adapters,
+    order,
+    routes,
+    mock,
+    fixturesDir: fixtures?.dir || null,
+    configured,
+    hasAny: () => configured().length > 0,
+    chainFor,
+    chat,
+    stream,
+    status
+  };
+}
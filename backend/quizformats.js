@@ -0,0 +1,380 @@
+/* ----------------------
+   quizformats.js - quiz export / import: Moodle GIFT, IMS QTI 2.1 (zip) and Anki (tab-separated)
+   - every format works on plain questions: { type: "mcq" | "tf" | "short", question, options,
+     correctAnswer, topic } - the shape quiz sessions store (see quizzes.js)
+   - GIFT and Anki files can be imported back; QTI is export only
+   ---------------------- */
+
+import { zipFiles } from "./zip.js";
+import { correctOptionIndex } from "./grading.js";
+
+export const EXPORT_FORMATS = {
+  gift: { ext: "gift.txt", type: "text/plain; charset=utf-8" },
+  qti: { ext: "qti.zip", type: "application/zip" },
+  anki: { ext: "anki.csv", type: "text/csv; charset=utf-8" }
+};
+
+/* "B. 4" -> "4" (exports let the target system label and shuffle the options) */
+function optionText(option) {
+  return String(option ?? "").trim().replace(/^\(?[A-Ja-j][.):]\s+/, "");
+}
+
+function isTrue(value) {
+  return value === true || /^(true|t)$/i.test(String(value ?? "").trim());
+}
+
+/**
+ * toQuestions(quiz) -> [{ type, question, options, correctAnswer, topic }]
+ * - accepts session questions, a voice quiz ([{ questionText, options, correctOption }])
+ *   or a file quiz ({ mcq, tf, short })
+ */
+export function toQuestions(quiz) {
+  if (Array.isArray(quiz)) {
+    return quiz.map(q => {
+      const options = Array.isArray(q.options) ? q.options.map(String) : [];
+      const type = q.type || (options.length >= 2 ? "mcq" : "short");
+      return {
+        type,
+        question: String(q.question ?? q.questionText ?? q.q ?? "").trim(),
+        options,
+        correctAnswer: q.correctAnswer ?? q.correctOption ?? q.answer ?? "",
+        topic: q.topic || ""
+      };
+    }).filter(q => q.question);
+  }
+  if (quiz && typeof quiz === "object") {
+    return [
+      ...(quiz.mcq || []).map(q => ({ type: "mcq", question: q.question || q.q, options: q.options || [], correctAnswer: q.answer, topic: q.topic || "" })),
+      ...(quiz.tf || []).map(q => ({ type: "tf", question: q.q || q.question, options: ["True", "False"], correctAnswer: isTrue(q.answer) ? "True" : "False", topic: q.topic || "" })),
+      ...(quiz.short || []).map(q => ({ type: "short", question: q.q || q.question, options: [], correctAnswer: q.answer, topic: q.topic || "" }))
+    ].filter(q => q.question);
+  }
+  return [];
+}
+
+/* ---------- GIFT ---------- */
+
+function giftEscape(text) {
+  return String(text ?? "").replace(/([~=#{}:\\])/g, "\\$1").replace(/\r?\n/g, "\\n");
+}
+
+/* title: category for Moodle's question bank */
+export function toGift(questions, { title = "" } = {}) {
+  const out = [];
+  if (title) out.push(`$CATEGORY: ${title.replace(/[\r\n]+/g, " ")}`, "");
+  questions.forEach((q, i) => {
+    const name = `::Q${i + 1}${q.topic ? ` ${giftEscape(q.topic)}` : ""}:: `;
+    if (q.type === "tf") {
+      out.push(`${name}${giftEscape(q.question)} {${isTrue(q.correctAnswer) ? "TRUE" : "FALSE"}}`);
+    } else if (q.type === "mcq" && q.options.length >= 2) {
+      const correct = correctOptionIndex(q.correctAnswer, q.options);
+      const answers = q.options.map((o, j) => `  ${j === correct ? "=" : "~"}${giftEscape(optionText(o))}`);
+      out.push(`${name}${giftEscape(q.question)} {`, ...answers, "}");
+    } else {
+      out.push(`${name}${giftEscape(q.question)} {=${giftEscape(q.correctAnswer)}}`);
+    }
+    out.push("");
+  });
+  return out.join("\n");
+}
+
+/* split on unescaped `sep` characters */
+function splitUnescaped(text, sep) {
+  const parts = [];
+  let cur = "";
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\\" && i + 1 < text.length) { cur += text[i] + text[i + 1]; i++; continue; }
+    if (sep.includes(text[i])) { parts.push(cur); cur = text[i]; continue; }
+    cur += text[i];
+  }
+  parts.push(cur);
+  return parts;
+}
+
+function giftUnescape(text) {
+  return String(text).replace(/\\n/g, "\n").replace(/\\([~=#{}:\\])/g, "$1").trim();
+}
+
+/* index of the first unescaped `ch` at or after `from`, or -1 */
+function indexUnescaped(text, ch, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "\\") { i++; continue; }
+    if (text[i] === ch) return i;
+  }
+  return -1;
+}
+
+/**
+ * parseGift(text) -> { questions, skipped: [{ index, reason }] }
+ * - multiple choice, true/false, short answer and missing-word questions; matching, numeric and
+ *   essay questions are skipped. Feedback (#...) and weights (%50%) are dropped.
+ */
+export function parseGift(text) {
+  const blocks = String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .filter(l => !/^\s*\/\//.test(l))
+    .join("\n")
+    .split(/\n\s*\n/)
+    .map(b => b.trim())
+    .filter(b => b && !/^\$CATEGORY:/i.test(b));
+
+  const questions = [];
+  const skipped = [];
+  blocks.forEach((block, index) => {
+    let body = block.replace(/^\$CATEGORY:.*\n/i, "");
+    let topic = "";
+    const title = body.match(/^::((?:\\.|[^:])*)::\s*/);
+    if (title) {
+      topic = giftUnescape(title[1]).replace(/^Q\d+\s*/, "");
+      body = body.slice(title[0].length);
+    }
+    body = body.replace(/^\[(html|moodle|plain|markdown)\]/i, "");
+    const open = indexUnescaped(body, "{");
+    const close = open >= 0 ? indexUnescaped(body, "}", open) : -1;
+    if (open < 0 || close < 0) return skipped.push({ index, reason: "no answer block" });
+    const before = giftUnescape(body.slice(0, open));
+    const after = giftUnescape(body.slice(close + 1));
+    const question = after ? `${before} _____ ${after}` : before;
+    const answer = body.slice(open + 1, close).trim();
+    if (!question) return skipped.push({ index, reason: "empty question" });
+
+    if (/^(TRUE|FALSE|T|F)(\s*#.*)?$/is.test(answer)) {
+      questions.push({ type: "tf", question, options: ["True", "False"], correctAnswer: /^T/i.test(answer) ? "True" : "False", topic });
+      return;
+    }
+    if (!answer || answer.startsWith("#") || answer.includes("->")) return skipped.push({ index, reason: "unsupported question type (essay, numeric or matching)" });
+
+    const choices = splitUnescaped(answer, "=~")
+      .map(c => c.trim())
+      .filter(c => c)
+      .map(c => {
+        const mark = c[0];
+        let t = c.slice(1).trim();
+        const weight = t.match(/^%(-?\d+(?:\.\d+)?)%/);
+        if (weight) t = t.slice(weight[0].length);
+        const fb = indexUnescaped(t, "#");
+        if (fb >= 0) t = t.slice(0, fb);
+        return { full: mark === "=", weight: weight ? Number(weight[1]) : mark === "=" ? 100 : 0, wrong: mark === "~", text: giftUnescape(t) };
+      })
+      .filter(c => c.text);
+    if (!choices.length) return skipped.push({ index, reason: "no answers" });
+    // "=" answers first, then the best partial-credit one (~%50%...)
+    const correct = choices.filter(c => c.full || c.weight > 0).sort((x, y) => y.full - x.full || y.weight - x.weight);
+    if (!correct.length) return skipped.push({ index, reason: "no correct answer" });
+
+    if (choices.some(c => c.wrong)) {
+      questions.push({ type: "mcq", question, options: choices.map(c => c.text), correctAnswer: correct[0].text, topic });
+    } else {
+      questions.push({ type: "short", question, options: [], correctAnswer: correct[0].text, topic });
+    }
+  });
+  return { questions, skipped };
+}
+
+/* ---------- Anki (tab-separated notes: Front, Back, Tags) ---------- */
+
+function htmlEscape(text) {
+  return String(text ?? "").replace(/[&<>"]/g, m => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[m]));
+}
+
+function ankiField(text) {
+  return htmlEscape(text).replace(/\t/g, " ").replace(/\r?\n/g, "<br>");
+}
+
+export function toAnki(questions, { title = "" } = {}) {
+  const deckTag = title ? title.trim().replace(/\s+/g, "_") : "";
+  const lines = ["#separator:tab", "#html:true", "#tags column:3"];
+  for (const q of questions) {
+    let front = ankiField(q.question);
+    let back = ankiField(q.correctAnswer);
+    if (q.type === "mcq" && q.options.length) {
+      const letters = "ABCDEFGHIJ";
+      front += "<br><br>" + q.options.map((o, j) => `${letters[j]}. ${ankiField(optionText(o))}`).join("<br>");
+      const correct = correctOptionIndex(q.correctAnswer, q.options);
+      if (correct >= 0) back = `${letters[correct]}. ${ankiField(optionText(q.options[correct]))}`;
+    } else if (q.type === "tf") {
+      front = `True or false? ${front}`;
+      back = isTrue(q.correctAnswer) ? "True" : "False";
+    }
+    const tags = [deckTag, q.topic ? `topic::${q.topic.trim().replace(/\s+/g, "_")}` : ""].filter(Boolean).join(" ");
+    lines.push([front, back, tags].join("\t"));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/* one CSV/TSV record per line; quoted fields may contain the separator and "" */
+function splitRecord(line, sep) {
+  const fields = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"' && !cur) quoted = true;
+    else if (ch === sep) { fields.push(cur); cur = ""; }
+    else cur += ch;
+  }
+  fields.push(cur);
+  return fields;
+}
+
+function htmlToText(html) {
+  return String(html ?? "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(div|p|li)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+/**
+ * parseAnki(text) -> { questions, skipped }
+ * - Anki's text export / import format: "#key:value" header lines, then Front<sep>Back[<sep>Tags]
+ *   (tab by default, or the #separator header); fronts listing "A. ... B. ..." options become MCQs,
+ *   True/False backs true/false questions, everything else short answers
+ */
+export function parseAnki(text) {
+  const lines = String(text || "").replace(/\r\n?/g, "\n").split("\n");
+  const names = { tab: "\t", comma: ",", semicolon: ";", pipe: "|", space: " " };
+  let sep = "\t";
+  let tagsColumn = null;
+  const questions = [];
+  const skipped = [];
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    const header = line.match(/^#([\w ]+):(.*)$/);
+    if (header) {
+      const key = header[1].trim().toLowerCase();
+      const value = header[2].trim();
+      if (key === "separator") sep = names[value.toLowerCase()] || value[0] || "\t";
+      if (key === "tags column") tagsColumn = Number(value) || null;
+      return;
+    }
+    if (line.startsWith("#")) return;
+    const fields = splitRecord(line, sep);
+    if (fields.length < 2) return skipped.push({ index, reason: "expected front and back" });
+    const front = htmlToText(fields[0]);
+    const back = htmlToText(fields[1]);
+    if (!front || !back) return skipped.push({ index, reason: "empty front or back" });
+    const tags = tagsColumn && fields[tagsColumn - 1] ? fields[tagsColumn - 1].trim().split(/\s+/) : [];
+    const topic = (tags.find(t => t.startsWith("topic::")) || "").slice(7).replace(/_/g, " ");
+
+    const frontLines = front.split("\n").map(l => l.trim()).filter(Boolean);
+    const firstOption = frontLines.findIndex(l => /^[A-J][.)]\s+/.test(l));
+    if (firstOption > 0 && frontLines.length - firstOption >= 2) {
+      const options = frontLines.slice(firstOption).map(l => l.replace(/^[A-J][.)]\s+/, ""));
+      const key = back.split("\n")[0].trim();
+      const letter = key.match(/^([A-J])(?:[.)]|$)/);
+      const byLetter = letter ? "ABCDEFGHIJ".indexOf(letter[1]) : -1;
+      const correct = byLetter >= 0 && byLetter < options.length ? byLetter : options.findIndex(o => o.toLowerCase() === key.replace(/^[A-J][.)]\s+/, "").toLowerCase());
+      if (correct >= 0) {
+        questions.push({ type: "mcq", question: frontLines.slice(0, firstOption).join(" "), options, correctAnswer: options[correct], topic });
+        return;
+      }
+    }
+    if (/^(true|false)$/i.test(back)) {
+      questions.push({ type: "tf", question: front.replace(/^true or false\??\s*/i, ""), options: ["True", "False"], correctAnswer: /^t/i.test(back) ? "True" : "False", topic });
+      return;
+    }
+    questions.push({ type: "short", question: front.replace(/\n+/g, " "), options: [], correctAnswer: back, topic });
+  });
+  return { questions, skipped };
+}
+
+/* ---------- IMS QTI 2.1 ---------- */
+
+function xmlEscape(text) {
+  return String(text ?? "").replace(/[&<>"']/g, m => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }[m]));
+}
+
+const QTI_NS = 'xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"';
+const MATCH_CORRECT = "http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct";
+
+function qtiItem(q, id) {
+  const head = `<?xml version="1.0" encoding="UTF-8"?>\n<assessmentItem ${QTI_NS} identifier="${id}" title="${xmlEscape(q.topic || id)}" adaptive="false" timeDependent="false">`;
+  const outcome = `  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>`;
+  const tail = `  <responseProcessing template="${MATCH_CORRECT}"/>\n</assessmentItem>\n`;
+
+  if (q.type === "short" || q.options.length < 2) {
+    return [
+      head,
+      `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"><correctResponse><value>${xmlEscape(q.correctAnswer)}</value></correctResponse></responseDeclaration>`,
+      outcome,
+      `  <itemBody><p>${xmlEscape(q.question)}</p><p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${Math.max(10, String(q.correctAnswer ?? "").length + 5)}"/></p></itemBody>`,
+      tail
+    ].join("\n");
+  }
+  const options = q.type === "tf" ? ["True", "False"] : q.options.map(optionText);
+  const correct = q.type === "tf" ? (isTrue(q.correctAnswer) ? 0 : 1) : correctOptionIndex(q.correctAnswer, q.options);
+  const choices = options.map((o, j) => `      <simpleChoice identifier="C${j + 1}">${xmlEscape(o)}</simpleChoice>`).join("\n");
+  return [
+    head,
+    `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier"><correctResponse><value>C${Math.max(0, correct) + 1}</value></correctResponse></responseDeclaration>`,
+    outcome,
+    "  <itemBody>",
+    `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="${q.type === "tf" ? "false" : "true"}" maxChoices="1">`,
+    `      <prompt>${xmlEscape(q.question)}</prompt>`,
+    choices,
+    "    </choiceInteraction>",
+    "  </itemBody>",
+    tail
+  ].join("\n");
+}
+
+/* an IMS content package: one assessmentItem per question, an assessmentTest and imsmanifest.xml */
+export function toQtiZip(questions, { title = "Quiz" } = {}) {
+  const items = questions.map((q, i) => ({ id: `item${i + 1}`, xml: qtiItem(q, `item${i + 1}`) }));
+  const test = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<assessmentTest ${QTI_NS} identifier="test" title="${xmlEscape(title)}">`,
+    `  <testPart identifier="part1" navigationMode="linear" submissionMode="individual">`,
+    `    <assessmentSection identifier="section1" title="${xmlEscape(title)}" visible="true">`,
+    ...items.map(it => `      <assessmentItemRef identifier="${it.id}" href="items/${it.id}.xml"/>`),
+    "    </assessmentSection>",
+    "  </testPart>",
+    "</assessmentTest>",
+    ""
+  ].join("\n");
+  const manifest = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="manifest-${Date.now()}">`,
+    "  <organizations/>",
+    "  <resources>",
+    `    <resource identifier="test" type="imsqti_test_xmlv2p1" href="test.xml"><file href="test.xml"/>${items.map(it => `<dependency identifierref="${it.id}"/>`).join("")}</resource>`,
+    ...items.map(it => `    <resource identifier="${it.id}" type="imsqti_item_xmlv2p1" href="items/${it.id}.xml"><file href="items/${it.id}.xml"/></resource>`),
+    "  </resources>",
+    "</manifest>",
+    ""
+  ].join("\n");
+  return zipFiles([
+    { name: "imsmanifest.xml", data: manifest },
+    { name: "test.xml", data: test },
+    ...items.map(it => ({ name: `items/${it.id}.xml`, data: it.xml }))
+  ]);
+}
+
+/**
+ * exportQuiz(questions, format, { title }) -> { body (string | Buffer), type, filename }
+ */
+export function exportQuiz(questions, format, { title = "quiz" } = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) return null;
+  const body = format === "gift" ? toGift(questions, { title }) : format === "anki" ? toAnki(questions, { title }) : toQtiZip(questions, { title });
+  const base = String(title || "quiz").replace(/[^\w.-]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 60) || "quiz";
+  return { body, type: spec.type, filename: `${base}.${spec.ext}` };
+}
+
+/* format: "gift" | "anki" | undefined (guessed from the content) */
+export function importQuiz(text, format) {
+  const guess = format || (/^#separator:|\t/m.test(text) && !/\{[\s\S]*\}/.test(text) ? "anki" : "gift");
+  return { format: guess, ...(guess === "anki" ? parseAnki(text) : parseGift(text)) };
+}
@@ -0,0 +1,233 @@
+/* ----------------------
+   quizzes.js - recorded quiz sessions and progress analytics (DATA_DIR/quiz-sessions.json)
+   - a session is created when a quiz is generated (voice quiz, file quiz) and keeps its
+     questions, the user's answers, evaluation scores (0-1), time per answer and topic tags
+   - an answer counts as correct when its score is >= CORRECT_SCORE; accuracy is the mean score
+   - progress(userId) aggregates answers per topic and per day and ranks the weakest topics
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const CORRECT_SCORE = 0.5;
+const DAY_MS = 24 * 3600 * 1000;
+
+function round(n, digits = 3) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+/* { total, answered, correct, accuracy (mean score of answered questions), timeMs } */
+function scoreOf(questions) {
+  const answered = questions.filter(q => q.answer);
+  const scoreSum = answered.reduce((n, q) => n + q.answer.score, 0);
+  return {
+    total: questions.length,
+    answered: answered.length,
+    correct: answered.filter(q => q.answer.correct).length,
+    accuracy: answered.length ? round(scoreSum / answered.length) : null,
+    timeMs: answered.reduce((n, q) => n + (q.answer.timeMs || 0), 0)
+  };
+}
+
+/* session without its questions (lists, dashboards) */
+export function sessionSummary(session) {
+  const { questions, ...rest } = session;
+  return { ...rest, score: scoreOf(questions) };
+}
+
+/**
+ * sessionResults(session)
+ * - the session, its score, and the score per topic
+ */
+export function sessionResults(session) {
+  const byTopic = new Map();
+  for (const q of session.questions) {
+    if (!byTopic.has(q.topic)) byTopic.set(q.topic, []);
+    byTopic.get(q.topic).push(q);
+  }
+  return {
+    ...session,
+    score: scoreOf(session.questions),
+    topics: [...byTopic].map(([topic, qs]) => ({ topic, ...scoreOf(qs) }))
+  };
+}
+
+/**
+ * createQuizSessionStore({ dataDir })
+ * - create({ userId, kind, subject, source, questions }), get(id), list(userId, { subject, limit })
+ * - recordAnswer(id, index, { userAnswer, score, feedback, hints, grader, timeMs }) -> session
+ * - finish(id) -> session, remove(id), progress(userId, { days, subject }),
+ *   reassignUser(fromUserId, toUserId)
+ */
+export function createQuizSessionStore({ dataDir }) {
+  const storePath = path.join(dataDir, "quiz-sessions.json");
+  let state = null; // { sessions: { [id]: session } }
+
+  function load() {
+    if (state) return state;
+    try {
+      state = JSON.parse(fs.readFileSync(storePath, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn("quiz-sessions.json unreadable, starting fresh:", e?.message || e);
+      state = {};
+    }
+    state.sessions = state.sessions || {};
+    return state;
+  }
+
+  function save() {
+    fs.writeFileSync(storePath + ".tmp", JSON.stringify(state, null, 2), "utf8");
+    fs.renameSync(storePath + ".tmp", storePath);
+  }
+
+  /* questions: [{ type, question, options?, correctAnswer?, topic?, source? }] */
+  function create({ userId, kind, subject = "", source = null, questions = [] }) {
+    load();
+    const session = {
+      id: `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`,
+      userId,
+      kind,
+      subject,
+      source,
+      status: "active",
+      questions: questions.map((q, index) => ({
+        index,
+        type: q.type || "short",
+        question: q.question,
+        options: q.options || [],
+        correctAnswer: q.correctAnswer ?? null,
+        topic: (q.topic || subject || "General").trim(),
+        source: q.source || null,
+        answer: null
+      })),
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    state.sessions[session.id] = session;
+    save();
+    return session;
+  }
+
+  function get(id) {
+    return load().sessions[id] || null;
+  }
+
+  function list(userId, { subject = undefined, limit = 50 } = {}) {
+    return Object.values(load().sessions)
+      .filter(s => s.userId === userId && (subject === undefined || s.subject === subject))
+      .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)))
+      .slice(0, limit);
+  }
+
+  /* answering a question again replaces the earlier answer */
+  function recordAnswer(id, index, { userAnswer = "", score = 0, feedback = "", hints = [], grader = null, timeMs = null } = {}) {
+    load();
+    const session = state.sessions[id];
+    if (!session || !session.questions[index]) return null;
+    const clamped = Math.min(1, Math.max(0, Number(score) || 0));
+    session.questions[index].answer = {
+      userAnswer: String(userAnswer || ""),
+      score: clamped,
+      correct: clamped >= CORRECT_SCORE,
+      feedback,
+      hints,
+      grader,
+      timeMs: Number.isFinite(Number(timeMs)) && timeMs !== null ? Math.max(0, Math.round(Number(timeMs))) : null,
+      answeredAt: new Date().toISOString()
+    };
+    session.updatedAt = session.questions[index].answer.answeredAt;
+    save();
+    return session;
+  }
+
+  function finish(id) {
+    load();
+    const session = state.sessions[id];
+    if (!session) return null;
+    if (session.status !== "finished") {
+      session.status = "finished";
+      session.finishedAt = new Date().toISOString();
+      save();
+    }
+    return session;
+  }
+
+  function remove(id) {
+    load();
+    if (!state.sessions[id]) return false;
+    delete state.sessions[id];
+    save();
+    return true;
+  }
+
+  /* a guest's sessions (and so their progress) become the signed-in account's */
+  function reassignUser(fromUserId, toUserId) {
+    load();
+    let moved = 0;
+    for (const session of Object.values(state.sessions)) {
+      if (session.userId === fromUserId) {
+        session.userId = toUserId;
+        moved += 1;
+      }
+    }
+    if (moved) save();
+    return moved;
+  }
+
+  /**
+   * progress(userId, { days, subject })
+   * - overall score, accuracy per day, per topic (with a per-day trend) over the last `days`,
+   *   and the weakest topics (lowest accuracy, at least 2 answers) to revisit
+   */
+  function progress(userId, { days = 90, subject = undefined } = {}) {
+    const since = new Date(Date.now() - days * DAY_MS).toISOString();
+    const sessions = list(userId, { subject, limit: Infinity }).filter(s => s.startedAt >= since);
+    const answers = [];
+    for (const s of sessions) {
+      for (const q of s.questions) {
+        if (q.answer) answers.push({ topic: q.topic, subject: s.subject, score: q.answer.score, correct: q.answer.correct, day: q.answer.answeredAt.slice(0, 10), at: q.answer.answeredAt });
+      }
+    }
+
+    const aggregate = list => ({
+      answered: list.length,
+      correct: list.filter(a => a.correct).length,
+      accuracy: list.length ? round(list.reduce((n, a) => n + a.score, 0) / list.length) : null
+    });
+    const groupBy = (list, key) => {
+      const m = new Map();
+      for (const a of list) {
+        if (!m.has(a[key])) m.set(a[key], []);
+        m.get(a[key]).push(a);
+      }
+      return m;
+    };
+
+    const topics = [...groupBy(answers, "topic")].map(([topic, list]) => ({
+      topic,
+      subject: list[list.length - 1].subject,
+      ...aggregate(list),
+      lastAnsweredAt: list.reduce((m, a) => (a.at > m ? a.at : m), ""),
+      trend: [...groupBy(list, "day")].map(([day, l]) => ({ day, ...aggregate(l) })).sort((a, b) => a.day.localeCompare(b.day))
+    })).sort((a, b) => b.answered - a.answered);
+
+    const weakest = topics
+      .filter(t => t.answered >= 2)
+      .sort((a, b) => a.accuracy - b.accuracy || a.lastAnsweredAt.localeCompare(b.lastAnsweredAt))
+      .slice(0, 5)
+      .map(({ trend, ...t }) => t);
+
+    return {
+      days,
+      overall: { sessions: sessions.length, ...aggregate(answers) },
+      timeline: [...groupBy(answers, "day")].map(([day, l]) => ({ day, ...aggregate(l) })).sort((a, b) => a.day.localeCompare(b.day)),
+      topics,
+      weakest,
+      recent: sessions.slice(0, 10).map(sessionSummary)
+    };
+  }
+
+  return { create, get, list, recordAnswer, finish, remove, progress, reassignUser };
+}
@@ -0,0 +1,306 @@
+/* ----------------------
+   retention.js - upload storage usage, quotas, retention and garbage collection
+   - policy (env, 0 = off): UPLOAD_MAX_AGE_DAYS drops references older than that,
+     UPLOAD_MAX_TOTAL_MB evicts the least recently uploaded blobs until the directory fits,
+     UPLOAD_USER_QUOTA_MB caps what one user's references may hold (checked on upload)
+   - a user's usage is the size of the distinct blobs they reference; a blob shared by several
+     users counts for each of them, re-uploading the same bytes counts once
+   - collect() also deletes orphans: blobs nobody references, derived files (.meta.json,
+     .index.json, .vectors.json) without their upload and leftover multer temp files
+   - any other file without a meta (old screenshots / assignment uploads, files copied in by
+     hand) is "unknown": reported by usage() and collect(), deleted only when
+     UPLOAD_GC_DELETE_UNKNOWN=1
+   - files younger than UPLOAD_GC_GRACE_MINUTES (default 10) are never treated as orphans, so
+     uploads that are still being stored or processed are left alone
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+import { isBlobName } from "./blobs.js";
+import { uploadType } from "./uploads.js";
+
+const MB = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DERIVED = /\.(meta|index|vectors)\.json$/;
+const TEMP_UPLOAD = /^upload-\d+-[0-9a-f]+/;
+
+function envNumber(env, name, fallback) {
+  const n = Number(env[name]);
+  return Number.isFinite(n) && n >= 0 && env[name] !== "" && env[name] !== undefined ? n : fallback;
+}
+
+/* the policy configured in `env`; byte/ms values are 0 when that rule is off */
+export function retentionPolicy(env = process.env) {
+  return {
+    maxAgeMs: envNumber(env, "UPLOAD_MAX_AGE_DAYS", 0) * DAY_MS,
+    maxTotalBytes: Math.round(envNumber(env, "UPLOAD_MAX_TOTAL_MB", 0) * MB),
+    userQuotaBytes: Math.round(envNumber(env, "UPLOAD_USER_QUOTA_MB", 0) * MB),
+    graceMs: envNumber(env, "UPLOAD_GC_GRACE_MINUTES", 10) * 60 * 1000,
+    intervalMs: envNumber(env, "UPLOAD_GC_INTERVAL_MINUTES", 60) * 60 * 1000,
+    deleteUnknown: /^(1|true|yes|on)$/i.test(String(env.UPLOAD_GC_DELETE_UNKNOWN || "").trim())
+  };
+}
+
+/**
+ * QuotaError - an upload that would take its user over UPLOAD_USER_QUOTA_MB (status 413).
+ * `usedBytes` / `quotaBytes` let the route tell the user where they stand.
+ */
+export class QuotaError extends Error {
+  constructor(message, { usedBytes, quotaBytes }) {
+    super(message);
+    this.name = "QuotaError";
+    this.status = 413;
+    this.usedBytes = usedBytes;
+    this.quotaBytes = quotaBytes;
+  }
+}
+
+/* 1536 -> "1.5 KB" */
+export function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let n = bytes;
+  let u = 0;
+  while (n >= 1024 && u < units.length - 1) {
+    n /= 1024;
+    u += 1;
+  }
+  return `${u ? Number(n.toPrecision(3)) : n} ${units[u]}`;
+}
+
+/**
+ * createRetention({ uploadDir, blobs, env, onRefRemoved })
+ * - scan() -> [{ name, size, mtimeMs }] of the upload directory
+ * - usage() -> storage report { totals, byType, byUser, orphans, unknown, legacy, policy, lastGc }
+ * - userUsage(userId) -> bytes; checkQuota(userId, filename, size) throws QuotaError
+ * - collect({ dryRun }) -> { orphans, unknown, unknownDeleted, expired, evicted, freedBytes, ... };
+ *   schedule() / stop()
+ * - onRefRemoved(ref) runs for every reference retention removes (collections, etc.)
+ */
+export function createRetention({ uploadDir, blobs, env = process.env, onRefRemoved = () => {} }) {
+  const policy = retentionPolicy(env);
+  let lastGc = null;
+  let timer = null;
+
+  function scan() {
+    const out = [];
+    for (const name of fs.readdirSync(uploadDir)) {
+      try {
+        const st = fs.statSync(path.join(uploadDir, name));
+        if (st.isFile()) out.push({ name, size: st.size, mtimeMs: st.mtimeMs });
+      } catch {
+        // removed while scanning
+      }
+    }
+    return out;
+  }
+
+  /* size of each stored upload (without its derived files) */
+  function blobSizes(files = scan()) {
+    const sizes = new Map();
+    for (const f of files) if (isBlobName(f.name)) sizes.set(f.name, f.size);
+    return sizes;
+  }
+
+  /* a stored upload plus its derived files */
+  function footprint(filename, files) {
+    return files.filter(f => f.name === filename || (f.name.startsWith(filename + ".") && DERIVED.test(f.name))).reduce((n, f) => n + f.size, 0);
+  }
+
+  function userUsage(userId, sizes = blobSizes()) {
+    const mine = new Set(blobs.listRefs({ userId }).map(r => r.filename));
+    let bytes = 0;
+    for (const filename of mine) bytes += sizes.get(filename) || 0;
+    return bytes;
+  }
+
+  /* called with an adopted blob before its reference is added */
+  function checkQuota(userId, filename, size) {
+    if (!policy.userQuotaBytes) return;
+    if (blobs.listRefs({ userId, filename }).length) return; // the same bytes again cost nothing
+    const usedBytes = userUsage(userId);
+    if (usedBytes + size > policy.userQuotaBytes) {
+      throw new QuotaError(
+        `Storage quota exceeded: this upload needs ${formatBytes(size)} but only ${formatBytes(Math.max(0, policy.userQuotaBytes - usedBytes))} of your ${formatBytes(policy.userQuotaBytes)} is left. Delete documents from your library to make room.`,
+        { usedBytes, quotaBytes: policy.userQuotaBytes }
+      );
+    }
+  }
+
+  /**
+   * findOrphans(files, now) -> { orphans, unknown }
+   * - orphans: what collect() always deletes (unreferenced blobs and their derived files,
+   *   derived files without their upload, multer temp files)
+   * - unknown: files nobody can account for (no meta, not a blob); kept unless deleteUnknown
+   */
+  function findOrphans(files, now) {
+    const names = new Set(files.map(f => f.name));
+    const referenced = new Set(blobs.listRefs().map(r => r.filename));
+    const settled = f => now - f.mtimeMs > policy.graceMs;
+    // a held blob is being adopted or processed (see blobs.js), whatever its references say
+    const orphanBlobs = new Set(files.filter(f => isBlobName(f.name) && !referenced.has(f.name) && !blobs.held(f.name) && settled(f)).map(f => f.name));
+    const orphans = [];
+    const unknown = [];
+    for (const f of files) {
+      if (!settled(f) || f.name.startsWith(".") || f.name.endsWith(".tmp")) continue;
+      if (DERIVED.test(f.name)) {
+        const base = f.name.replace(DERIVED, "");
+        if (!names.has(base) || orphanBlobs.has(base)) orphans.push(f);
+      } else if (isBlobName(f.name)) {
+        if (orphanBlobs.has(f.name)) orphans.push(f);
+      } else if (TEMP_UPLOAD.test(f.name)) {
+        orphans.push(f);
+      } else if (!names.has(`${f.name}.meta.json`)) {
+        // timestamp-named uploads are kept while they have a meta (see migrate-uploads.js)
+        unknown.push(f);
+      }
+    }
+    return { orphans, unknown };
+  }
+
+  /**
+   * usage() - the report behind GET /api/admin/storage
+   * - byType: { pdf, image, text, derived, other } -> { files, bytes }
+   * - byUser: [{ userId, files, references, bytes, quotaBytes }] sorted by bytes
+   */
+  function usage() {
+    const files = scan();
+    const now = Date.now();
+    const sizes = blobSizes(files);
+    const byType = {};
+    const add = (key, size) => {
+      byType[key] = byType[key] || { files: 0, bytes: 0 };
+      byType[key].files += 1;
+      byType[key].bytes += size;
+    };
+    for (const f of files) add(DERIVED.test(f.name) ? "derived" : uploadType(f.name)?.kind || "other", f.size);
+
+    const users = new Map();
+    for (const ref of blobs.listRefs()) {
+      const u = users.get(ref.userId) || { userId: ref.userId, references: 0, blobs: new Set() };
+      u.references += 1;
+      u.blobs.add(ref.filename);
+      users.set(ref.userId, u);
+    }
+    const byUser = [...users.values()]
+      .map(u => ({
+        userId: u.userId,
+        files: u.blobs.size,
+        references: u.references,
+        bytes: [...u.blobs].reduce((n, name) => n + (sizes.get(name) || 0), 0),
+        quotaBytes: policy.userQuotaBytes || null
+      }))
+      .sort((a, b) => b.bytes - a.bytes);
+
+    const { orphans, unknown } = findOrphans(files, now);
+    const names = new Set(files.map(f => f.name));
+    const legacy = files.filter(f => !isBlobName(f.name) && !DERIVED.test(f.name) && names.has(`${f.name}.meta.json`));
+    return {
+      totals: { files: files.length, bytes: files.reduce((n, f) => n + f.size, 0), blobs: sizes.size },
+      byType,
+      byUser,
+      orphans: { files: orphans.length, bytes: orphans.reduce((n, f) => n + f.size, 0) },
+      unknown: { files: unknown.length, bytes: unknown.reduce((n, f) => n + f.size, 0), names: unknown.map(f => f.name).slice(0, 50) },
+      legacy: { files: legacy.length, bytes: legacy.reduce((n, f) => n + f.size, 0) },
+      policy: {
+        maxAgeDays: policy.maxAgeMs / DAY_MS || null,
+        maxTotalBytes: policy.maxTotalBytes || null,
+        userQuotaBytes: policy.userQuotaBytes || null,
+        gcIntervalMinutes: policy.intervalMs / 60000 || null,
+        deleteUnknown: policy.deleteUnknown
+      },
+      lastGc
+    };
+  }
+
+  function removeRefs(refs) {
+    for (const ref of refs) {
+      if (blobs.removeRef(ref.id)) onRefRemoved(ref);
+    }
+  }
+
+  /**
+   * collect({ dryRun }) - one retention + garbage collection pass
+   * - orphans first, then expired references, then whole blobs (least recently uploaded
+   *   first) while the directory is over UPLOAD_MAX_TOTAL_MB
+   * - unknown files are only counted, unless UPLOAD_GC_DELETE_UNKNOWN is on
+   * - dryRun reports what would go without deleting anything
+   */
+  function collect({ dryRun = false } = {}) {
+    const now = Date.now();
+    const result = { dryRun, orphans: 0, unknown: 0, unknownDeleted: 0, expired: 0, evicted: 0, freedBytes: 0, startedAt: new Date(now).toISOString() };
+    const files = scan();
+    const sum = list => list.reduce((n, f) => n + f.size, 0);
+    let total = sum(files);
+
+    const found = findOrphans(files, now);
+    const orphans = policy.deleteUnknown ? found.orphans.concat(found.unknown) : found.orphans;
+    result.unknown = found.unknown.length;
+    if (policy.deleteUnknown) result.unknownDeleted = found.unknown.length;
+    for (const f of orphans) {
+      if (dryRun) continue;
+      try {
+        fs.unlinkSync(path.join(uploadDir, f.name));
+      } catch (e) {
+        if (e.code !== "ENOENT") console.warn(`Could not delete ${f.name}:`, e?.message || e);
+      }
+    }
+    result.orphans = found.orphans.length;
+    total -= sum(orphans);
+
+    let refs = blobs.listRefs();
+    const live = () => new Set(refs.map(r => r.filename));
+    if (policy.maxAgeMs) {
+      const expired = refs.filter(r => now - Date.parse(r.createdAt) > policy.maxAgeMs);
+      const held = live();
+      refs = refs.filter(r => !expired.includes(r));
+      const still = live();
+      // blobs whose last reference expired go with their derived files
+      for (const filename of held) if (!still.has(filename)) total -= footprint(filename, files);
+      if (!dryRun) removeRefs(expired);
+      result.expired = expired.length;
+    }
+
+    if (policy.maxTotalBytes && total > policy.maxTotalBytes) {
+      const newest = new Map();
+      for (const r of refs) if (!newest.has(r.filename) || r.createdAt > newest.get(r.filename)) newest.set(r.filename, r.createdAt);
+      const oldestFirst = [...newest.entries()].sort((a, b) => String(a[1]).localeCompare(String(b[1])));
+      for (const [filename] of oldestFirst) {
+        if (total <= policy.maxTotalBytes) break;
+        total -= footprint(filename, files);
+        if (!dryRun) removeRefs(refs.filter(r => r.filename === filename));
+        result.evicted += 1;
+      }
+    }
+
+    result.freedBytes = Math.max(0, sum(files) - total);
+    result.finishedAt = new Date().toISOString();
+    if (!dryRun) lastGc = result;
+    return result;
+  }
+
+  /* run collect() now and then every UPLOAD_GC_INTERVAL_MINUTES (0 = only on demand) */
+  function schedule() {
+    const run = () => {
+      try {
+        const r = collect();
+        if (r.orphans || r.unknownDeleted || r.expired || r.evicted) {
+          console.log(`Storage GC: deleted ${r.orphans} orphan file(s)${r.unknownDeleted ? ` and ${r.unknownDeleted} unknown file(s)` : ""}, ${r.expired} expired reference(s), evicted ${r.evicted} upload(s); freed ${formatBytes(r.freedBytes)}.`);
+        }
+      } catch (e) {
+        console.warn("Storage GC failed:", e?.message || e);
+      }
+    };
+    run();
+    if (policy.intervalMs && !timer) {
+      timer = setInterval(run, policy.intervalMs);
+      timer.unref();
+    }
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { policy, scan, usage, userUsage, checkQuota, collect, schedule, stop };
+}
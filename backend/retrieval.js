@@ -0,0 +1,420 @@
+/* ----------------------
+   retrieval.js - persistent retrieval index for uploaded documents
+   - BM25 over stemmed, stopword-filtered chunk text, stored next to the meta file
+     as <stored-filename>.index.json (built at upload time, rebuilt lazily when stale)
+   - phrase proximity bonus for chunks containing query words next to each other
+   - optional embedding vectors (<stored-filename>.vectors.json) from any OpenAI-compatible
+     embeddings API (EMBEDDINGS_BASE_URL / EMBEDDINGS_MODEL, e.g. Ollama + nomic-embed-text),
+     blended with BM25 for hybrid ranking (RETRIEVAL_HYBRID_WEIGHT, 0..1, weight of vectors)
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+
+let OpenAI = null;
+try {
+  OpenAI = (await import("openai")).default;
+} catch (e) {
+  OpenAI = null;
+}
+
+const INDEX_VERSION = 1;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PHRASE_BOOST = 0.35;   // max extra weight for query bigrams found in order
+const TOC_PENALTY = 0.4;     // table-of-contents / index lines are rarely the answer
+const RERANK_POOL = 30;      // candidates re-scored with proximity / vectors
+
+/* ----------------------
+   Text processing
+   ---------------------- */
+
+const STOPWORDS = new Set(("a about above after again against all am an and any are as at be because been before being below between both " +
+  "but by can could did do does doing down during each few for from further had has have having he her here hers herself him himself his how " +
+  "i if in into is it its itself just me more most my myself no nor not now of off on once only or other our ours ourselves out over own same " +
+  "she should so some such than that the their theirs them themselves then there these they this those through to too under until up very was " +
+  "we were what when where which while who whom why will with would you your yours yourself yourselves also may might must shall us using use used " +
+  "explain tell give show describe define what's whats please").split(/\s+/));
+
+/* Porter (1980) stemmer */
+const stem = (() => {
+  const step2list = { ational: "ate", tional: "tion", enci: "ence", anci: "ance", izer: "ize", bli: "ble", alli: "al", entli: "ent", eli: "e", ousli: "ous",
+    ization: "ize", ation: "ate", ator: "ate", alism: "al", iveness: "ive", fulness: "ful", ousness: "ous", aliti: "al", iviti: "ive", biliti: "ble", logi: "log" };
+  const step3list = { icate: "ic", ative: "", alize: "al", iciti: "ic", ical: "ic", ful: "", ness: "" };
+  const c = "[^aeiou]", v = "[aeiouy]", C = c + "[^aeiouy]*", V = v + "[aeiou]*";
+  const mgr0 = new RegExp("^(" + C + ")?" + V + C);
+  const meq1 = new RegExp("^(" + C + ")?" + V + C + "(" + V + ")?$");
+  const mgr1 = new RegExp("^(" + C + ")?" + V + C + V + C);
+  const sV = new RegExp("^(" + C + ")?" + v);
+
+  return function porter(w) {
+    if (w.length < 3 || /\d/.test(w)) return w;
+    let stemPart, suffix, re, re2, re3, re4;
+    const firstch = w[0];
+    if (firstch === "y") w = "Y" + w.slice(1);
+
+    // Step 1a
+    re = /^(.+?)(ss|i)es$/; re2 = /^(.+?)([^s])s$/;
+    if (re.test(w)) w = w.replace(re, "$1$2");
+    else if (re2.test(w)) w = w.replace(re2, "$1$2");
+
+    // Step 1b
+    re = /^(.+?)eed$/; re2 = /^(.+?)(ed|ing)$/;
+    if (re.test(w)) {
+      const fp = re.exec(w);
+      if (mgr0.test(fp[1])) w = w.slice(0, -1);
+    } else if (re2.test(w)) {
+      const fp = re2.exec(w);
+      stemPart = fp[1];
+      if (sV.test(stemPart)) {
+        w = stemPart;
+        re2 = /(at|bl|iz)$/; re3 = /([^aeiouylsz])\1$/; re4 = new RegExp("^" + C + v + "[^aeiouwxy]$");
+        if (re2.test(w)) w = w + "e";
+        else if (re3.test(w)) w = w.slice(0, -1);
+        else if (re4.test(w)) w = w + "e";
+      }
+    }
+
+    // Step 1c
+    re = /^(.+?)y$/;
+    if (re.test(w)) {
+      const fp = re.exec(w);
+      if (sV.test(fp[1])) w = fp[1] + "i";
+    }
+
+    // Step 2
+    re = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/;
+    if (re.test(w)) {
+      const fp = re.exec(w);
+      stemPart = fp[1]; suffix = fp[2];
+      if (mgr0.test(stemPart)) w = stemPart + step2list[suffix];
+    }
+
+    // Step 3
+    re = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/;
+    if (re.test(w)) {
+      const fp = re.exec(w);
+      stemPart = fp[1]; suffix = fp[2];
+      if (mgr0.test(stemPart)) w = stemPart + step3list[suffix];
+    }
+
+    // Step 4
+    re = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/; re2 = /^(.+?)(s|t)(ion)$/;
+    if (re.test(w)) {
+      const fp = re.exec(w);
+      if (mgr1.test(fp[1])) w = fp[1];
+    } else if (re2.test(w)) {
+      const fp = re2.exec(w);
+      stemPart = fp[1] + fp[2];
+      if (mgr1.test(stemPart)) w = stemPart;
+    }
+
+    // Step 5
+    re = /^(.+?)e$/;
+    if (re.test(w)) {
+      const fp = re.exec(w);
+      stemPart = fp[1];
+      re2 = new RegExp("^" + C + v + "[^aeiouwxy]$");
+      if (mgr1.test(stemPart) || (meq1.test(stemPart) && !re2.test(stemPart))) w = stemPart;
+    }
+    if (/ll$/.test(w) && mgr1.test(w)) w = w.slice(0, -1);
+
+    if (firstch === "y") w = "y" + w.slice(1);
+    return w;
+  };
+})();
+
+/**
+ * tokenize(text) -> stemmed terms in document order (stopwords removed)
+ */
+export function tokenize(text) {
+  const out = [];
+  const words = String(text || "").toLowerCase().split(/[^a-z0-9]+/);
+  for (const w of words) {
+    if (!w || w.length < 2 || STOPWORDS.has(w)) continue;
+    out.push(stem(w));
+  }
+  return out;
+}
+
+/* dot leaders / trailing page numbers on most lines -> table of contents or back-of-book index */
+function looksLikeToc(text) {
+  const lines = String(text || "").split(/\n/).map(l => l.trim()).filter(Boolean);
+  if (/\.{4,}|(\s\.){3,}|…{2,}/.test(text)) return true;
+  // "4 Modules and Ports 47" - numbered heading followed by a page number
+  if (lines.length && lines.every(l => l.length < 90 && /^(chapter\s+)?\d+(\.\d+)*\s+\S.*\s\d{1,4}$/i.test(l))) return true;
+  if (lines.length < 3) return false;
+  const numbered = lines.filter(l => /\s\d{1,4}$/.test(l)).length;
+  return numbered / lines.length > 0.6;
+}
+
+/* ----------------------
+   Embeddings (optional)
+   ---------------------- */
+
+function createEmbedder(env) {
+  const baseURL = env.EMBEDDINGS_BASE_URL || null;
+  const apiKey = env.EMBEDDINGS_API_KEY || (baseURL ? "local" : env.OPENAI_API_KEY);
+  const model = env.EMBEDDINGS_MODEL || (baseURL ? "nomic-embed-text" : "text-embedding-3-small");
+  if (!OpenAI || !(baseURL || env.EMBEDDINGS_MODEL) || !apiKey) return null;
+  const client = new OpenAI({ apiKey, baseURL: baseURL || undefined });
+  return {
+    model,
+    async embed(texts) {
+      const out = [];
+      for (let i = 0; i < texts.length; i += 64) {
+        const batch = texts.slice(i, i + 64).map(t => String(t).slice(0, 8000));
+        const r = await client.embeddings.create({ model, input: batch });
+        for (const d of r.data) out.push(d.embedding);
+      }
+      return out;
+    }
+  };
+}
+
+function normalizeVector(vec) {
+  let norm = 0;
+  for (const x of vec) norm += x * x;
+  norm = Math.sqrt(norm) || 1;
+  // 4 decimals keeps the vectors file small without hurting cosine ranking
+  return vec.map(x => Math.round((x / norm) * 1e4) / 1e4);
+}
+
+function dot(a, b) {
+  let s = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) s += a[i] * b[i];
+  return s;
+}
+
+/* ----------------------
+   Index
+   ---------------------- */
+
+/**
+ * buildIndex(chunks) -> serializable BM25 index
+ */
+export function buildIndex(chunks) {
+  const df = {};
+  const docs = [];
+  let totalLen = 0;
+  for (const c of chunks || []) {
+    const terms = tokenize(c.text);
+    const tf = {};
+    for (const t of terms) tf[t] = (tf[t] || 0) + 1;
+    for (const t of Object.keys(tf)) df[t] = (df[t] || 0) + 1;
+    totalLen += terms.length;
+    docs.push({ id: c.id, len: terms.length, tf, toc: looksLikeToc(c.text) || undefined });
+  }
+  return {
+    version: INDEX_VERSION,
+    createdAt: new Date().toISOString(),
+    k1: BM25_K1,
+    b: BM25_B,
+    N: docs.length,
+    avgdl: docs.length ? totalLen / docs.length : 0,
+    df,
+    docs
+  };
+}
+
+function bm25Scores(index, queryTerms) {
+  const { N, avgdl, df, docs, k1, b } = index;
+  const unique = [...new Set(queryTerms)].filter(t => df[t]);
+  const scores = new Array(docs.length).fill(0);
+  for (const t of unique) {
+    const idf = Math.log(1 + (N - df[t] + 0.5) / (df[t] + 0.5));
+    for (let i = 0; i < docs.length; i++) {
+      const f = docs[i].tf[t];
+      if (!f) continue;
+      const norm = f + k1 * (1 - b + b * (docs[i].len / (avgdl || 1)));
+      scores[i] += idf * (f * (k1 + 1)) / norm;
+    }
+  }
+  return scores;
+}
+
+/* share of the query's consecutive term pairs that also appear consecutively in the chunk */
+function proximityFactor(queryTerms, chunkText) {
+  if (queryTerms.length < 2) return 1;
+  const pairs = new Set();
+  for (let i = 0; i < queryTerms.length - 1; i++) pairs.add(queryTerms[i] + " " + queryTerms[i + 1]);
+  const terms = tokenize(chunkText);
+  const found = new Set();
+  for (let i = 0; i < terms.length - 1; i++) {
+    const p = terms[i] + " " + terms[i + 1];
+    if (pairs.has(p)) found.add(p);
+  }
+  return 1 + PHRASE_BOOST * (found.size / pairs.size);
+}
+
+/**
+ * createRetrieval({ uploadDir, env })
+ * - indexFile(filename, chunks): build + persist BM25 (and vectors when configured)
+ * - search(filename, query, { k }): ranked [{ chunk, score, bm25, vector }]
+ * - searchMany(filenames, query, { k }): the same over several files at once (collections)
+ */
+export function createRetrieval({ uploadDir, env = process.env }) {
+  const embedder = createEmbedder(env);
+  const hybridWeight = env.RETRIEVAL_HYBRID_WEIGHT ? Number(env.RETRIEVAL_HYBRID_WEIGHT) : 0.5;
+
+  // filename -> { metaMtime, meta, index, vectors }
+  const cache = new Map();
+  const CACHE_MAX = 12;
+
+  const metaPathOf = (filename) => path.join(uploadDir, `${filename}.meta.json`);
+  const indexPathOf = (filename) => path.join(uploadDir, `${filename}.index.json`);
+  const vectorsPathOf = (filename) => path.join(uploadDir, `${filename}.vectors.json`);
+
+  function writeJson(p, data) {
+    fs.writeFileSync(p + ".tmp", JSON.stringify(data), "utf8");
+    fs.renameSync(p + ".tmp", p);
+  }
+
+  async function embedChunks(filename, chunks) {
+    if (!embedder || !chunks.length) return null;
+    const vectors = await embedder.embed(chunks.map(c => c.text));
+    const data = { model: embedder.model, createdAt: new Date().toISOString(), ids: chunks.map(c => c.id), vectors: vectors.map(normalizeVector) };
+    writeJson(vectorsPathOf(filename), data);
+    return data;
+  }
+
+  /**
+   * indexFile(filename, chunks, { embed })
+   * - BM25 is written synchronously; vectors are computed when an embedder is configured.
+   *   Returns the embeddings promise (resolves null when disabled) so callers may await it.
+   */
+  function indexFile(filename, chunks, { embed = true } = {}) {
+    const index = buildIndex(chunks);
+    writeJson(indexPathOf(filename), index);
+    cache.delete(filename);
+    if (!embed || !embedder) return { index, vectors: Promise.resolve(null) };
+    const vectors = embedChunks(filename, chunks)
+      .then((v) => { cache.delete(filename); return v; })
+      .catch((e) => { console.warn(`Embedding ${filename} failed (BM25 only):`, e?.message || e); return null; });
+    return { index, vectors };
+  }
+
+  function readJson(p) {
+    try { return JSON.parse(fs.readFileSync(p, "utf8")); } catch (e) { return null; }
+  }
+
+  /* meta + index (+ vectors), cached until the meta file changes */
+  function load(filename) {
+    const metaPath = metaPathOf(filename);
+    if (!fs.existsSync(metaPath)) return null;
+    const metaMtime = fs.statSync(metaPath).mtimeMs;
+    const hit = cache.get(filename);
+    if (hit && hit.metaMtime === metaMtime) {
+      cache.delete(filename); cache.set(filename, hit); // LRU touch
+      return hit;
+    }
+
+    const meta = readJson(metaPath);
+    if (!meta) return null;
+    const chunks = meta.chunks || [];
+    let index = readJson(indexPathOf(filename));
+    const sameChunks = index && index.N === chunks.length &&
+      (!chunks.length || (index.docs[0].id === chunks[0].id && index.docs[chunks.length - 1].id === chunks[chunks.length - 1].id));
+    const stale = !index || index.version !== INDEX_VERSION || !sameChunks;
+    if (stale) {
+      // uploads from before the index existed (or edited meta): build it now, once
+      index = buildIndex(chunks);
+      try { writeJson(indexPathOf(filename), index); } catch (e) { console.warn("Could not persist index:", e?.message || e); }
+    }
+    let vectors = readJson(vectorsPathOf(filename));
+    if (vectors && (!embedder || vectors.model !== embedder.model || vectors.ids.length !== chunks.length)) vectors = null;
+
+    const entry = { metaMtime, meta, index, vectors, byId: new Map(chunks.map(c => [c.id, c])) };
+    cache.set(filename, entry);
+    if (cache.size > CACHE_MAX) cache.delete(cache.keys().next().value);
+    return entry;
+  }
+
+  /**
+   * rank(entries, query, k)
+   * - entries: [{ filename, entry }] from load(); BM25 statistics (N, avgdl, df) are merged across
+   *   all entries so scores from different files are comparable, then the usual pool/rerank runs
+   *   over the union of their chunks
+   */
+  async function rank(entries, query, k) {
+    const queryTerms = tokenize(query);
+    const N = entries.reduce((n, { entry }) => n + entry.index.N, 0);
+    const avgdl = N ? entries.reduce((n, { entry }) => n + entry.index.avgdl * entry.index.N, 0) / N : 0;
+    const df = {};
+    for (const t of new Set(queryTerms)) {
+      const total = entries.reduce((n, { entry }) => n + (entry.index.df[t] || 0), 0);
+      if (total) df[t] = total;
+    }
+
+    let pool = [];
+    const rawByEntry = entries.map(({ entry }, e) => {
+      const raw = bm25Scores({ ...entry.index, N, avgdl, df }, queryTerms);
+      raw.forEach((s, i) => {
+        if (s > 0) pool.push({ e, i, bm25: entry.index.docs[i].toc ? s * TOC_PENALTY : s });
+      });
+      return raw;
+    });
+    pool.sort((a, b) => b.bm25 - a.bm25);
+    pool = pool.slice(0, RERANK_POOL);
+
+    let queryVec = null;
+    if (embedder && entries.some(({ entry }) => entry.vectors)) {
+      try {
+        queryVec = normalizeVector((await embedder.embed([query]))[0]);
+      } catch (e) {
+        console.warn("Query embedding failed, using BM25 only:", e?.message || e);
+      }
+    }
+    if (queryVec) {
+      // let semantically close chunks without keyword overlap into the pool too
+      const inPool = new Set(pool.map(x => `${x.e}:${x.i}`));
+      entries.forEach(({ entry }, e) => {
+        if (!entry.vectors) return;
+        const sims = entry.vectors.vectors.map((v, i) => ({ i, sim: dot(queryVec, v) })).sort((a, b) => b.sim - a.sim).slice(0, RERANK_POOL);
+        for (const s of sims) if (!inPool.has(`${e}:${s.i}`)) pool.push({ e, i: s.i, bm25: rawByEntry[e][s.i] || 0 });
+      });
+    }
+
+    const maxBm25 = Math.max(0, ...pool.map(x => x.bm25));
+    const results = pool.map(x => {
+      const { filename, entry } = entries[x.e];
+      const chunk = entry.byId.get(entry.index.docs[x.i].id) || entry.meta.chunks[x.i];
+      const lexical = maxBm25 > 0 ? (x.bm25 / maxBm25) * proximityFactor(queryTerms, chunk.text) : 0;
+      const vector = queryVec && entry.vectors ? Math.max(0, dot(queryVec, entry.vectors.vectors[x.i])) : null;
+      const score = vector === null ? lexical : (1 - hybridWeight) * lexical + hybridWeight * vector;
+      return { filename, chunk, score: Math.round(score * 1e4) / 1e4, bm25: Math.round(x.bm25 * 1e3) / 1e3, vector: vector === null ? null : Math.round(vector * 1e4) / 1e4 };
+    });
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, k);
+  }
+
+  /**
+   * search(filename, query, { k })
+   * - returns { meta, results: [{ filename, chunk, score, bm25, vector }] } or null if the file is unknown
+   */
+  async function search(filename, query, { k = 6 } = {}) {
+    const entry = load(filename);
+    if (!entry) return null;
+    return { meta: entry.meta, results: await rank([{ filename, entry }], query, k) };
+  }
+
+  /**
+   * searchMany(filenames, query, { k })
+   * - cross-document search: one ranking over the chunks of all (known) files
+   * - returns { files: [{ filename, meta }], missing: [filename], results } (results carry their filename)
+   */
+  async function searchMany(filenames, query, { k = 8 } = {}) {
+    const entries = [];
+    const missing = [];
+    for (const filename of [...new Set(filenames)]) {
+      const entry = load(filename);
+      if (entry) entries.push({ filename, entry });
+      else missing.push(filename);
+    }
+    const results = entries.length ? await rank(entries, query, k) : [];
+    return { files: entries.map(({ filename, entry }) => ({ filename, meta: entry.meta })), missing, results };
+  }
+
+  return { indexFile, load, search, searchMany, embeddingsEnabled: !!embedder };
+}
@@ -17,17 +17,31 @@ import dotenv from "dotenv";
 import multer from "multer";
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
 import * as tesseract from 'node-tesseract-ocr';
-
-let Groq;
-try {
-  // dynamic import so process won't crash if package missing
-  Groq = (await import("groq-sdk")).default;
-} catch (e) {
-  Groq = null;
-  console.warn("Groq SDK not installed or failed to load. Install with: npm install groq-sdk");
-}
+import { createProviderRegistry, ProviderError } from "./providers.js";
+import { createHistoryManager } from "./history.js";
+import { createRetrieval } from "./retrieval.js";
+import { CHUNKING_VERSION, extractPdfPages, textToPages, chunkPages, citationLabel, selectChunks, sampleChunks } from "./chunking.js";
+import { ocrSettings, ocrLowTextPages } from "./ocr.js";
+import { createJobQueue, publicJob, publicMeta } from "./jobs.js";
+import { createBlobStore, isBlobName } from "./blobs.js";
+import { createCollectionStore } from "./collections.js";
+import { createStructuredOutput, StructuredOutputError } from "./structured.js";
+import { createAccountStore, publicUser, AccountError } from "./accounts.js";
+import { createSyncStore } from "./sync.js";
+import { createFlashcardStore } from "./flashcards.js";
+import { createQuizSessionStore, sessionSummary, sessionResults } from "./quizzes.js";
+import { createKnowledgeGraphStore, annotateGraph } from "./knowledge.js";
+import { gradeChoice } from "./grading.js";
+import { EXPORT_FORMATS, toQuestions, exportQuiz, importQuiz } from "./quizformats.js";
+import { createResponseCache, cacheKey } from "./cache.js";
+import { createMetrics, BudgetError } from "./metrics.js";
+import { createPromptComposer, MODES } from "./prompts.js";
+import { createImageProviders, createImageStore, parseImageRequest, processImage } from "./images.js";
+import { createRetention, QuotaError, formatBytes } from "./retention.js";
+import { UploadError, UPLOAD_TYPES, maxUploadBytes, formatLimit, checkUploadName, verifyUpload, safeFilename, toPosixPath, createUrlSigner, normalizeMetaPaths } from "./uploads.js";
 
 dotenv.config();
 
@@ -36,15 +50,59 @@ const __dirname = path.dirname(__filename);
 
 const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
 const UPLOAD_DIR = process.env.UPLOAD_DIR || "uploads";
+// server-side state (conversation logs, indexes, ...) lives here
+const DATA_DIR = process.env.DATA_DIR || "data";
+const HISTORY_TOKEN_BUDGET = process.env.HISTORY_TOKEN_BUDGET ? Number(process.env.HISTORY_TOKEN_BUDGET) : 2500;
 
 if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 
-/* Multer setup */
+/* Multer setup - random temp names (the client's file name is only kept, cleaned, for display);
+   accepted types, size limits and content checks are in uploads.js */
 const storage = multer.diskStorage({
   destination: (_req, _file, cb) => cb(null, UPLOAD_DIR),
-  filename: (_req, file, cb) => cb(null, `${Date.now()}-${file.originalname.replace(/\s+/g, "_")}`)
+  filename: (_req, file, cb) => cb(null, `upload-${Date.now()}-${crypto.randomBytes(6).toString("hex")}${path.extname(file.originalname || "").toLowerCase().replace(/[^.a-z0-9]/g, "")}`)
 });
-const upload = multer({ storage });
+
+/**
+ * acceptUpload(field, kinds) - multer.single(field) for the given kinds ("pdf", "image", "text")
+ * - unsupported types are refused before any bytes are stored (415), oversized files get 413,
+ *   files whose content doesn't match their extension are deleted and refused (415)
+ * - req.file.originalname is replaced by its safeFilename()
+ */
+function acceptUpload(field, kinds) {
+  const receive = multer({
+    storage,
+    limits: { fileSize: maxUploadBytes(kinds), files: 1, fields: 20 },
+    fileFilter: (_req, file, cb) => {
+      try {
+        checkUploadName(file.originalname, kinds);
+        cb(null, true);
+      } catch (e) {
+        cb(e);
+      }
+    }
+  }).single(field);
+  return (req, res, next) => receive(req, res, (err) => {
+    try {
+      if (err) throw err;
+      if (req.file) {
+        verifyUpload(req.file, kinds);
+        req.file.originalname = safeFilename(req.file.originalname);
+      }
+      return next();
+    } catch (e) {
+      if (req.file) fs.unlink(req.file.path, () => {});
+      if (e instanceof UploadError) return res.status(e.status).json({ ok: false, error: e.message });
+      if (e instanceof multer.MulterError) {
+        const tooLarge = e.code === "LIMIT_FILE_SIZE";
+        return res.status(tooLarge ? 413 : 400).json({ ok: false, error: tooLarge ? `File too large (max ${formatLimit(maxUploadBytes(kinds))})` : e.message });
+      }
+      console.error("Upload error:", e);
+      return res.status(500).json({ ok: false, error: String(e) });
+    }
+  });
+}
 
 const app = express();
 app.use(cors());
@@ -61,118 +119,229 @@ try {
   console.warn("pdf-parse not installed. Install with: npm install pdf-parse to enable PDF text extraction.");
 }
 
-/* Groq client init (if key present) */
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const GROQ_MODEL = process.env.GROQ_MODEL || "llama-3.1-8b-instant"; // default recommended
-let groqClient = null;
-
-if (Groq && GROQ_API_KEY) {
-  try {
-    groqClient = new Groq({ apiKey: GROQ_API_KEY });
-    console.log("Groq SDK loaded.");
-  } catch (e) {
-    console.warn("Failed to create Groq client:", e?.message || e);
-    groqClient = null;
-  }
+/* AI providers (Groq / OpenAI-compatible / Gemini / local) with fallback - see providers.js;
+   AI_MOCK=replay answers from fixture files instead, AI_MOCK=record saves real replies as fixtures (mock.js) */
+const providers = createProviderRegistry(process.env);
+if (providers.mock === "replay") {
+  console.log(`AI_MOCK=replay: AI replies come from the fixtures in ${providers.fixturesDir} (no network).`);
+} else if (providers.mock === "record") {
+  console.log(`AI_MOCK=record: successful AI replies are saved as fixtures in ${providers.fixturesDir}.`);
+}
+if (providers.hasAny()) {
+  console.log("AI providers configured:", providers.configured().join(", "));
 } else {
-  if (!Groq) console.warn("Groq SDK missing. npm install groq-sdk");
-  if (!GROQ_API_KEY) console.warn("GROQ_API_KEY missing in .env");
+  console.warn("No AI provider configured. Set GROQ_API_KEY, OPENAI_API_KEY, GEMINI_API_KEY or LOCAL_LLM_URL in .env");
+}
+const NO_PROVIDER_ERROR = "AI provider not configured";
+
+/* image generation (Stability / OpenAI / Gemini, with fallback) and the generated images - see images.js */
+const imageProviders = createImageProviders(process.env);
+if (imageProviders.hasAny()) console.log("Image providers configured:", imageProviders.configured().join(", "));
+const images = createImageStore({ dataDir: DATA_DIR });
+
+/* what the API returns for a stored image (no owner, no file names) */
+function publicImage(image) {
+  const { userId, file, thumb, ...rest } = image;
+  return { ...rest, url: `/api/images/${image.id}/image`, thumbUrl: `/api/images/${image.id}/thumb` };
 }
 
+/* BM25 (+ optional embeddings) index per uploaded file - see retrieval.js */
+const retrieval = createRetrieval({ uploadDir: UPLOAD_DIR, env: process.env });
+if (retrieval.embeddingsEnabled) console.log("Embedding vectors enabled for file retrieval (hybrid ranking).");
+
+/* content-addressed uploads (sha256) + per-user / per-conversation references - see blobs.js */
+const blobs = createBlobStore({ uploadDir: UPLOAD_DIR, dataDir: DATA_DIR });
+/* named sets of library documents for cross-document QA - see collections.js */
+const collections = createCollectionStore({ dataDir: DATA_DIR });
+/* storage quotas, retention and garbage collection of the upload directory - see retention.js */
+const retention = createRetention({ uploadDir: UPLOAD_DIR, blobs, onRefRemoved: ref => collections.removeFile(ref.id) });
+/* expiring signed links to stored uploads (GET /api/files/:id/url), and the anonymous browser ids
+   the server issues (POST /api/auth/anonymous) - see uploads.js */
+const fileUrls = createUrlSigner({ dataDir: DATA_DIR, ttlSeconds: Number(process.env.FILE_URL_TTL_SECONDS) || 900 });
+const fixedMetaPaths = normalizeMetaPaths(UPLOAD_DIR);
+if (fixedMetaPaths) console.log(`Rewrote the path of ${fixedMetaPaths} upload meta file(s) with forward slashes.`);
+/* accounts (bearer tokens) and the per-account copy of conversations / notes / profile */
+const accounts = createAccountStore({ dataDir: DATA_DIR, sessionTtlDays: Number(process.env.SESSION_TTL_DAYS) || 90 });
+const syncStore = createSyncStore({ dataDir: DATA_DIR });
+/* spaced-repetition flashcards - see flashcards.js */
+const flashcards = createFlashcardStore({ dataDir: DATA_DIR });
+/* recorded quiz sessions + progress analytics - see quizzes.js */
+const quizSessions = createQuizSessionStore({ dataDir: DATA_DIR });
+/* topic maps merged into a knowledge graph per user - see knowledge.js */
+const knowledgeGraph = createKnowledgeGraphStore({ dataDir: DATA_DIR });
+// req.user is the signed-in account (or null); an unknown or expired token is treated as signed out
+app.use((req, _res, next) => {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  req.authToken = m ? m[1] : null;
+  req.user = m ? accounts.authenticate(m[1]) : null;
+  next();
+});
+const DEFAULT_SYSTEM_PROMPT = "You are a helpful study assistant. Keep answers clear and avoid raw TeX unless requested.";
+
+/* identical prompts (same endpoint, model and sampling params) answered from cache - see cache.js */
+const responseCache = createResponseCache({ dataDir: DATA_DIR });
+/* token / latency / error accounting per endpoint and model, daily token budgets - see metrics.js */
+const metrics = createMetrics({ dataDir: DATA_DIR });
+
 /* ----------------------
    Helpers
    ---------------------- */
 
 /**
  * getChatResponse(prompt, opts)
- * - returns {ok:true, text, raw} or throws
+ * - opts: { endpoint, system, history, model, provider, max_tokens, temperature, cache }
+ * - `endpoint` selects the provider route (AI_ROUTES) and falls back on 429/5xx
+ * - `history` is an already budgeted [{role, content}] list placed before the prompt
+ * - answers come from the response cache when the endpoint has a TTL; `cache: false` skips the
+ *   lookup ("regenerate") and stores the fresh answer in its place
+ * - provider calls are counted in `metrics` and refused with BudgetError once the endpoint's
+ *   daily token budget is spent (cache hits are always served)
+ * - returns {ok:true, text, raw, provider, model, usage, cache: "hit"|"miss"|"bypass"|"off", cacheKey} or throws
  */
 async function getChatResponse(prompt, opts = {}) {
-  if (!groqClient) {
-    const msg = "Groq client not configured. Set GROQ_API_KEY in .env and install groq-sdk";
-    throw new Error(msg);
+  const endpoint = opts.endpoint || "ai";
+  const messages = [
+    { role: "system", content: opts.system || DEFAULT_SYSTEM_PROMPT },
+    ...(opts.history || []),
+    { role: "user", content: prompt }
+  ];
+  const max_tokens = opts.max_tokens || 900;
+  const temperature = typeof opts.temperature === "number" ? opts.temperature : 0.35;
+
+  let key = null;
+  if (responseCache.ttlFor(endpoint)) {
+    // keyed on the model that would answer first, so AI_ROUTES changes don't serve stale answers
+    const [first] = providers.chainFor(endpoint, { provider: opts.provider, model: opts.model });
+    key = cacheKey({ endpoint, provider: first?.adapter.name, model: first?.model, messages, max_tokens, temperature });
+    const hit = opts.cache === false ? null : responseCache.get(key);
+    if (hit) {
+      metrics.recordCacheHit(endpoint);
+      return { ok: true, ...hit, cache: "hit", cacheKey: key };
+    }
   }
 
-  // model selection (from env or opts)
-  const model = opts.model || process.env.GROQ_MODEL || GROQ_MODEL;
-
+  metrics.checkBudget(endpoint);
+  const startedAt = Date.now();
+  let result;
   try {
-    const response = await groqClient.chat.completions.create({
-      model,
-      messages: [
-        { role: "system", content: opts.system || "You are a helpful study assistant. Keep answers clear and avoid raw TeX unless requested." },
-        { role: "user", content: prompt }
-      ],
-      max_tokens: opts.max_tokens || 900,
-      temperature: typeof opts.temperature === "number" ? opts.temperature : 0.35
-    });
+    result = await providers.chat({ endpoint, messages, model: opts.model, provider: opts.provider, max_tokens, temperature });
+  } catch (err) {
+    metrics.recordFailure({ endpoint, attempts: err.attempts, error: err });
+    throw err;
+  }
+  metrics.recordCall({ endpoint, provider: result.provider, model: result.model, usage: result.usage, latencyMs: Date.now() - startedAt, attempts: result.attempts, messages, text: result.text });
+  const answer = { text: result.text, raw: result.raw, provider: result.provider, model: result.model, usage: result.usage };
+  if (key) responseCache.set(key, answer, { endpoint });
+  return { ok: true, ...answer, cache: key ? (opts.cache === false ? "bypass" : "miss") : "off", cacheKey: key };
+}
 
-    const out = response?.choices?.[0]?.message?.content;
-    if (out) return { ok: true, text: String(out), raw: response };
+/* { cache: false } when the client asked to regenerate (body.regenerate) */
+function cacheOpts(req) {
+  return req.body && req.body.regenerate ? { cache: false } : {};
+}
 
-    // fallback to stringify
-    return { ok: true, text: JSON.stringify(response), raw: response };
-  } catch (err) {
-    const msg = err?.message || String(err);
-    console.error("Groq call error:", msg);
-    throw new Error(`Groq error: ${msg}`);
+/* JSON endpoints: schema-validated output with a bounded repair loop - see structured.js */
+const structured = createStructuredOutput({
+  chat: getChatResponse,
+  // a reply that didn't match its schema is counted and never served from cache again
+  onInvalid: (result, { schema, endpoint }) => {
+    if (result.cacheKey) responseCache.forget(result.cacheKey);
+    metrics.recordParseFailure(endpoint, schema);
+  },
+  maxRepairs: process.env.STRUCTURED_MAX_REPAIRS !== undefined ? Number(process.env.STRUCTURED_MAX_REPAIRS) : 2
+});
+
+/* error response of the JSON endpoints: 502 with the validation errors when the model never
+   produced the declared shape, 500 for anything else */
+function structuredError(res, route, err) {
+  if (err instanceof BudgetError) return budgetResponse(res, err);
+  if (err instanceof StructuredOutputError) {
+    console.error(`${route} error: ${err.message} (${err.attempts} attempt(s))`);
+    return res.status(502).json({ ok: false, error: err.message, validationErrors: err.errors, aillm_response: err.text });
   }
+  console.error(`${route} error:`, err);
+  return res.status(500).json({ ok: false, error: String(err) });
 }
 
-function extractAndParseJson(text) {
-    if (!text || typeof text !== 'string') {
-        return null;
-    }
+/* 429 (with Retry-After) for a call refused by a daily token budget */
+function budgetResponse(res, err) {
+  res.set("Retry-After", String(Math.max(1, Math.ceil((Date.parse(err.resetsAt) - Date.now()) / 1000))));
+  return res.status(429).json({ ok: false, error: err.message, budget: { scope: err.scope, used: err.used, budget: err.budget, resetsAt: err.resetsAt } });
+}
 
-    // Attempt to find JSON within markdown code blocks
-    const codeBlockMatch = text.match(/```json\s*([\s\S]*?)\s*```/);
-    if (codeBlockMatch && codeBlockMatch[1]) {
-        try {
-            return JSON.parse(codeBlockMatch[1]);
-        } catch (e) {
-            // Ignore if parsing fails, will try next method
-        }
-    }
+/* /api/ai prompt layers (persona, length, math format, pedagogy, difficulty) - see prompts.js */
+const promptComposer = createPromptComposer();
 
-    // Attempt to find the first '{' or '[' and parse from there
-    const firstBracket = text.indexOf('{');
-    const firstSquareBracket = text.indexOf('[');
+/* what compose() did, for body.debugPrompt */
+function promptDebug(composed) {
+  const { wrapperPrompt, ...rest } = composed;
+  return { text: wrapperPrompt, ...rest };
+}
 
-    let start = -1;
+/* ----------------------
+   Conversation history (multi-turn context for /api/ai)
+   ---------------------- */
+const history = createHistoryManager({
+  dataDir: DATA_DIR,
+  budget: HISTORY_TOKEN_BUDGET,
+  summarize: async (turns) => {
+    const transcript = turns.map(t => `${t.role === "user" ? "Student" : "Tutor"}: ${t.content}`).join("\n");
+    const prompt = `Summarize this earlier part of a tutoring conversation in under 150 words. Keep definitions, formulas, numbered steps and worked-example values that later questions may refer to, and note what the student is still unsure about.\n\n${transcript}`;
+    const result = await getChatResponse(prompt, { endpoint: "history-summary", system: "Conversation summarizer", max_tokens: 300, temperature: 0.1 });
+    return result.text;
+  }
+});
 
-    if (firstBracket === -1 && firstSquareBracket === -1) {
-        return null;
-    }
+/**
+ * resolveHistory(req)
+ * - prior turns come from body.messages (client-held conversation) or, when only a
+ *   conversationId is sent, from the caller's server-side log of that conversation
+ * - returns { messages, info, persist } where persist=true means the new turn should be logged
+ */
+async function resolveHistory(req) {
+  const { messages, conversationId } = req.body || {};
+  if (Array.isArray(messages)) {
+    const { messages: fitted, info } = await history.fit(messages);
+    return { messages: fitted, info, persist: false };
+  }
+  if (conversationId) {
+    const conv = history.load(requestUser(req), conversationId);
+    const { messages: fitted, info } = await history.fit(conv.turns);
+    return { messages: fitted, info, persist: true };
+  }
+  return { messages: [], info: null, persist: false };
+}
 
-    if (firstBracket === -1) {
-        start = firstSquareBracket;
-    } else if (firstSquareBracket === -1) {
-        start = firstBracket;
-    } else {
-        start = Math.min(firstBracket, firstSquareBracket);
-    }
-    
-    let jsonString = text.substring(start);
-    // Attempt to find the matching closing bracket
-    try {
-        return JSON.parse(jsonString);
-    } catch (e) {
-        // If parsing fails, try to find the last bracket
-        const lastBracket = jsonString.lastIndexOf('}');
-        const lastSquareBracket = jsonString.lastIndexOf(']');
-        const end = Math.max(lastBracket, lastSquareBracket);
-
-        if (end !== -1) {
-            jsonString = jsonString.substring(0, end + 1);
-            try {
-                return JSON.parse(jsonString);
-            } catch (e) {
-                return null;
-            }
-        }
-    }
+/* ----------------------
+   Request identity
+   ---------------------- */
+/* caller id: the signed-in account, then the anonymous browser id in body.userId / the x-user-id
+   header (only as issued by POST /api/auth/anonymous), else 'anonymous' */
+function requestUser(req) {
+  if (req.user) return req.user.id;
+  return anonymousId((req.body && req.body.userId) || req.get("x-user-id")) || "anonymous";
+}
 
-    return null;
+/* "g-<hex>.<sig>" -> "g-<hex>" when the server signed it, else null */
+function anonymousId(token) {
+  const id = fileUrls.unstamp(String(token || "").trim());
+  return id && /^g-[\da-f]{32}$/.test(id) ? id : null;
+}
+
+/* ----------------------
+   Server-Sent Events helpers
+   ---------------------- */
+function sseInit(res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // disable proxy buffering (nginx / render.com)
+  res.flushHeaders();
+}
+
+function sseSend(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
 /* ----------------------
@@ -188,8 +357,8 @@ app.get("/api/ping", (req, res) => {
   res.json({
     ok: true,
     uptime: process.uptime(),
-    provider: groqClient ? "Groq" : "none",
-    model: process.env.GROQ_MODEL || null,
+    providers: providers.status(),
+    mock: providers.mock,
     serverStart: SERVER_START_TS
   });
 });
@@ -197,290 +366,1089 @@ app.get("/api/ping", (req, res) => {
 /* POST /api/ai */
 app.post("/api/ai", async (req, res) => {
   try {
-    // Accept flags: detailed (bool), latex (bool), stepByStep (bool), difficulty ("beginner"|"intermediate"|"expert"), and optional max_tokens/temperature
-    const { prompt, model, max_tokens, temperature, detailed, latex, stepByStep, difficulty } = req.body || {};
+    // Accept flags: mode ("auto"|"short"|"mcq"|"standard"|"detailed"), detailed (bool), latex (bool), stepByStep (bool),
+    // difficulty ("beginner"|"intermediate"|"expert"), optional max_tokens/temperature; they stack (see prompts.js)
+    // debugPrompt (bool) returns the assembled prompt and its layers as `prompt`
+    // Context: messages ([{from,text}] prior turns, oldest first) or conversationId (server-side log)
+    const { prompt, model, temperature } = req.body || {};
     if (!prompt || typeof prompt !== "string" || !prompt.trim()) {
       return res.status(400).json({ ok: false, error: "Missing prompt in body" });
     }
 
-    if (!groqClient) {
-      return res.status(500).json({ ok: false, error: "No AI provider configured. Set GROQ_API_KEY in .env and install groq-sdk." });
+    if (!providers.hasAny()) {
+      return res.status(500).json({ ok: false, error: "No AI provider configured. Set GROQ_API_KEY, OPENAI_API_KEY, GEMINI_API_KEY or LOCAL_LLM_URL in .env." });
     }
 
-    const lower = prompt.toLowerCase();
-    const isMCQ = lower.includes('mcq') || lower.includes('multiple choice') || /\bchoose\b|\boption\b|\b(a|b|c|d)\b/i.test(lower);
-    const isOneMark = lower.includes('one mark') || lower.includes('one-mark') || /answer only|final answer only/.test(lower);
-
-    let useDetailed = detailed;
-    if (typeof useDetailed !== 'boolean') {
-      useDetailed = /detailed|explain in detail|long answer|very big|one and half page|one and a half page/i.test(prompt);
+    if (req.body.mode && req.body.mode !== "auto" && !MODES.includes(req.body.mode)) {
+      return res.status(400).json({ ok: false, error: `mode must be auto, ${MODES.join(", ")}` });
     }
-
-    // Build wrapper prompt according to flags and heuristics
-    let wrapperPrompt = '';
-
-    // Force MCQ / one-line answers
-    if (isMCQ || isOneMark) {
-      wrapperPrompt = "Provide only the final short answer (single line) with no explanation. Question: " + prompt;
-    } else if (useDetailed) {
-      // Detailed long-form answer requested
-      // use higher token budget by passing max_tokens when calling getChatResponse
-      wrapperPrompt = "You are a professional tutor. Provide a detailed, step-by-step answer with clear explanations, relevant examples, and where appropriate, mathematical derivations. Use LaTeX for equations if requested. Answer the user's prompt exactly:\n\n" + prompt;
-    } else {
-      // Default answer: reasonably detailed but concise
-      wrapperPrompt = "You are a professional patient tutor. Provide a clear, structured answer with headings, short paragraphs, bullets where useful, and one worked example if applicable. Use LaTeX for math only if the user requests it. Make the answer engaging by using emojis and bolding important words. Answer the user's prompt exactly:\n\n" + prompt;
-    }
-
-    // If latex explicitly requested, add instruction to output LaTeX and wrap math in $$ for display
-    if (latex || /latex|\\\$\\\$|\\\$\s*\\\$/.test(prompt)) {
-      wrapperPrompt = "You are a professional tutor. Provide answers using LaTeX for all mathematical expressions. Use display math with $$...$$ for important equations and inline $...$ where appropriate. Output raw LaTeX (do not HTML-escape backslashes). Answer the user's prompt in detail:\n\n" + prompt;
-    }
-
-    // If step-by-step explicitly requested, prefer stepwise pedagogy
-    if (stepByStep) {
-      wrapperPrompt = "You are a step-by-step teacher. For the following prompt, provide a clear stepwise solution:\n\n" + prompt;
-    }
-
-    // Difficulty adjustments (overrides wrapper style)
-    if (difficulty && typeof difficulty === 'string') {
-      const d = String(difficulty).toLowerCase();
-      if (d === 'beginner' || d === 'easy') wrapperPrompt = "Explain the following in beginner-friendly terms, with simple examples and no assumed advanced knowledge:\n\n" + prompt;
-      else if (d === 'intermediate' || d === 'medium') wrapperPrompt = "Explain the following with intermediate depth: include necessary formulas and one worked example:\n\n" + prompt;
-      else if (d === 'expert' || d === 'hard') wrapperPrompt = "Explain the following at an advanced level: include rigorous derivations and concise statements for an expert audience:\n\n" + prompt;
+    const composed = promptComposer.compose(req.body);
+    const { wrapperPrompt, tokens } = composed;
+    let ctx;
+    try {
+      ctx = await resolveHistory(req);
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: String(err?.message || err) });
     }
 
-    // Decide token budget
-    const tokens = (detailed || latex || /one and half page|one and a half page/i.test(prompt)) ? (max_tokens || 1500) : (max_tokens || 900);
-
-    const result = await getChatResponse(wrapperPrompt, { model, max_tokens: tokens, temperature });
+    const result = await getChatResponse(wrapperPrompt, { endpoint: 'ai', history: ctx.messages, model, max_tokens: tokens, temperature, ...cacheOpts(req) });
+    if (ctx.persist) history.append(requestUser(req), req.body.conversationId, [{ role: "user", content: prompt }, { role: "assistant", content: result.text }]);
 
-    return res.json({ ok: true, text: result.text, raw: result.raw });
+    return res.json({ ok: true, text: result.text, context: ctx.info, cache: result.cache, ...(req.body.debugPrompt ? { prompt: promptDebug(composed) } : {}) });
   } catch (err) {
+    if (err instanceof BudgetError) return budgetResponse(res, err);
     console.error("API /api/ai error:", err?.message || err);
     return res.status(500).json({ ok: false, error: String(err?.message || err) });
   }
 });
 
-/* POST /api/image - Stable Diffusion Image Generation */
-app.post("/api/image", async (req, res) => {
-  try {
-    const { prompt } = req.body || {};
-    if (!prompt) return res.status(400).json({ ok: false, error: "Missing prompt" });
-
-    const STABILITY_API_KEY = process.env.STABILITY_API_KEY;
+/* POST /api/ai/stream
+   Same body as /api/ai, answered as Server-Sent Events (the browser reads it with fetch()):
+     event: start  { provider, model, context, prompt? (debugPrompt) }
+     event: delta  { text }            - one per provider delta, in order
+     event: done   { usage, provider, model }
+     event: error  { error }
+   Closing the request (client cancel) aborts the upstream provider call.
+*/
+app.post("/api/ai/stream", async (req, res) => {
+  const { prompt, model, temperature } = req.body || {};
+  if (!prompt || typeof prompt !== "string" || !prompt.trim()) {
+    return res.status(400).json({ ok: false, error: "Missing prompt in body" });
+  }
+  if (!providers.hasAny()) {
+    return res.status(500).json({ ok: false, error: "No AI provider configured. Set GROQ_API_KEY, OPENAI_API_KEY, GEMINI_API_KEY or LOCAL_LLM_URL in .env." });
+  }
 
-    if (!STABILITY_API_KEY) {
-      return res.status(501).json({ ok: false, error: "Image generation not configured. Set STABILITY_API_KEY in .env" });
+  if (req.body.mode && req.body.mode !== "auto" && !MODES.includes(req.body.mode)) {
+    return res.status(400).json({ ok: false, error: `mode must be auto, ${MODES.join(", ")}` });
+  }
+  const composed = promptComposer.compose(req.body);
+  const { wrapperPrompt, tokens } = composed;
+  let ctx;
+  try {
+    ctx = await resolveHistory(req);
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: String(err?.message || err) });
+  }
+  try {
+    metrics.checkBudget("ai");
+  } catch (err) {
+    return budgetResponse(res, err);
+  }
+  const controller = new AbortController();
+  res.on("close", () => { if (!res.writableEnded) controller.abort(); });
+
+  sseInit(res);
+  const messages = [
+    { role: "system", content: DEFAULT_SYSTEM_PROMPT },
+    ...ctx.messages,
+    { role: "user", content: wrapperPrompt }
+  ];
+  const startedAt = Date.now();
+  try {
+    const events = providers.stream({
+      endpoint: "ai",
+      messages,
+      model,
+      max_tokens: tokens,
+      temperature: typeof temperature === "number" ? temperature : 0.35,
+      signal: controller.signal
+    });
+    let answer = "";
+    for await (const ev of events) {
+      if (ev.type === "start") sseSend(res, "start", { provider: ev.provider, model: ev.model, context: ctx.info, ...(req.body.debugPrompt ? { prompt: promptDebug(composed) } : {}) });
+      else if (ev.type === "delta") { answer += ev.text; sseSend(res, "delta", { text: ev.text }); }
+      else if (ev.type === "done") {
+        metrics.recordCall({ endpoint: "ai", provider: ev.provider, model: ev.model, usage: ev.usage, latencyMs: Date.now() - startedAt, attempts: ev.attempts, messages, text: answer });
+        sseSend(res, "done", { usage: ev.usage, provider: ev.provider, model: ev.model });
+      }
     }
+    if (ctx.persist) history.append(requestUser(req), req.body.conversationId, [{ role: "user", content: prompt }, { role: "assistant", content: answer }]);
+  } catch (err) {
+    if (controller.signal.aborted) return; // client went away
+    metrics.recordFailure({ endpoint: "ai", attempts: err.attempts, error: err });
+    console.error("API /api/ai/stream error:", err?.message || err);
+    sseSend(res, "error", { error: String(err?.message || err) });
+  }
+  res.end();
+});
 
-    console.log("Starting image generation with prompt:", prompt);
-
-    const url = "https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/text-to-image";
+/* POST /api/image - body { prompt, size: "512x512" (or width + height), style?, negativePrompt?, provider?,
+   conversationId? }. The image is generated (see images.js), cropped/scaled to the requested size, stored
+   with a thumbnail and returned by URL: { image, url, thumbUrl } (paths relative to this server) */
+app.post("/api/image", async (req, res) => {
+  const parsed = parseImageRequest(req.body || {});
+  if (parsed.error) return res.status(parsed.status).json({ ok: false, error: parsed.error });
+  if (!imageProviders.hasAny()) {
+    return res.status(501).json({ ok: false, error: "Image generation not configured. Set STABILITY_API_KEY, OPENAI_API_KEY or GEMINI_API_KEY in .env" });
+  }
+  const conversationId = /^[\w-]{1,80}$/.test(String(req.body.conversationId || "")) ? req.body.conversationId : null;
+  const controller = new AbortController();
+  res.on("close", () => { if (!res.writableEnded) controller.abort(); });
 
-    const payload = {
-      text_prompts: [
-        {
-          text: prompt,
-          weight: 1
-        }
-      ],
-      output_format: "png"
-    };
+  try {
+    const generated = await imageProviders.generate(parsed.request, { provider: req.body.provider, signal: controller.signal });
+    const processed = processImage(generated.data, parsed.request.width, parsed.request.height);
+    const image = images.create({
+      userId: requestUser(req),
+      conversationId,
+      request: parsed.request,
+      result: { ...processed, provider: generated.provider, model: generated.model, revisedPrompt: generated.revisedPrompt }
+    });
+    const out = publicImage(image);
+    return res.json({ ok: true, image: out, url: out.url, thumbUrl: out.thumbUrl });
+  } catch (err) {
+    if (controller.signal.aborted) return; // client went away
+    console.error("Image generation error:", err?.message || err);
+    // a refused prompt is the caller's to fix; anything else is upstream trouble
+    const status = err instanceof ProviderError && (err.status === 400 || err.status === 422) ? 400 : 502;
+    return res.status(status).json({ ok: false, error: String(err?.message || err), attempts: err.attempts });
+  }
+});
 
-    console.log("Sending request to Stability API...");
+/* GET /api/images?conversationId= - the caller's generated images (newest first), optionally of one chat */
+app.get("/api/images", (req, res) => {
+  const conversationId = req.query.conversationId ? String(req.query.conversationId) : undefined;
+  return res.json({ ok: true, images: images.list({ userId: requestUser(req), conversationId }).map(publicImage) });
+});
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+/* GET /api/images/:id/image | /api/images/:id/thumb - the stored file; the unguessable id is the credential */
+app.get("/api/images/:id/:variant(image|thumb)", (req, res) => {
+  const image = images.get(req.params.id);
+  if (!image) return res.status(404).json({ ok: false, error: "Image not found" });
+  const variant = req.params.variant;
+  res.type(variant === "thumb" && image.thumb ? "image/png" : image.mime);
+  res.set("Cache-Control", "private, max-age=31536000, immutable");
+  return res.sendFile(path.resolve(images.fileOf(image, variant)), err => {
+    if (err && !res.headersSent) res.status(404).json({ ok: false, error: "Image file missing" });
+  });
+});
 
-    const r = await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${STABILITY_API_KEY}`
-      },
-      body: JSON.stringify(payload),
-      signal: controller.signal
-    });
+/* DELETE /api/images/:id - the owner removes an image and its thumbnail */
+app.delete("/api/images/:id", (req, res) => {
+  const image = images.get(req.params.id);
+  if (!image || image.userId !== requestUser(req)) return res.status(404).json({ ok: false, error: "Image not found" });
+  images.remove(image.id);
+  return res.json({ ok: true, id: image.id });
+});
 
-    clearTimeout(timeoutId);
+/* ----------------------
+   Upload processing (background job queue - see jobs.js)
+   ---------------------- */
+const jobs = createJobQueue({
+  dataDir: DATA_DIR,
+  concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+  retentionHours: Number(process.env.JOB_RETENTION_HOURS) || 24
+});
 
-    if (!r.ok) {
-      try {
-        const txt = await r.text();
-        console.error("Stability API error status:", r.status);
-        console.error("Stability API error body:", txt);
-        return res.status(502).json({ ok: false, error: "Stability API error: " + txt, status: r.status });
-      } catch (e) {
-        console.error("Stability API error status:", r.status);
-        return res.status(502).json({ ok: false, error: "Stability API error", status: r.status });
-      }
+/* processUpload(job, ctx) - stages: extracting -> ocr (page n/m) -> chunking -> analyzing
+   - job.payload.file = { path, filename, originalname, mimetype, size } of the stored upload
+   - attempts to extract text for .txt, .md, .csv, .json, and .pdf (if pdf-parse installed);
+     PDF pages without a usable text layer are OCR'd (see ocr.js) and listed in meta.ocrPages
+   - creates a .meta.json alongside the file containing chunked extracted text for simple file QA
+     (chunks carry { page, section } so answers can cite their source)
+   - runs from the start again if the job is resumed after a restart
+*/
+async function processUpload(job, ctx) {
+  const file = job.payload.file;
+  const fullPath = file.path;
+  if (!fs.existsSync(fullPath)) throw new Error("Stored file is missing");
+  const ext = path.extname(file.originalname || "").toLowerCase();
+  let extractedText = "";
+  let pdfPages = null; // per-page lines for PDFs (page-aware chunking)
+  let ocr = null; // OCR fallback result for scanned PDF pages
+
+  ctx.stage("extracting", "Extracting text");
+
+  // text-like files
+  if (ext === ".txt" || ext === ".md" || ext === ".json" || ext === ".csv") {
+    try {
+      extractedText = fs.readFileSync(fullPath, { encoding: "utf8" });
+    } catch (e) {
+      extractedText = "";
     }
-
+  } else if (ext === ".pdf" && pdfParse) {
     try {
-      const j = await r.json();
-      console.log("Stability response received successfully");
-
-      // Extract base64 from Stable Diffusion response
-      if (j?.artifacts && j.artifacts[0]?.base64) {
-        const b64 = j.artifacts[0].base64;
-        const dataUrl = `data:image/png;base64,${b64}`;
-        console.log("Image generated successfully");
-        return res.json({ ok: true, dataUrl, raw: j });
+      const dataBuffer = fs.readFileSync(fullPath);
+      const pdfData = await extractPdfPages(dataBuffer, pdfParse);
+      extractedText = pdfData.text;
+      pdfPages = pdfData.pages;
+    } catch (e) {
+      console.warn("PDF parse failed:", e?.message || e);
+    }
+    // scanned pages (little or no text layer) -> rasterize + tesseract, merged back per page
+    if (pdfPages && pdfPages.length) {
+      ocr = await ocrLowTextPages(fullPath, pdfPages, {
+        onPage: ({ index, total }) => ctx.stage("ocr", `OCR page ${index}/${total}`, { current: index, total })
+      });
+      if (ocr.ocrPages.length) {
+        console.log(`OCR'd ${ocr.ocrPages.length} page(s) of ${file.originalname}`);
+        extractedText = pdfPages.map(p => p.lines.map(l => l.text).join("\n")).join("\n\n");
       }
+      if (ocr.error) console.warn(`OCR fallback unavailable for ${file.originalname}:`, ocr.error);
+    }
+  } else if (['.jpg', '.jpeg', '.png'].includes(ext)) {
+    try {
+      ctx.stage("ocr", "OCR page 1/1", { current: 1, total: 1 });
+      console.log(`Performing OCR on image: ${fullPath}`);
+      extractedText = await tesseract.recognize(fullPath, { lang: 'eng', oem: 1, psm: 3 });
+      console.log(`OCR successful for: ${fullPath}`);
+    } catch (e) {
+      console.error(`Tesseract OCR failed for ${fullPath}:`, e?.message || e);
+      extractedText = "";
+    }
+  } else {
+    // for other binaries we currently don't perform OCR
+    extractedText = "";
+  }
+
+  ctx.stage("chunking", "Splitting text into sections");
+  // chunk the extracted text for retrieval: paragraph windows tagged with page + section (see chunking.js)
+  let chunks = [];
+  let outline = [];
+  if (extractedText && extractedText.trim().length > 0) {
+    ({ chunks, outline } = chunkPages(pdfPages && pdfPages.length ? pdfPages : textToPages(extractedText), { idPrefix: String(Date.now()) }));
+  }
 
-      console.error("Unexpected response format:", JSON.stringify(j));
-      return res.status(502).json({ ok: false, error: "Unexpected response format from Stable Diffusion", raw: j });
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2,8)}`;
+  const meta = {
+    id,
+    originalName: file.originalname,
+    filename: file.filename,
+    path: toPosixPath(path.join(UPLOAD_DIR, file.filename)),
+    size: file.size,
+    mimeType: file.mimetype,
+    uploadedAt: new Date().toISOString(),
+    sha256: file.sha256 || null,
+    pages: pdfPages ? pdfPages.length : null,
+    chunking: CHUNKING_VERSION,
+    // pages read by OCR, with tesseract's mean word confidence (0-100)
+    ocrPages: ocr ? ocr.ocrPages : [],
+    ...(ocr && (ocr.ocrPages.length || ocr.skipped.length) ? { ocr: { engine: "tesseract", lang: ocrSettings().lang, density: ocrSettings().density, skippedPages: ocr.skipped, error: ocr.error } } : {}),
+    outline,
+    chunks
+  };
+
+  const metaPath = path.join(UPLOAD_DIR, `${file.filename}.meta.json`);
+  fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2), 'utf8');
+
+  // retrieval index for /api/file-qa (embeddings, if enabled, finish in the background)
+  if (chunks.length) {
+    try {
+      retrieval.indexFile(file.filename, chunks);
     } catch (e) {
-        console.error("Error parsing Stability API response:", e.message || e);
-        return res.status(500).json({ ok: false, error: "Error parsing Stability API response: " + (e.message || String(e)) });
+      console.warn("Indexing failed (file-qa will rebuild on first question):", e?.message || e);
+    }
+  }
+
+  // --- Begin change: Immediately process OCR text if available ---
+  let aiResponse = null;
+  if (extractedText && extractedText.trim().length > 0 && providers.hasAny()) {
+    ctx.stage("analyzing", "Analyzing the document");
+    try {
+      const prompt = `The following text was extracted from an uploaded file. Please analyze it and provide a helpful response:\n\n---\n\n${extractedText}`;
+      const result = await getChatResponse(prompt, { endpoint: "upload", system: "You are a helpful study assistant analyzing a document." });
+      aiResponse = result.text;
+    } catch (aiError) {
+      console.error("Error getting immediate AI response after upload:", aiError);
+      // Don't fail the whole upload, just log the error. The user can still query the file later.
     }
-  } catch (err) {
-    console.error("Image generation error:", err.message || err);
-    return res.status(500).json({ ok: false, error: "Error: " + (err.message || String(err)) });
+  }
+  // --- End change ---
+
+  // kept with the meta so re-uploads of the same content get it without another LLM call
+  if (aiResponse) {
+    meta.analysis = aiResponse;
+    fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2), 'utf8');
+  }
+
+  return { meta, aiResponse };
+}
+// the job holds its blob from the upload route (or from a restart, below) until it ends
+jobs.register("upload", async (job, ctx) => {
+  try {
+    return await processUpload(job, ctx);
+  } finally {
+    blobs.release(job.payload.file.filename);
   }
 });
 
-/* POST /api/upload - file field name 'file'
-   Behavior:
-   - saves file to uploads dir (same as before)
-   - attempts to extract text for .txt, .md, .csv, .json, and .pdf (if pdf-parse installed)
-   - creates a .meta.json alongside the file containing chunked extracted text for simple file QA
+/* POST /api/upload - file field name 'file' (+ optional fields userId, conversationId)
+   Behavior: stores the file content-addressed (UPLOAD_DIR/<sha256><ext>) and records a reference
+   for the user / conversation.
+   - same bytes already processed: responds 200 with { ref, meta, aiResponse, deduplicated: true }, meta
+     in the same public shape as a finished job's (see below)
+   - otherwise queues its processing and responds 202 right away with { ref, jobId, job }. Follow the
+     job with GET /api/jobs/:id or GET /api/jobs/:id/events (same user only); the finished job's
+     result is { meta, aiResponse } with meta.chunks reduced to meta.chunkCount.
 */
-app.post("/api/upload", upload.single("file"), async (req, res) => {
+app.post("/api/upload", acceptUpload("file", ["pdf", "image", "text"]), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ ok: false, error: "No file uploaded (field 'file')" });
+    const { originalname, mimetype, size } = req.file;
+    const conversationId = /^[\w-]{1,80}$/.test(String(req.body?.conversationId || "")) ? req.body.conversationId : null;
 
-    const fullPath = req.file.path;
-    const ext = path.extname(req.file.originalname || "").toLowerCase();
-    let extractedText = "";
-
-    // text-like files
-    if (ext === ".txt" || ext === ".md" || ext === ".json" || ext === ".csv") {
-      try {
-        extractedText = fs.readFileSync(fullPath, { encoding: "utf8" });
-      } catch (e) {
-        extractedText = "";
-      }
-    } else if (ext === ".pdf" && pdfParse) {
+    // the blob is held until it has our reference or its processing job (a concurrent delete of
+    // its last reference leaves it alone); a refused upload's release deletes it if unreferenced
+    const blob = await blobs.adopt(req.file.path, originalname);
+    let handedToJob = false;
+    try {
       try {
-        const dataBuffer = fs.readFileSync(fullPath);
-        const pdfData = await pdfParse(dataBuffer);
-        extractedText = pdfData?.text || "";
+        retention.checkQuota(requestUser(req), blob.filename, size);
       } catch (e) {
-        console.warn("PDF parse failed:", e?.message || e);
+        if (!(e instanceof QuotaError)) throw e;
+        return res.status(e.status).json({ ok: false, error: e.message, usedBytes: e.usedBytes, quotaBytes: e.quotaBytes });
       }
-    } else if (['.jpg', '.jpeg', '.png'].includes(ext)) {
-      try {
-        console.log(`Performing OCR on image: ${fullPath}`);
-        extractedText = await tesseract.recognize(fullPath, { lang: 'eng', oem: 1, psm: 3 });
-        console.log(`OCR successful for: ${fullPath}`);
-      } catch (e) {
-        console.error(`Tesseract OCR failed for ${fullPath}:`, e?.message || e);
-        extractedText = "";
+      const ref = blobs.addRef({ filename: blob.filename, sha256: blob.sha256, userId: requestUser(req), conversationId, originalName: originalname });
+
+      const metaPath = path.join(UPLOAD_DIR, `${blob.filename}.meta.json`);
+      if (blob.existed && fs.existsSync(metaPath)) {
+        const meta = JSON.parse(fs.readFileSync(metaPath, "utf8"));
+        // extraction from an older chunker is redone below
+        if (meta.chunking === CHUNKING_VERSION) {
+          return res.json({ ok: true, ref, meta: publicMeta(meta), aiResponse: meta.analysis || null, deduplicated: true });
+        }
       }
-    } else {
-      // for other binaries we currently don't perform OCR
-      extractedText = "";
-    }
 
-    // chunk the extracted text for retrieval
-    const chunks = [];
-    if (extractedText && extractedText.trim().length > 0) {
-      const paragraphs = extractedText.split(/\n{1,}/).map(s => s.trim()).filter(Boolean);
-      let chunkId = 0;
-      for (const p of paragraphs) {
-        if (p.length <= 1000) {
-          chunks.push({ id: `${Date.now()}_${chunkId++}`, text: p });
-        } else {
-          for (let i = 0; i < p.length; i += 800) {
-            chunks.push({ id: `${Date.now()}_${chunkId++}`, text: p.slice(i, i + 800) });
-          }
-        }
+      const active = jobs.findActive(j => j.type === "upload" && j.payload.file.filename === blob.filename);
+      if (active) {
+        jobs.share(active.id, requestUser(req));
+        return res.status(202).json({ ok: true, ref, jobId: active.id, job: publicJob(active), deduplicated: true });
       }
+
+      const file = { path: blob.path, filename: blob.filename, sha256: blob.sha256, originalname, mimetype, size };
+      const job = jobs.enqueue("upload", { file }, { stage: "stored", message: `Stored ${originalname}`, userId: requestUser(req) });
+      handedToJob = true; // released when the job ends
+      return res.status(202).json({ ok: true, ref, jobId: job.id, job: publicJob(job) });
+    } finally {
+      if (!handedToJob) blobs.release(blob.filename);
     }
+  } catch (err) {
+    console.error("/api/upload error:", err);
+    return res.status(500).json({ ok: false, error: String(err) });
+  }
+});
 
-    const id = `${Date.now()}-${Math.random().toString(36).slice(2,8)}`;
-    const meta = {
-      id,
-      originalName: req.file.originalname,
-      filename: req.file.filename,
-      path: fullPath,
-      size: req.file.size,
-      mimeType: req.file.mimetype,
-      uploadedAt: new Date().toISOString(),
-      chunks
-    };
+/* the job of :id if the caller may follow it, else null */
+function ownJob(req) {
+  const job = jobs.get(req.params.id);
+  return job && (job.userIds || []).includes(requestUser(req)) ? job : null;
+}
 
-    const metaPath = path.join(UPLOAD_DIR, `${req.file.filename}.meta.json`);
-    fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2), 'utf8');
+/* GET /api/jobs/:id - job status: { status: queued|running|done|failed, stage, message, progress, result, error } */
+app.get("/api/jobs/:id", (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+  return res.json({ ok: true, job: publicJob(job) });
+});
 
-    // --- Begin change: Immediately process OCR text if available ---
-    let aiResponse = null;
-    if (extractedText && extractedText.trim().length > 0 && groqClient) {
-      try {
-        const prompt = `The following text was extracted from an uploaded file. Please analyze it and provide a helpful response:\n\n---\n\n${extractedText}`;
-        const result = await getChatResponse(prompt, { system: "You are a helpful study assistant analyzing a document." });
-        aiResponse = result.text;
-      } catch (aiError) {
-        console.error("Error getting immediate AI response after upload:", aiError);
-        // Don't fail the whole upload, just log the error. The user can still query the file later.
-      }
+/* GET /api/jobs/:id/events - SSE: a "job" event with the full job on every update; the stream
+   ends after the job is done or failed */
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+
+  sseInit(res);
+  const finished = j => j.status === "done" || j.status === "failed";
+  sseSend(res, "job", publicJob(job));
+  if (finished(job)) return res.end();
+
+  const unsubscribe = jobs.subscribe(job.id, (update) => {
+    sseSend(res, "job", update);
+    if (finished(update)) {
+      unsubscribe();
+      res.end();
     }
-    // --- End change ---
+  });
+  res.on("close", unsubscribe);
+});
 
-    return res.json({ ok: true, meta, aiResponse });
+/* ----------------------
+   Accounts (local username/password or magic token - see accounts.js)
+   Clients send the session as "Authorization: Bearer <token>".
+   ---------------------- */
+
+/* 401 for routes that only make sense for a signed-in account */
+function requireAuth(req, res, next) {
+  if (!req.user) return res.status(401).json({ ok: false, error: "Sign in required" });
+  return next();
+}
+
+/* move what the browser's signed anonymous id (body.claimUserId) owns to the account: uploads,
+   collections, generated images, flashcards, quiz sessions (with them, the progress by topic),
+   the knowledge graph and the server-side conversation logs */
+function claimAnonymous(req, user) {
+  const from = anonymousId(req.body && req.body.claimUserId);
+  if (!from) return 0;
+  return [blobs, collections, images, flashcards, quizSessions, knowledgeGraph, history].reduce((n, store) => n + store.reassignUser(from, user.id), 0);
+}
+
+function accountError(res, route, err) {
+  if (err instanceof AccountError) return res.status(err.status).json({ ok: false, error: err.message });
+  console.error(`${route} error:`, err);
+  return res.status(500).json({ ok: false, error: String(err) });
+}
+
+/* POST /api/auth/anonymous - a new anonymous browser id, signed by the server; send it back as the
+   x-user-id header (or body.userId) and as claimUserId when signing in */
+app.post("/api/auth/anonymous", (_req, res) => {
+  return res.status(201).json({ ok: true, userId: fileUrls.stamp(`g-${crypto.randomBytes(16).toString("hex")}`) });
+});
+
+/* POST /api/auth/register - body { username, password?, claimUserId? }
+   without a password the returned token is the account's only credential (magic token) */
+app.post("/api/auth/register", async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const { user, token } = await accounts.register({ username, password });
+    const claimed = claimAnonymous(req, user);
+    return res.status(201).json({ ok: true, user: publicUser(user), token, magic: !user.passwordHash, claimed });
   } catch (err) {
-    console.error("/api/upload error:", err);
-    return res.status(500).json({ ok: false, error: String(err) });
+    return accountError(res, "/api/auth/register", err);
+  }
+});
+
+/* POST /api/auth/login - body { username, password, claimUserId? } */
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { user, token } = await accounts.login(req.body || {});
+    const claimed = claimAnonymous(req, user);
+    return res.json({ ok: true, user: publicUser(user), token, claimed });
+  } catch (err) {
+    return accountError(res, "/api/auth/login", err);
+  }
+});
+
+/* GET /api/auth/me - the account behind the bearer token */
+app.get("/api/auth/me", requireAuth, (req, res) => {
+  return res.json({ ok: true, user: publicUser(req.user) });
+});
+
+/* POST /api/auth/token - a new session token for signing in another device */
+app.post("/api/auth/token", requireAuth, (req, res) => {
+  return res.status(201).json({ ok: true, token: accounts.issueToken(req.user.id, "device") });
+});
+
+/* POST /api/auth/logout - revokes the current token */
+app.post("/api/auth/logout", requireAuth, (req, res) => {
+  accounts.revoke(req.authToken);
+  return res.json({ ok: true });
+});
+
+/* ----------------------
+   Sync of conversations, notes and profile (per account - see sync.js)
+   Records travel as { id, updatedAt, deleted?, data }; the newer updatedAt wins.
+   ---------------------- */
+
+/* POST /api/sync - body { since?, changes: { conversations: [record], notes: [record], profile?: record } }
+   Returns { applied, rejected, changes (stored after `since`), cursor } */
+app.post("/api/sync", requireAuth, (req, res) => {
+  const { since = null, changes = {} } = req.body || {};
+  if (since !== null && !Number.isFinite(Date.parse(since))) return res.status(400).json({ ok: false, error: "since must be an ISO timestamp" });
+  if (typeof changes !== "object" || changes === null) return res.status(400).json({ ok: false, error: "changes must be an object" });
+  return res.json({ ok: true, ...syncStore.sync(req.user.id, { since, changes }) });
+});
+
+/* the conversation / note / profile endpoints share one shape: GET list, GET/PUT/DELETE one */
+for (const kind of ["conversations", "notes"]) {
+  const label = kind === "conversations" ? "Conversation" : "Note";
+
+  /* GET /api/<kind>?since= - live records (all records incl. tombstones stored after `since`) */
+  app.get(`/api/${kind}`, requireAuth, (req, res) => {
+    const since = req.query.since ? String(req.query.since) : null;
+    return res.json({ ok: true, [kind]: syncStore.list(req.user.id, kind, { since }) });
+  });
+
+  app.get(`/api/${kind}/:id`, requireAuth, (req, res) => {
+    const record = syncStore.get(req.user.id, kind, req.params.id);
+    if (!record) return res.status(404).json({ ok: false, error: `${label} not found` });
+    return res.json({ ok: true, record });
+  });
+
+  /* PUT /api/<kind>/:id - body { data, updatedAt? }; 409 with the stored record if it is newer */
+  app.put(`/api/${kind}/:id`, requireAuth, (req, res) => {
+    const { data, updatedAt = new Date().toISOString() } = req.body || {};
+    if (!data || typeof data !== "object") return res.status(400).json({ ok: false, error: "data must be an object" });
+    const result = syncStore.put(req.user.id, kind, { id: req.params.id, updatedAt, data });
+    if (result.invalid) return res.status(400).json({ ok: false, error: "invalid id or updatedAt" });
+    if (!result.applied) return res.status(409).json({ ok: false, error: `A newer version of this ${label.toLowerCase()} exists`, record: result.record });
+    return res.json({ ok: true, record: result.record });
+  });
+
+  /* DELETE /api/<kind>/:id?updatedAt= - stores a tombstone */
+  app.delete(`/api/${kind}/:id`, requireAuth, (req, res) => {
+    const updatedAt = req.query.updatedAt ? String(req.query.updatedAt) : new Date().toISOString();
+    const result = syncStore.put(req.user.id, kind, { id: req.params.id, updatedAt, deleted: true });
+    if (result.invalid) return res.status(400).json({ ok: false, error: "invalid id or updatedAt" });
+    if (!result.applied) return res.status(409).json({ ok: false, error: `A newer version of this ${label.toLowerCase()} exists`, record: result.record });
+    return res.json({ ok: true });
+  });
+}
+
+/* GET /api/profile */
+app.get("/api/profile", requireAuth, (req, res) => {
+  const record = syncStore.get(req.user.id, "profile", "profile");
+  return res.json({ ok: true, profile: record ? record.data : null, updatedAt: record ? record.updatedAt : null });
+});
+
+/* PUT /api/profile - body { data, updatedAt? } */
+app.put("/api/profile", requireAuth, (req, res) => {
+  const { data, updatedAt = new Date().toISOString() } = req.body || {};
+  if (!data || typeof data !== "object") return res.status(400).json({ ok: false, error: "data must be an object" });
+  const result = syncStore.put(req.user.id, "profile", { updatedAt, data });
+  if (result.invalid) return res.status(400).json({ ok: false, error: "invalid updatedAt" });
+  if (!result.applied) return res.status(409).json({ ok: false, error: "A newer profile exists", profile: result.record.data, updatedAt: result.record.updatedAt });
+  return res.json({ ok: true, profile: result.record.data, updatedAt: result.record.updatedAt });
+});
+
+/* ----------------------
+   Document library (per-user upload references - see blobs.js)
+   ---------------------- */
+
+/* library entry for a reference: ref fields + what the extraction knows about the document */
+function fileSummary(ref, { detail = false, chunks = false } = {}) {
+  const metaPath = path.join(UPLOAD_DIR, `${ref.filename}.meta.json`);
+  let meta = null;
+  try {
+    if (fs.existsSync(metaPath)) meta = JSON.parse(fs.readFileSync(metaPath, "utf8"));
+  } catch (e) {
+    console.warn(`Unreadable meta for ${ref.filename}:`, e?.message || e);
+  }
+  const job = meta ? null : jobs.findActive(j => j.type === "upload" && j.payload.file.filename === ref.filename);
+  const file = {
+    id: ref.id,
+    name: ref.title || ref.originalName,
+    originalName: ref.originalName,
+    subject: ref.subject || "",
+    tags: ref.tags || [],
+    conversationId: ref.conversationId,
+    filename: ref.filename,
+    sha256: ref.sha256,
+    createdAt: ref.createdAt,
+    updatedAt: ref.updatedAt || ref.createdAt,
+    status: meta ? "ready" : job ? "processing" : "unavailable",
+    jobId: job ? job.id : null,
+    size: meta ? meta.size : null,
+    mimeType: meta ? meta.mimeType : null,
+    pages: meta ? meta.pages : null,
+    chunkCount: meta && meta.chunks ? meta.chunks.length : 0
+  };
+  if (detail && meta) {
+    file.outline = meta.outline || [];
+    file.ocrPages = meta.ocrPages || [];
+    file.analysis = meta.analysis || null;
+  }
+  if (chunks && meta) file.chunks = meta.chunks || [];
+  return file;
+}
+
+/* the caller's own reference, or null */
+function ownRef(req) {
+  const ref = blobs.getRef(req.params.id);
+  return ref && ref.userId === requestUser(req) ? ref : null;
+}
+
+/* GET /api/files?conversationId=&subject=&tag=&q= - the caller's documents, newest first */
+app.get("/api/files", (req, res) => {
+  const { conversationId, subject, tag, q } = req.query || {};
+  const needle = q ? String(q).toLowerCase() : "";
+  const files = blobs.listRefs({ userId: requestUser(req), conversationId: conversationId || undefined })
+    .filter(r => !subject || (r.subject || "").toLowerCase() === String(subject).toLowerCase())
+    .filter(r => !tag || (r.tags || []).includes(String(tag)))
+    .filter(r => !needle || `${r.title || ""} ${r.originalName}`.toLowerCase().includes(needle))
+    .map(r => fileSummary(r));
+  const usage = { usedBytes: retention.userUsage(requestUser(req)), quotaBytes: retention.policy.userQuotaBytes || null };
+  return res.json({ ok: true, files, usage });
+});
+
+/* GET /api/files/:id[?chunks=1] - one document with its outline, OCR pages and upload analysis */
+app.get("/api/files/:id", (req, res) => {
+  const ref = ownRef(req);
+  if (!ref) return res.status(404).json({ ok: false, error: "File not found" });
+  return res.json({ ok: true, file: fileSummary(ref, { detail: true, chunks: req.query.chunks === "1" }) });
+});
+
+/* GET /api/files/:id/url[?download=1] - a link to the stored file that works without credentials
+   (new tab, <img>, PDF viewer) until it expires */
+app.get("/api/files/:id/url", (req, res) => {
+  const ref = ownRef(req);
+  if (!ref) return res.status(404).json({ ok: false, error: "File not found" });
+  const { expires, sig } = fileUrls.sign(ref.id);
+  const download = req.query.download === "1" ? "&download=1" : "";
+  return res.json({ ok: true, url: `/api/files/${encodeURIComponent(ref.id)}/content?expires=${expires}&sig=${sig}${download}`, expiresAt: new Date(expires * 1000).toISOString() });
+});
+
+/* GET /api/files/:id/content - the stored file, for its owner or with a valid signed URL */
+app.get("/api/files/:id/content", (req, res) => {
+  const ref = blobs.getRef(req.params.id);
+  const signed = req.query.sig !== undefined;
+  if (signed && !fileUrls.verify(req.params.id, req.query.expires, String(req.query.sig))) {
+    return res.status(403).json({ ok: false, error: "Link expired or invalid" });
+  }
+  if (!ref || (!signed && ref.userId !== requestUser(req))) return res.status(404).json({ ok: false, error: "File not found" });
+  const filePath = path.resolve(UPLOAD_DIR, ref.filename);
+  if (!fs.existsSync(filePath)) return res.status(404).json({ ok: false, error: "File not found" });
+  const type = UPLOAD_TYPES[path.extname(ref.filename).toLowerCase()];
+  const inline = type && type.kind !== "text" && req.query.download !== "1";
+  const name = ref.title && path.extname(ref.title) ? ref.title : ref.originalName || ref.filename;
+  res.setHeader("Content-Type", type ? type.mime : "application/octet-stream");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Cache-Control", "private, max-age=300");
+  res.setHeader("Content-Disposition", `${inline ? "inline" : "attachment"}; filename="${safeFilename(name).replace(/[^\x20-\x7e]/g, "_")}"; filename*=UTF-8''${encodeURIComponent(safeFilename(name))}`);
+  return res.sendFile(filePath);
+});
+
+/* PATCH /api/files/:id - body { name?, subject?, tags? } (library fields only) */
+app.patch("/api/files/:id", (req, res) => {
+  const ref = ownRef(req);
+  if (!ref) return res.status(404).json({ ok: false, error: "File not found" });
+  const { name, subject, tags } = req.body || {};
+  const patch = {};
+  if (name !== undefined) {
+    if (typeof name !== "string" || !name.trim() || name.length > 200) return res.status(400).json({ ok: false, error: "name must be a non-empty string (max 200 chars)" });
+    patch.title = name.trim();
+  }
+  if (subject !== undefined) {
+    if (typeof subject !== "string" || subject.length > 80) return res.status(400).json({ ok: false, error: "subject must be a string (max 80 chars)" });
+    patch.subject = subject.trim();
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.length > 20 || tags.some(t => typeof t !== "string" || t.length > 40)) {
+      return res.status(400).json({ ok: false, error: "tags must be an array of up to 20 strings (max 40 chars each)" });
+    }
+    patch.tags = [...new Set(tags.map(t => t.trim()).filter(Boolean))];
+  }
+  return res.json({ ok: true, file: fileSummary(blobs.updateRef(ref.id, patch)) });
+});
+
+/* DELETE /api/files/:id - drop one upload reference; the stored file and its extraction are
+   deleted with the last reference: { ok, freed } */
+app.delete("/api/files/:id", (req, res) => {
+  const ref = ownRef(req);
+  if (!ref) return res.status(404).json({ ok: false, error: "File not found" });
+  const { freed } = blobs.removeRef(ref.id);
+  collections.removeFile(ref.id);
+  return res.json({ ok: true, freed });
+});
+
+/* ----------------------
+   Collections (named sets of library documents, queried together by /api/file-qa)
+   ---------------------- */
+
+/* ids that are not the caller's library documents, or null if all are valid */
+function invalidFileIds(ids, userId) {
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== "string")) return ["(fileIds must be an array of strings)"];
+  const bad = ids.filter(id => {
+    const ref = blobs.getRef(id);
+    return !ref || ref.userId !== userId;
+  });
+  return bad.length ? bad : null;
+}
+
+function collectionView(c) {
+  const files = c.fileIds.map(id => blobs.getRef(id)).filter(Boolean).map(ref => fileSummary(ref));
+  return { ...c, files };
+}
+
+/* GET /api/collections - the caller's collections with their documents */
+app.get("/api/collections", (req, res) => {
+  return res.json({ ok: true, collections: collections.list(requestUser(req)).map(collectionView) });
+});
+
+/* POST /api/collections - body { name, description?, fileIds? } */
+app.post("/api/collections", (req, res) => {
+  const userId = requestUser(req);
+  const { name, description = "", fileIds = [] } = req.body || {};
+  if (typeof name !== "string" || !name.trim() || name.length > 120) return res.status(400).json({ ok: false, error: "name must be a non-empty string (max 120 chars)" });
+  if (typeof description !== "string" || description.length > 500) return res.status(400).json({ ok: false, error: "description must be a string (max 500 chars)" });
+  const bad = invalidFileIds(fileIds, userId);
+  if (bad) return res.status(400).json({ ok: false, error: `Unknown file id(s): ${bad.join(", ")}` });
+  const c = collections.create({ userId, name: name.trim(), description: description.trim(), fileIds });
+  return res.status(201).json({ ok: true, collection: collectionView(c) });
+});
+
+/* GET /api/collections/:id */
+app.get("/api/collections/:id", (req, res) => {
+  const c = collections.get(req.params.id);
+  if (!c || c.userId !== requestUser(req)) return res.status(404).json({ ok: false, error: "Collection not found" });
+  return res.json({ ok: true, collection: collectionView(c) });
+});
+
+/* PATCH /api/collections/:id - body { name?, description?, fileIds? (replace), addFileIds?, removeFileIds? } */
+app.patch("/api/collections/:id", (req, res) => {
+  const userId = requestUser(req);
+  const c = collections.get(req.params.id);
+  if (!c || c.userId !== userId) return res.status(404).json({ ok: false, error: "Collection not found" });
+  const { name, description, fileIds, addFileIds, removeFileIds } = req.body || {};
+  if (name !== undefined && (typeof name !== "string" || !name.trim() || name.length > 120)) return res.status(400).json({ ok: false, error: "name must be a non-empty string (max 120 chars)" });
+  if (description !== undefined && (typeof description !== "string" || description.length > 500)) return res.status(400).json({ ok: false, error: "description must be a string (max 500 chars)" });
+  for (const ids of [fileIds, addFileIds]) {
+    const bad = ids === undefined ? null : invalidFileIds(ids, userId);
+    if (bad) return res.status(400).json({ ok: false, error: `Unknown file id(s): ${bad.join(", ")}` });
   }
+  if (removeFileIds !== undefined && !Array.isArray(removeFileIds)) return res.status(400).json({ ok: false, error: "removeFileIds must be an array" });
+  const updated = collections.update(c.id, {
+    name: name === undefined ? undefined : name.trim(),
+    description: description === undefined ? undefined : description.trim(),
+    fileIds, addFileIds, removeFileIds
+  });
+  return res.json({ ok: true, collection: collectionView(updated) });
 });
 
+/* DELETE /api/collections/:id - the documents themselves stay in the library */
+app.delete("/api/collections/:id", (req, res) => {
+  const c = collections.get(req.params.id);
+  if (!c || c.userId !== requestUser(req)) return res.status(404).json({ ok: false, error: "Collection not found" });
+  collections.remove(c.id);
+  return res.json({ ok: true });
+});
+
+/**
+ * resolveQaSources(req)
+ * - the documents a /api/file-qa request targets: collectionId, fileIds (library ids),
+ *   fileFilenames or a single fileFilename (stored filenames), in that order of precedence
+ * - every document must be one of the caller's uploads (404 otherwise)
+ * - returns { sources: [{ filename, name, fileId }] } or { status, error }
+ */
+function resolveQaSources(req) {
+  const { fileFilename, fileFilenames, fileIds, collectionId } = req.body || {};
+  const userId = requestUser(req);
+  const fromRef = ref => ({ filename: ref.filename, name: ref.title || ref.originalName, fileId: ref.id });
+  const ownRefs = ids => ids.map(id => blobs.getRef(String(id))).filter(r => r && r.userId === userId);
+
+  if (collectionId) {
+    const c = collections.get(String(collectionId));
+    if (!c || c.userId !== userId) return { status: 404, error: "Collection not found" };
+    const refs = ownRefs(c.fileIds);
+    if (!refs.length) return { status: 400, error: "Collection has no documents" };
+    return { sources: refs.map(fromRef) };
+  }
+  if (Array.isArray(fileIds) && fileIds.length) {
+    const refs = ownRefs(fileIds);
+    if (!refs.length) return { status: 404, error: "File not found" };
+    return { sources: refs.map(fromRef) };
+  }
+  const names = Array.isArray(fileFilenames) && fileFilenames.length ? fileFilenames : fileFilename ? [fileFilename] : [];
+  if (!names.length) return { status: 400, error: "Missing fileFilename, fileFilenames, fileIds or collectionId" };
+  const refs = names.map(n => ownRefByFilename(req, n));
+  if (refs.some(r => !r)) return { status: 404, error: "File not found" };
+  return { sources: refs.map(fromRef) };
+}
+
+/* a stored filename (or a legacy alias of one) -> the caller's reference to that blob, or null;
+   anything else (another user's upload, a path) is "not found" and never reaches the disk */
+function ownRefByFilename(req, name) {
+  const filename = blobs.resolve(String(name || ""));
+  if (!isBlobName(filename)) return null;
+  return blobs.listRefs({ userId: requestUser(req), filename })[0] || null;
+}
+
 /* POST /api/file-qa
-   body: { fileFilename: '<stored-filename>', question: '...' }
-   Behavior: loads <filename>.meta.json, selects top chunks by keyword matching,
-   constructs a prompt with context and forwards to Groq. Returns assistant text and used chunks preview.
+   body: { question: '...', and one of: fileFilename: '<stored-filename>', fileFilenames: [...],
+           fileIds: [<library id>...], collectionId }
+   Behavior: ranks the chunks of all targeted files together with the retrieval index (BM25 +
+   proximity, hybrid with embeddings when enabled), constructs a prompt with context and forwards
+   to the AI provider.
+   Returns assistant text, citations ("p. 47, Modules and Ports"; prefixed with the document name
+   when several documents are searched) each with its source file, and the used chunks with their scores.
 */
 app.post("/api/file-qa", async (req, res) => {
   try {
-    const { fileFilename, question } = req.body || {};
-    if (!fileFilename || !question) return res.status(400).json({ ok: false, error: "Missing fileFilename or question" });
-
-    const metaPath = path.join(UPLOAD_DIR, `${fileFilename}.meta.json`);
-    if (!fs.existsSync(metaPath)) return res.status(404).json({ ok: false, error: "File metadata not found" });
+    const { question } = req.body || {};
+    if (!question) return res.status(400).json({ ok: false, error: "Missing question" });
+    const target = resolveQaSources(req);
+    if (target.error) return res.status(target.status).json({ ok: false, error: target.error });
+
+    const found = await retrieval.searchMany(target.sources.map(s => s.filename), question, { k: target.sources.length > 1 ? 8 : 6 });
+    if (!found.files.length) return res.status(404).json({ ok: false, error: "File metadata not found" });
+
+    const multi = found.files.length > 1;
+    const metaOf = new Map(found.files.map(f => [f.filename, f.meta]));
+    const sourceOf = (filename) => {
+      const s = target.sources.find(x => x.filename === filename) || {};
+      return { filename, name: s.name || metaOf.get(filename)?.originalName || filename, fileId: s.fileId || null };
+    };
 
-    const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
-    const chunks = meta.chunks || [];
-
-    // basic keyword scoring
-    const words = question.toLowerCase().split(/\W+/).filter(Boolean);
-    const scores = chunks.map(c => {
-      const txt = (c.text || "").toLowerCase();
-      let score = 0;
-      for (const w of words) {
-        if (w.length < 3) continue;
-        const re = new RegExp(w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
-        const found = (txt.match(re) || []).length;
-        score += found;
+    const ranked = found.results;
+    if (!ranked.length) {
+      for (const f of found.files) {
+        ranked.push(...(f.meta.chunks || []).slice(0, multi ? 2 : 4).map(chunk => ({ filename: f.filename, chunk, score: 0, bm25: 0, vector: null })));
       }
-      return { chunk: c, score };
+    }
+    // with several documents every passage is attributed to its file: "slides.pdf, p. 3, AI in Transportation"
+    const labelOf = (r) => {
+      const where = citationLabel(r.chunk);
+      return multi ? [sourceOf(r.filename).name, where].filter(Boolean).join(", ") : where;
+    };
+
+    const contextText = ranked.map((r,i) => {
+      const label = labelOf(r);
+      return `Context ${i+1}${label ? ` (${label})` : ""}:\n${r.chunk.text}`;
+    }).join("\n\n---\n\n");
+    const prompt = multi
+      ? `You are a helpful study assistant. Use the following extracted content from several of the user's uploaded documents to answer the question. Each context names its source document; attribute every fact you use to its source, e.g. "(ppt_on_ai.pdf, p. 3)". If the answer cannot be found in the context, say "I cannot find the answer in the provided documents." Keep answers concise unless asked to explain.\n\n${contextText}\n\nQuestion: ${question}\n\nAnswer:`
+      : `You are a helpful study assistant. Use the following extracted content from a user's uploaded file to answer the question. If the answer cannot be found in the context, say "I cannot find the answer in the provided document." When a context lists a page, mention it where you use it (e.g. "(p. 47)"). Keep answers concise unless asked to explain.\n\n${contextText}\n\nQuestion: ${question}\n\nAnswer:`;
+
+    if (!providers.hasAny()) return res.status(500).json({ ok: false, error: NO_PROVIDER_ERROR });
+    const result = await getChatResponse(prompt, { endpoint: "file-qa", system: "You are a helpful study assistant.", max_tokens: 900, ...cacheOpts(req) });
+
+    // one citation per distinct source/page/section, in ranking order
+    const citations = [];
+    for (const r of ranked) {
+      const label = labelOf(r);
+      if (!label || citations.some(x => x.label === label)) continue;
+      citations.push({ label, source: sourceOf(r.filename), page: r.chunk.page ?? null, section: r.chunk.section ?? null, chunkId: r.chunk.id });
+    }
+    return res.json({
+      ok: true,
+      text: result.text,
+      cache: result.cache,
+      citations,
+      sources: found.files.map(f => ({ ...sourceOf(f.filename), used: ranked.some(r => r.filename === f.filename) })),
+      missing: found.missing,
+      usedChunks: ranked.map(r=>({ id: r.chunk.id, filename: r.filename, page: r.chunk.page ?? null, section: r.chunk.section ?? null, preview: r.chunk.text.slice(0,200), score: r.score, bm25: r.bm25, vector: r.vector }))
     });
+  } catch (err) {
+    if (err instanceof BudgetError) return budgetResponse(res, err);
+    console.error("/api/file-qa error:", err);
+    return res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+/* ----------------------
+   Flashcards (SM-2 spaced repetition - see flashcards.js)
+   ---------------------- */
+
+const MAX_CARD_SOURCE_CHARS = 12000;
+
+/**
+ * flashcardContexts(req, source)
+ * - source: { type: 'note' | 'message', text, noteId?, conversationId? }
+ *        or { type: 'file', fileId, pageFrom?, pageTo? }
+ * - returns { contexts: [{ text, source }], source } or { status, error }
+ */
+function flashcardContexts(req, source) {
+  if (!source || typeof source !== "object") return { status: 400, error: "Missing source" };
+  if (source.type === "note" || source.type === "message") {
+    const text = String(source.text || "").trim();
+    if (!text) return { status: 400, error: "source.text is empty" };
+    const shared = source.type === "note" ? { type: "note", noteId: source.noteId || null } : { type: "message", conversationId: source.conversationId || null };
+    return { contexts: [{ text: text.slice(0, MAX_CARD_SOURCE_CHARS), source: null }], source: shared };
+  }
+  if (source.type === "file") {
+    const ref = blobs.getRef(String(source.fileId || ""));
+    if (!ref || ref.userId !== requestUser(req)) return { status: 404, error: "File not found" };
+    const metaPath = path.join(UPLOAD_DIR, `${ref.filename}.meta.json`);
+    if (!fs.existsSync(metaPath)) return { status: 409, error: "File is still being processed" };
+    const meta = JSON.parse(fs.readFileSync(metaPath, "utf8"));
+    const from = Number(source.pageFrom) || null;
+    const to = Number(source.pageTo) || from;
+    let chunks = (meta.chunks || []).filter(c => !from || (c.page && c.page >= from && c.page <= to));
+    if (!chunks.length) return { status: 400, error: from ? `No text on pages ${from}-${to}` : "No extracted text available" };
+    // spread the budget over the whole range instead of only its first pages
+    const budget = Math.max(1, Math.floor(MAX_CARD_SOURCE_CHARS / 900));
+    if (chunks.length > budget) chunks = Array.from({ length: budget }, (_, i) => chunks[Math.floor(i * chunks.length / budget)]);
+    return {
+      contexts: chunks.map(c => ({ text: c.text, source: { page: c.page || null, section: c.section || null, label: citationLabel(c) } })),
+      source: { type: "file", fileId: ref.id, filename: ref.filename, name: ref.title || ref.originalName || ref.filename }
+    };
+  }
+  return { status: 400, error: "source.type must be note, message or file" };
+}
 
-    scores.sort((a,b) => b.score - a.score);
-    const selected = scores.filter(s => s.score > 0).slice(0,6).map(s => s.chunk);
-    if (!selected.length) selected.push(...chunks.slice(0,4));
+/* GET /api/flashcards?due=1&before=<ISO>&deck= - all cards, or only those due by `before` (default now) */
+app.get("/api/flashcards", (req, res) => {
+  const userId = requestUser(req);
+  const before = req.query.before && Number.isFinite(Date.parse(req.query.before)) ? new Date(req.query.before).toISOString() : new Date().toISOString();
+  const deck = req.query.deck !== undefined ? String(req.query.deck) : undefined;
+  const cards = flashcards.list(userId, { dueBefore: req.query.due ? before : null, deck });
+  const dayStart = req.query.dayStart && Number.isFinite(Date.parse(req.query.dayStart)) ? new Date(req.query.dayStart).toISOString() : null;
+  return res.json({ ok: true, cards, stats: flashcards.stats(userId, { dueBefore: before, dayStart }) });
+});
 
-    const contextText = selected.map((c,i) => `Context ${i+1}:\n${c.text}`).join("\n\n---\n\n");
-    const prompt = `You are a helpful study assistant. Use the following extracted content from a user's uploaded file to answer the question. If the answer cannot be found in the context, say "I cannot find the answer in the provided document." Keep answers concise unless asked to explain.\n\n${contextText}\n\nQuestion: ${question}\n\nAnswer:`;
+/* POST /api/flashcards - body { front, back, deck? } (hand-written card) */
+app.post("/api/flashcards", (req, res) => {
+  const { front, back, deck = "" } = req.body || {};
+  if (typeof front !== "string" || !front.trim() || typeof back !== "string" || !back.trim()) {
+    return res.status(400).json({ ok: false, error: "front and back must be non-empty strings" });
+  }
+  const [card] = flashcards.create(requestUser(req), [{ front: front.trim(), back: back.trim() }], { deck: String(deck), source: { type: "manual" } });
+  return res.status(201).json({ ok: true, card });
+});
 
-    if (!groqClient) return res.status(500).json({ ok: false, error: "Groq client not configured" });
-    const result = await getChatResponse(prompt, { system: "You are a helpful study assistant.", max_tokens: 900 });
-    return res.json({ ok: true, text: result.text, raw: result.raw, usedChunks: selected.map(s=>({ id: s.id, preview: s.text.slice(0,200) })) });
+/* POST /api/flashcards/generate - body { source, count?, deck?, firstReviewInDays? }
+   Generates cards from a note, an AI message or a library document (optionally a page range) */
+app.post("/api/flashcards/generate", async (req, res) => {
+  try {
+    const { source, count = 8, deck = "", firstReviewInDays = 0 } = req.body || {};
+    const resolved = flashcardContexts(req, source);
+    if (resolved.error) return res.status(resolved.status).json({ ok: false, error: resolved.error });
+    if (!providers.hasAny()) return res.status(500).json({ ok: false, error: NO_PROVIDER_ERROR });
+
+    const n = Math.min(30, Math.max(1, Number(count) || 8));
+    const contextText = resolved.contexts.map((c, i) => `[${i + 1}]${c.source?.label ? ` (${c.source.label})` : ""}\n${c.text}`).join("\n\n");
+    const prompt = `Create ${n} flashcards for spaced-repetition study from the material below. Each card tests one fact or concept: ` +
+      `"front" is a short question, "back" a concise answer (one or two sentences) that is supported by the material. ` +
+      `Return ONLY a JSON object: {"cards": [{"front": string, "back": string, "source": number of the [n] block the card is based on}]}.\n\n${contextText}`;
+    const { data } = await structured.generate("flashcards", prompt, { endpoint: "flashcards", system: "Flashcard writer", max_tokens: 1500, temperature: 0.3 });
+
+    const cards = data.cards.slice(0, n).map(c => ({
+      front: c.front,
+      back: c.back,
+      source: (c.source && resolved.contexts[c.source - 1]?.source) || undefined
+    }));
+    const created = flashcards.create(requestUser(req), cards, { deck: String(deck), source: resolved.source, firstReviewInDays: Number(firstReviewInDays) || 0 });
+    return res.status(201).json({ ok: true, cards: created });
   } catch (err) {
-    console.error("/api/file-qa error:", err);
-    return res.status(500).json({ ok: false, error: String(err) });
+    return structuredError(res, "/api/flashcards/generate", err);
   }
 });
 
+/* the caller's card, or null */
+function ownCard(req) {
+  const card = flashcards.get(req.params.id);
+  return card && card.userId === requestUser(req) ? card : null;
+}
+
+/* PATCH /api/flashcards/:id - body { front?, back?, deck?, suspended? } */
+app.patch("/api/flashcards/:id", (req, res) => {
+  if (!ownCard(req)) return res.status(404).json({ ok: false, error: "Card not found" });
+  const { front, back, deck, suspended } = req.body || {};
+  for (const [key, value] of Object.entries({ front, back })) {
+    if (value !== undefined && (typeof value !== "string" || !value.trim())) return res.status(400).json({ ok: false, error: `${key} must be a non-empty string` });
+  }
+  const card = flashcards.update(req.params.id, {
+    front: front?.trim(),
+    back: back?.trim(),
+    deck: deck !== undefined ? String(deck) : undefined,
+    suspended: suspended !== undefined ? !!suspended : undefined
+  });
+  return res.json({ ok: true, card });
+});
+
+app.delete("/api/flashcards/:id", (req, res) => {
+  if (!ownCard(req)) return res.status(404).json({ ok: false, error: "Card not found" });
+  flashcards.remove(req.params.id);
+  return res.json({ ok: true });
+});
+
+/* POST /api/flashcards/:id/review - body { grade: 0-5 } (0-2 forgotten, 3 hard, 4 good, 5 easy) */
+app.post("/api/flashcards/:id/review", (req, res) => {
+  if (!ownCard(req)) return res.status(404).json({ ok: false, error: "Card not found" });
+  const grade = Number(req.body?.grade);
+  if (!Number.isInteger(grade) || grade < 0 || grade > 5) return res.status(400).json({ ok: false, error: "grade must be an integer from 0 to 5" });
+  return res.json({ ok: true, card: flashcards.review(req.params.id, grade) });
+});
+
+/* ----------------------
+   Quiz sessions + progress (see quizzes.js)
+   Sessions are created by /api/voice/start-quiz and /api/file-quiz; answers are recorded
+   through /api/voice/evaluate (with a sessionId) or the answers route below.
+   ---------------------- */
+
+/* the caller's quiz session, or null */
+function ownQuizSession(req) {
+  const session = quizSessions.get(req.params.id);
+  return session && session.userId === requestUser(req) ? session : null;
+}
+
+/* GET /api/quiz-sessions?subject=&limit= - newest first, without questions */
+app.get("/api/quiz-sessions", (req, res) => {
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const subject = req.query.subject ? String(req.query.subject) : undefined;
+  return res.json({ ok: true, sessions: quizSessions.list(requestUser(req), { subject, limit }).map(sessionSummary) });
+});
+
+app.get("/api/quiz-sessions/:id", (req, res) => {
+  const session = ownQuizSession(req);
+  if (!session) return res.status(404).json({ ok: false, error: "Quiz session not found" });
+  return res.json({ ok: true, session: sessionResults(session) });
+});
+
+/* POST /api/quiz-sessions/:id/answers - body { questionIndex, userAnswer, timeMs?, score?, feedback?, withHints? }
+   a given score (0-1) is recorded as self-graded; otherwise the answer is evaluated like /api/voice/evaluate */
+app.post("/api/quiz-sessions/:id/answers", async (req, res) => {
+  const session = ownQuizSession(req);
+  if (!session) return res.status(404).json({ ok: false, error: "Quiz session not found" });
+  const { questionIndex, userAnswer, timeMs, score, feedback, withHints } = req.body || {};
+  const question = session.questions[Number(questionIndex)];
+  if (!question) return res.status(400).json({ ok: false, error: "questionIndex out of range" });
+  try {
+    let evaluation;
+    if (score !== undefined && score !== null) {
+      if (!Number.isFinite(Number(score))) return res.status(400).json({ ok: false, error: "score must be a number from 0 to 1" });
+      evaluation = { score: Number(score), feedback: String(feedback || ""), hints: [], grader: "self" };
+    } else {
+      const graded = { question: question.question, userAnswer, correctAnswer: question.correctAnswer, options: question.options, type: question.type };
+      if (!providers.hasAny() && !gradeChoice(graded)) return res.status(500).json({ ok: false, error: NO_PROVIDER_ERROR });
+      evaluation = await evaluateAnswer({ ...graded, withHints: !!withHints });
+    }
+    const updated = quizSessions.recordAnswer(session.id, question.index, { userAnswer, timeMs, ...evaluation });
+    return res.json({ ok: true, evaluation, answer: updated.questions[question.index].answer, session: sessionSummary(updated) });
+  } catch (err) {
+    return structuredError(res, "/api/quiz-sessions/:id/answers", err);
+  }
+});
+
+/* POST /api/quiz-sessions/:id/finish - marks the session finished, returns its results */
+app.post("/api/quiz-sessions/:id/finish", (req, res) => {
+  if (!ownQuizSession(req)) return res.status(404).json({ ok: false, error: "Quiz session not found" });
+  return res.json({ ok: true, session: sessionResults(quizSessions.finish(req.params.id)) });
+});
+
+app.delete("/api/quiz-sessions/:id", (req, res) => {
+  if (!ownQuizSession(req)) return res.status(404).json({ ok: false, error: "Quiz session not found" });
+  quizSessions.remove(req.params.id);
+  return res.json({ ok: true });
+});
+
+/* POST /api/quiz-export - body { format: 'gift' | 'qti' | 'anki', sessionId } or { format, quiz, title }
+   (quiz = a voice quiz array or a file quiz { mcq, tf, short }); answers with the file as a download */
+app.post("/api/quiz-export", (req, res) => {
+  const { format, sessionId, quiz } = req.body || {};
+  if (!EXPORT_FORMATS[format]) return res.status(400).json({ ok: false, error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+  let questions;
+  let title = req.body?.title;
+  if (sessionId) {
+    const session = quizSessions.get(String(sessionId));
+    if (!session || session.userId !== requestUser(req)) return res.status(404).json({ ok: false, error: "Quiz session not found" });
+    questions = session.questions;
+    title = title || session.subject;
+  } else {
+    questions = toQuestions(quiz);
+  }
+  if (!questions.length) return res.status(400).json({ ok: false, error: "The quiz has no questions" });
+  const file = exportQuiz(questions, format, { title: String(title || "quiz") });
+  res.setHeader("Content-Type", file.type);
+  res.setHeader("Content-Disposition", `attachment; filename="${file.filename}"`);
+  return res.send(file.body);
+});
+
+/* POST /api/quiz-import - body { text, format?: 'gift' | 'anki', title? }
+   turns a GIFT or Anki text file into a quiz session the app can run */
+app.post("/api/quiz-import", (req, res) => {
+  const { text, format, title } = req.body || {};
+  if (!text || typeof text !== "string") return res.status(400).json({ ok: false, error: "Missing text" });
+  if (format && !["gift", "anki"].includes(format)) return res.status(400).json({ ok: false, error: "format must be gift or anki" });
+  const imported = importQuiz(text, format);
+  if (!imported.questions.length) return res.status(400).json({ ok: false, error: `No importable questions found (${imported.format})`, skipped: imported.skipped });
+  const session = quizSessions.create({
+    userId: requestUser(req),
+    kind: "import",
+    subject: String(title || "Imported quiz").slice(0, 120),
+    source: { format: imported.format },
+    questions: imported.questions
+  });
+  return res.status(201).json({ ok: true, format: imported.format, questions: session.questions, skipped: imported.skipped, sessionId: session.id });
+});
+
+/* GET /api/progress?days=90&subject= - accuracy over time, per topic, weakest topics, recent sessions */
+app.get("/api/progress", (req, res) => {
+  const days = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 90));
+  const subject = req.query.subject ? String(req.query.subject) : undefined;
+  return res.json({ ok: true, progress: quizSessions.progress(requestUser(req), { days, subject }) });
+});
+
 /* ----------------------
    New: Study Planner endpoint
    POST /api/planner
@@ -490,27 +1458,17 @@ app.post("/api/file-qa", async (req, res) => {
 app.post('/api/planner', async (req, res) => {
   try {
     const { history, preferPomodoro } = req.body || {};
-    if (!groqClient) return res.status(500).json({ ok: false, error: 'AI provider not configured' });
+    if (!providers.hasAny()) return res.status(500).json({ ok: false, error: NO_PROVIDER_ERROR });
 
     const prompt = `You are an expert study planner. Given the user's study history and preferences, return ONLY a valid JSON object (no text before or after) with: \n` +
       `- timers: an array of {name, durationMinutes, startAfterMinutes} \n` +
       `- nextBreakInMinutes: integer, reviseInDays: integer, switchSubjectAfterMinutes: integer, motivationalLines: array of strings (3) \n` +
       `Prefer Pomodoro if preferPomodoro is true (25/5 style). Use user's history to personalize suggestions.\n\nUser history:\n${history || 'No history provided.'}`;
 
-    const result = await getChatResponse(prompt, { system: 'Study planner', max_tokens: 600, temperature: 0.2 });
-    const text = String(result.text || '');
-    
-    const parsed = extractAndParseJson(text);
-    
-    if (parsed) {
-      return res.json({ ok: true, planner: parsed, raw: result.raw });
-    } else {
-      console.error('/api/planner error: Failed to parse JSON from AI response');
-      return res.status(500).json({ ok: false, error: 'Failed to parse JSON from AI response', aillm_response: text });
-    }
+    const { data, cache } = await structured.generate('planner', prompt, { endpoint: 'planner', system: 'Study planner', max_tokens: 600, temperature: 0.2, ...cacheOpts(req) });
+    return res.json({ ok: true, planner: data, cache });
   } catch (err) {
-    console.error('/api/planner error:', err);
-    return res.status(500).json({ ok: false, error: String(err) });
+    return structuredError(res, '/api/planner', err);
   }
 });
 
@@ -524,7 +1482,7 @@ app.post('/api/syllabus', async (req, res) => {
   try {
     const { course, weeks } = req.body || {};
     if (!course || typeof course !== 'string') return res.status(400).json({ ok: false, error: 'Missing course field' });
-    if (!groqClient) return res.status(500).json({ ok: false, error: 'AI provider not configured' });
+    if (!providers.hasAny()) return res.status(500).json({ ok: false, error: NO_PROVIDER_ERROR });
 
     const prompt = `You are an educational planner. For the course description: "${course}", produce ONLY a valid JSON object (no text before or after) containing:\n` +
       `- syllabus: an ordered list of topics (with short descriptions),\n` +
@@ -532,20 +1490,10 @@ app.post('/api/syllabus', async (req, res) => {
       `- weeklySchedule: an array of week objects with topics to cover per week (for ${weeks || 12} weeks),\n` +
       `- expectedQuestions: for each major topic, 3 exam-style expected questions.`;
 
-    const result = await getChatResponse(prompt, { system: 'Syllabus generator', max_tokens: 1200, temperature: 0.2 });
-    const text = String(result.text || '');
-    
-    const parsed = extractAndParseJson(text);
-    
-    if (parsed) {
-      return res.json({ ok: true, syllabus: parsed, raw: result.raw });
-    } else {
-      console.error('/api/syllabus error: Failed to parse JSON from AI response');
-      return res.status(500).json({ ok: false, error: 'Failed to parse JSON from AI response', aillm_response: text });
-    }
+    const { data, cache } = await structured.generate('syllabus', prompt, { endpoint: 'syllabus', system: 'Syllabus generator', max_tokens: 1200, temperature: 0.2, ...cacheOpts(req) });
+    return res.json({ ok: true, syllabus: data, cache });
   } catch (err) {
-    console.error('/api/syllabus error:', err);
-    return res.status(500).json({ ok: false, error: String(err) });
+    return structuredError(res, '/api/syllabus', err);
   }
 });
 
@@ -558,42 +1506,77 @@ app.post('/api/voice/start-quiz', async (req, res) => {
   try {
     const { subject, difficulty, count } = req.body || {};
     if (!subject) return res.status(400).json({ ok: false, error: 'Missing subject' });
-    if (!groqClient) return res.status(500).json({ ok: false, error: 'AI provider not configured' });
-
-    const prompt = `Create ${count || 5} verbal quiz questions for subject: ${subject}. For each question, provide: id, questionText, options (A-D) and correctOption. Output as JSON array.`;
-    const result = await getChatResponse(prompt, { system: 'Quiz generator', max_tokens: 800, temperature: 0.3 });
-    const text = String(result.text || '');
-    
-    const parsed = extractAndParseJson(text);
-
-    if (parsed) return res.json({ ok: true, quiz: parsed, raw: result.raw });
-    console.error('/api/voice/start-quiz error: Failed to parse JSON from AI response');
-    return res.status(500).json({ ok: false, error: 'Failed to parse JSON from AI response', aillm_response: text });
+    if (!providers.hasAny()) return res.status(500).json({ ok: false, error: NO_PROVIDER_ERROR });
+
+    const prompt = `Create ${count || 5} verbal quiz questions for subject: ${subject}${difficulty ? ` (difficulty: ${difficulty})` : ''}. For each question, provide: id, questionText, options (A-D), correctOption and topic (the sub-topic of ${subject} it tests, 1-4 words). Output as JSON array.`;
+    const { data } = await structured.generate('voice-quiz', prompt, { endpoint: 'voice-quiz', system: 'Quiz generator', max_tokens: 800, temperature: 0.3 });
+    const session = quizSessions.create({
+      userId: requestUser(req),
+      kind: 'voice',
+      subject: String(subject),
+      questions: data.map(q => ({ type: 'mcq', question: q.questionText, options: q.options, correctAnswer: q.correctOption, topic: q.topic }))
+    });
+    return res.json({ ok: true, quiz: data, sessionId: session.id });
   } catch (err) {
-    console.error('/api/voice/start-quiz error:', err);
-    return res.status(500).json({ ok: false, error: String(err) });
+    return structuredError(res, '/api/voice/start-quiz', err);
   }
 });
 
+/**
+ * evaluateAnswer({ question, userAnswer, correctAnswer, options, type, withHints })
+ * - { score (0-1), feedback, hints, grader }; shared by /api/voice/evaluate and quiz sessions
+ * - MCQ / true-false answers that match an option are graded locally (grader 'local', see grading.js);
+ *   the LLM only grades free-form answers, and writes hints for wrong local answers when withHints is set
+ */
+async function evaluateAnswer({ question, userAnswer, correctAnswer, options = [], type = undefined, withHints = false }) {
+  const local = gradeChoice({ type, options, correctAnswer, userAnswer });
+  if (local) {
+    if (!local.correct && withHints && providers.hasAny()) {
+      try {
+        const prompt = `A student answered a quiz question wrongly. Question: "${question}". Options: ${options.join(' | ') || 'True | False'}. Student chose: "${local.matched}". Correct answer: "${local.expected}". Give 1-3 short hints (JSON {hints: [..]}) that help them see why the correct answer is right, without just restating it.`;
+        const { data } = await structured.generate('voice-hints', prompt, { endpoint: 'voice-hints', system: 'Tutor', max_tokens: 200, temperature: 0.3 });
+        local.hints = data.hints;
+      } catch (e) {
+        console.warn('Hint generation failed:', e?.message || e); // the local grade stands without hints
+      }
+    }
+    return local;
+  }
+
+  // Ask model to evaluate userAnswer vs correctAnswer and give score + feedback
+  const prompt = `Evaluate the user's answer. Question: "${question}". Correct answer: "${correctAnswer}". User answer: "${userAnswer}". Provide a JSON object: {score:0-1, feedback: string, hints: [..]}.`;
+  const { data } = await structured.generate('voice-evaluate', prompt, { endpoint: 'voice-evaluate', system: 'Answer evaluator', max_tokens: 300, temperature: 0.2 });
+  return { ...data, grader: 'llm' };
+}
+
+/* POST /api/voice/evaluate - body { question, userAnswer, correctAnswer, options?, type?, withHints? } or
+   { sessionId, questionIndex, userAnswer, timeMs, withHints? } (question, options + answer key come
+   from the session, and the result is recorded in it); evaluation.grader is 'local' or 'llm' */
 app.post('/api/voice/evaluate', async (req, res) => {
   try {
-    const { question, userAnswer, correctAnswer } = req.body || {};
+    const { sessionId, questionIndex, userAnswer, timeMs, withHints } = req.body || {};
+    let { question, correctAnswer, options, type } = req.body || {};
+    let session = null;
+    if (sessionId) {
+      session = quizSessions.get(String(sessionId));
+      if (!session || session.userId !== requestUser(req)) return res.status(404).json({ ok: false, error: 'Quiz session not found' });
+      const q = session.questions[Number(questionIndex)];
+      if (!q) return res.status(400).json({ ok: false, error: 'questionIndex out of range' });
+      // the stored question is what gets graded and recorded; a client-sent key is ignored
+      question = q.question;
+      correctAnswer = q.correctAnswer;
+      options = q.options;
+      type = q.type;
+    }
     if (!question) return res.status(400).json({ ok: false, error: 'Missing question' });
-    if (!groqClient) return res.status(500).json({ ok: false, error: 'AI provider not configured' });
-
-    // Ask model to evaluate userAnswer vs correctAnswer and give score + feedback
-    const prompt = `Evaluate the user's answer. Question: "${question}". Correct answer: "${correctAnswer}". User answer: "${userAnswer}". Provide a JSON object: {score:0-1, feedback: string, hints: [..]}.`;
-    const result = await getChatResponse(prompt, { system: 'Answer evaluator', max_tokens: 300, temperature: 0.2 });
-    const text = String(result.text || '');
-    
-    const parsed = extractAndParseJson(text);
-
-    if (parsed) return res.json({ ok: true, evaluation: parsed, raw: result.raw });
-    console.error('/api/voice/evaluate error: Failed to parse JSON from AI response');
-    return res.status(500).json({ ok: false, error: 'Failed to parse JSON from AI response', aillm_response: text });
+    options = Array.isArray(options) ? options.map(String) : [];
+    if (!providers.hasAny() && !gradeChoice({ type, options, correctAnswer, userAnswer })) return res.status(500).json({ ok: false, error: NO_PROVIDER_ERROR });
+
+    const evaluation = await evaluateAnswer({ question, userAnswer, correctAnswer, options, type, withHints: !!withHints });
+    if (session) session = quizSessions.recordAnswer(session.id, Number(questionIndex), { userAnswer, timeMs, ...evaluation });
+    return res.json({ ok: true, evaluation, session: session ? sessionSummary(session) : undefined });
   } catch (err) {
-    console.error('/api/voice/evaluate error:', err);
-    return res.status(500).json({ ok: false, error: String(err) });
+    return structuredError(res, '/api/voice/evaluate', err);
   }
 });
 
@@ -602,13 +1585,15 @@ app.post('/api/voice/evaluate', async (req, res) => {
    POST /api/assignment-check (multipart 'file' or body { text })
    Returns: JSON with highlights: confusingParts, incorrectMath, missingAssumptions, mistakes
    ---------------------- */
-app.post('/api/assignment-check', upload.single('file'), async (req, res) => {
+app.post('/api/assignment-check', acceptUpload('file', ['pdf', 'image', 'text']), async (req, res) => {
   try {
     let text = req.body && req.body.text ? req.body.text : '';
     if (req.file && !text) {
       // attempt to OCR if image/pdf
       const ext = path.extname(req.file.filename || '').toLowerCase();
-      if (ext === '.pdf' && pdfParse) {
+      if (UPLOAD_TYPES[ext]?.kind === 'text') {
+        text = fs.readFileSync(req.file.path, 'utf8');
+      } else if (ext === '.pdf' && pdfParse) {
         try {
           const dataBuffer = fs.readFileSync(req.file.path);
           const pdfData = await pdfParse(dataBuffer);
@@ -623,47 +1608,63 @@ app.post('/api/assignment-check', upload.single('file'), async (req, res) => {
     }
 
     if (!text) return res.status(400).json({ ok: false, error: 'No text to analyze' });
-    if (!groqClient) return res.status(500).json({ ok: false, error: 'AI provider not configured' });
+    if (!providers.hasAny()) return res.status(500).json({ ok: false, error: NO_PROVIDER_ERROR });
 
     const prompt = `You are an expert grader. Analyze the following student assignment and return JSON with keys: confusingParts (list of excerpts), incorrectMath (list with location and correction), missingAssumptions (list), mistakesInReasoning (list). Output JSON only.\n\nAssignment text:\n${text}`;
-    const result = await getChatResponse(prompt, { system: 'Assignment checker', max_tokens: 1200, temperature: 0.2 });
-    const out = String(result.text || '');
-    
-    const parsed = extractAndParseJson(out);
-
-    if (parsed) { 
-      return res.json({ ok: true, result: parsed, raw: result.raw }); 
-    } else { 
-      console.error('/api/assignment-check error: Failed to parse JSON from AI response');
-      return res.status(500).json({ ok: false, error: 'Failed to parse JSON from AI response', aillm_response: out });
-    }
-  } catch (err) { console.error('/api/assignment-check error:', err); return res.status(500).json({ ok: false, error: String(err) }); }
+    const { data } = await structured.generate('assignment-check', prompt, { endpoint: 'assignment-check', system: 'Assignment checker', max_tokens: 1200, temperature: 0.2 });
+    return res.json({ ok: true, result: data });
+  } catch (err) {
+    return structuredError(res, '/api/assignment-check', err);
+  } finally {
+    // the upload is only read for this request
+    if (req.file) fs.unlink(req.file.path, () => {});
+  }
 });
 
 /* ----------------------
    New: Topic Relationship Map
    POST /api/topic-map { topic }
-   Returns JSON with prerequisites, nextTopics, realWorldApplications
+   Returns JSON with prerequisites, whatToLearnNext, realWorldApplications, keyConcepts;
+   the map is merged into the caller's knowledge graph, returned as `graph`
    ---------------------- */
 app.post('/api/topic-map', async (req, res) => {
   try {
     const { topic } = req.body || {};
     if (!topic) return res.status(400).json({ ok: false, error: 'Missing topic' });
-    if (!groqClient) return res.status(500).json({ ok: false, error: 'AI provider not configured' });
+    if (typeof topic !== 'string' || topic.length > 200) return res.status(400).json({ ok: false, error: 'topic must be a string of at most 200 characters' });
+    if (!providers.hasAny()) return res.status(500).json({ ok: false, error: NO_PROVIDER_ERROR });
 
     const prompt = `Produce a topic relationship map for the topic: "${topic}". Output JSON: {prerequisites: [...], whatToLearnNext: [...], realWorldApplications:[...], keyConcepts:[...] }`;
-    const result = await getChatResponse(prompt, { system: 'Topic mapper', max_tokens: 800, temperature: 0.2 });
-    const out = String(result.text || '');
+    const { data, cache } = await structured.generate('topic-map', prompt, { endpoint: 'topic-map', system: 'Topic mapper', max_tokens: 800, temperature: 0.2, ...cacheOpts(req) });
+    const userId = requestUser(req);
+    const merged = knowledgeGraph.merge(userId, topic, data);
+    return res.json({ ok: true, map: data, cache, nodeId: merged.node?.id || null, added: merged.added, skipped: merged.skipped, graph: annotatedGraph(userId) });
+  } catch (err) {
+    return structuredError(res, '/api/topic-map', err);
+  }
+});
 
-    const parsed = extractAndParseJson(out);
+/* the caller's knowledge graph with their quiz results (last year) per node */
+function annotatedGraph(userId) {
+  return annotateGraph(knowledgeGraph.graph(userId), quizSessions.progress(userId, { days: 365 }).topics);
+}
 
-    if (parsed) {
-      return res.json({ ok: true, map: parsed, raw: result.raw }); 
-    } else { 
-      console.error('/api/topic-map error: Failed to parse JSON from AI response');
-      return res.status(500).json({ ok: false, error: 'Failed to parse JSON from AI response', aillm_response: out });
-    }
-  } catch (err) { console.error('/api/topic-map error:', err); return res.status(500).json({ ok: false, error: String(err) }); }
+/* GET /api/knowledge-graph - nodes (with quiz status), edges and counts */
+app.get("/api/knowledge-graph", (req, res) => {
+  return res.json({ ok: true, graph: annotatedGraph(requestUser(req)) });
+});
+
+/* DELETE /api/knowledge-graph/nodes/:id - drop a node and its edges */
+app.delete("/api/knowledge-graph/nodes/:id", (req, res) => {
+  const userId = requestUser(req);
+  if (!knowledgeGraph.removeNode(userId, req.params.id)) return res.status(404).json({ ok: false, error: "Node not found" });
+  return res.json({ ok: true, graph: annotatedGraph(userId) });
+});
+
+/* DELETE /api/knowledge-graph - start over */
+app.delete("/api/knowledge-graph", (req, res) => {
+  knowledgeGraph.clear(requestUser(req));
+  return res.json({ ok: true });
 });
 
 /* ----------------------
@@ -675,21 +1676,14 @@ app.post('/api/realtime-analyze', async (req, res) => {
   try {
     const { text } = req.body || {};
     if (!text) return res.status(400).json({ ok: false, error: 'Missing text' });
-    if (!groqClient) return res.status(500).json({ ok: false, error: 'AI provider not configured' });
+    if (!providers.hasAny()) return res.status(500).json({ ok: false, error: NO_PROVIDER_ERROR });
 
     const prompt = `As a real-time study assistant, given the partial user input: "${text}", return JSON with: suggestedFormulas (short list), relatedConcepts (short list), predictedNextQuestion (one-line). Output JSON only.`;
-    const result = await getChatResponse(prompt, { system: 'Realtime analyzer', max_tokens: 300, temperature: 0.1 });
-    const out = String(result.text || '');
-
-    const parsed = extractAndParseJson(out);
-    
-    if (parsed) { 
-      return res.json({ ok: true, analysis: parsed, raw: result.raw }); 
-    } else { 
-      console.error('/api/realtime-analyze error: Failed to parse JSON from AI response');
-      return res.status(500).json({ ok: false, error: 'Failed to parse JSON from AI response', aillm_response: out });
-    }
-  } catch (err) { console.error('/api/realtime-analyze error:', err); return res.status(500).json({ ok: false, error: String(err) }); }
+    const { data } = await structured.generate('realtime-analyze', prompt, { endpoint: 'realtime-analyze', system: 'Realtime analyzer', max_tokens: 300, temperature: 0.1 });
+    return res.json({ ok: true, analysis: data });
+  } catch (err) {
+    return structuredError(res, '/api/realtime-analyze', err);
+  }
 });
 
 /* ----------------------
@@ -701,55 +1695,99 @@ app.post('/api/summarize-chat', async (req, res) => {
   try {
     const { messages } = req.body || {};
     if (!messages || !Array.isArray(messages)) return res.status(400).json({ ok: false, error: 'Missing messages array' });
-    if (!groqClient) return res.status(500).json({ ok: false, error: 'AI provider not configured' });
+    if (!providers.hasAny()) return res.status(500).json({ ok: false, error: NO_PROVIDER_ERROR });
 
     const convoText = messages.map(m => `${m.from === 'user' ? 'User' : 'Assistant'}: ${m.text}`).join('\n');
     const prompt = `Summarize the following chat. Output JSON with: keyPoints (list), importantFormulas (list), revisionSheet (short actionable list). Output JSON only.\n\n${convoText}`;
-    const result = await getChatResponse(prompt, { system: 'Chat summarizer', max_tokens: 800, temperature: 0.1 });
-    const out = String(result.text || '');
-
-    const parsed = extractAndParseJson(out);
-
-    if (parsed) {
-      return res.json({ ok: true, summary: parsed, raw: result.raw }); 
-    } else { 
-      console.error('/api/summarize-chat error: Failed to parse JSON from AI response');
-      return res.status(500).json({ ok: false, error: 'Failed to parse JSON from AI response', aillm_response: out });
-    }
-  } catch (err) { console.error('/api/summarize-chat error:', err); return res.status(500).json({ ok: false, error: String(err) }); }
+    const { data, cache } = await structured.generate('summarize-chat', prompt, { endpoint: 'summarize-chat', system: 'Chat summarizer', max_tokens: 800, temperature: 0.1, ...cacheOpts(req) });
+    return res.json({ ok: true, summary: data, cache });
+  } catch (err) {
+    return structuredError(res, '/api/summarize-chat', err);
+  }
 });
 
 /* ----------------------
    New: Smart File-to-Quiz Generator
-   POST /api/file-quiz { fileFilename }
-   Uses existing meta chunks to build MCQs/TF/short answers
+   POST /api/file-quiz { fileFilename | fileId, pageFrom?, pageTo?, chapter?,
+                         counts?: { mcq, tf, short }, difficulty?, seed? }
+   Samples chunks evenly across the selected pages / chapter (the seed makes the sample
+   reproducible) and builds MCQs/TF/short answers; every question references its source chunk
    ---------------------- */
+const QUIZ_DIFFICULTIES = ['easy', 'medium', 'hard', 'mixed'];
+const DEFAULT_QUIZ_COUNTS = { mcq: 5, tf: 3, short: 2 };
+const MAX_QUIZ_QUESTIONS_PER_TYPE = 20;
+const MAX_QUIZ_CONTEXTS = 16;
+const QUIZ_CONTEXT_CHARS = 1000;
+
 app.post('/api/file-quiz', async (req, res) => {
   try {
-    const { fileFilename } = req.body || {};
-    if (!fileFilename) return res.status(400).json({ ok: false, error: 'Missing fileFilename' });
-    const metaPath = path.join(UPLOAD_DIR, `${fileFilename}.meta.json`);
+    const { fileFilename, fileId, pageFrom, pageTo, chapter, difficulty = 'medium' } = req.body || {};
+    let filename;
+    let ref = null;
+    if (fileId) {
+      ref = blobs.getRef(String(fileId));
+      if (!ref || ref.userId !== requestUser(req)) return res.status(404).json({ ok: false, error: 'File not found' });
+      filename = ref.filename;
+    } else if (fileFilename) {
+      ref = ownRefByFilename(req, fileFilename);
+      if (!ref) return res.status(404).json({ ok: false, error: 'File not found' });
+      filename = ref.filename;
+    } else {
+      return res.status(400).json({ ok: false, error: 'Missing fileFilename or fileId' });
+    }
+
+    const counts = {};
+    for (const type of Object.keys(DEFAULT_QUIZ_COUNTS)) {
+      const n = req.body?.counts?.[type] ?? DEFAULT_QUIZ_COUNTS[type];
+      if (!Number.isInteger(Number(n)) || n < 0 || n > MAX_QUIZ_QUESTIONS_PER_TYPE) {
+        return res.status(400).json({ ok: false, error: `counts.${type} must be an integer from 0 to ${MAX_QUIZ_QUESTIONS_PER_TYPE}` });
+      }
+      counts[type] = Number(n);
+    }
+    const total = counts.mcq + counts.tf + counts.short;
+    if (!total) return res.status(400).json({ ok: false, error: 'Ask for at least one question' });
+    if (!QUIZ_DIFFICULTIES.includes(difficulty)) return res.status(400).json({ ok: false, error: `difficulty must be one of ${QUIZ_DIFFICULTIES.join(', ')}` });
+    const seed = req.body?.seed ?? crypto.randomInt(2 ** 31);
+
+    const metaPath = path.join(UPLOAD_DIR, `${filename}.meta.json`);
     if (!fs.existsSync(metaPath)) return res.status(404).json({ ok: false, error: 'File metadata not found' });
     const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
-    const chunks = meta.chunks || [];
-    if (!chunks.length) return res.status(400).json({ ok: false, error: 'No extracted text available' });
-    if (!groqClient) return res.status(500).json({ ok: false, error: 'AI provider not configured' });
-
-    // build context from chunks
-    const contextText = chunks.slice(0,6).map((c,i)=>`Context ${i+1}: ${c.text}`).join('\n\n');
-    const prompt = `Create a quiz from the following extracted content. Output JSON with keys: mcq: [{question, options:[A,B,C,D], answer}], tf: [{q, answer}], short: [{q, answer}]. Use source snippets as context where relevant.\n\n${contextText}`;
-    const result = await getChatResponse(prompt, { system: 'File quiz generator', max_tokens: 1200, temperature: 0.3 });
-    const out = String(result.text || '');
-
-    const parsed = extractAndParseJson(out);
-    
-    if (parsed) { 
-      return res.json({ ok: true, quiz: parsed, raw: result.raw }); 
-    } else { 
-      console.error('/api/file-quiz error: Failed to parse JSON from AI response');
-      return res.status(500).json({ ok: false, error: 'Failed to parse JSON from AI response', aillm_response: out });
+    if (!(meta.chunks || []).length) return res.status(400).json({ ok: false, error: 'No extracted text available' });
+    const selected = selectChunks(meta.chunks, { pageFrom, pageTo, chapter });
+    if (!selected.length) return res.status(400).json({ ok: false, error: 'No extracted text in the selected pages / chapter' });
+    if (!providers.hasAny()) return res.status(500).json({ ok: false, error: NO_PROVIDER_ERROR });
+
+    // even coverage: one chunk from each slice of the range, labelled so questions can cite it
+    const sampled = sampleChunks(selected, Math.min(MAX_QUIZ_CONTEXTS, Math.max(6, total)), seed);
+    const contextText = sampled.map((c, i) => `Context ${i + 1}${citationLabel(c) ? ` (${citationLabel(c)})` : ''}: ${c.text.slice(0, QUIZ_CONTEXT_CHARS)}`).join('\n\n');
+    const wanted = Object.entries(counts).filter(([, n]) => n).map(([type, n]) => `${n} ${type}`).join(', ');
+    const prompt = `Create a quiz from the following extracted content with exactly ${wanted} questions at ${difficulty} difficulty${difficulty === 'mixed' ? ' (a mix of easy, medium and hard)' : ''}. Output JSON with keys: mcq: [{question, options:[A,B,C,D], answer, topic, source}], tf: [{q, answer, topic, source}], short: [{q, answer, topic, source}] (topic = the 1-4 word sub-topic a question tests; source = the number of the Context the question is based on). Spread the questions over all the contexts instead of concentrating on the first ones; use an empty array for a type with no questions.\n\n${contextText}`;
+    const { data } = await structured.generate('file-quiz', prompt, { endpoint: 'file-quiz', system: 'File quiz generator', max_tokens: Math.min(4000, 300 + total * 150), temperature: 0.3 });
+
+    const chunkRef = (n) => {
+      const c = sampled[n - 1];
+      return c ? { context: n, chunkId: c.id, page: c.page || null, pageEnd: c.pageEnd || null, section: c.section || null, label: citationLabel(c) } : null;
+    };
+    for (const type of Object.keys(counts)) {
+      data[type] = data[type].slice(0, counts[type]).map(q => ({ ...q, source: chunkRef(q.source) }));
     }
-  } catch (err) { console.error('/api/file-quiz error:', err); return res.status(500).json({ ok: false, error: String(err) }); }
+
+    const params = { pageFrom: Number(pageFrom) || null, pageTo: Number(pageTo) || Number(pageFrom) || null, chapter: chapter ?? null, counts, difficulty, seed, chunksInRange: selected.length, chunksUsed: sampled.length };
+    const session = quizSessions.create({
+      userId: requestUser(req),
+      kind: 'file',
+      subject: ref?.title || meta.originalName || filename,
+      source: { filename, fileId: ref?.id || null, ...params },
+      questions: [
+        ...data.mcq.map(q => ({ type: 'mcq', question: q.question, options: q.options, correctAnswer: q.answer, topic: q.topic, source: q.source })),
+        ...data.tf.map(q => ({ type: 'tf', question: q.q, options: ['True', 'False'], correctAnswer: q.answer ? 'True' : 'False', topic: q.topic, source: q.source })),
+        ...data.short.map(q => ({ type: 'short', question: q.q, correctAnswer: q.answer, topic: q.topic, source: q.source }))
+      ]
+    });
+    return res.json({ ok: true, quiz: data, params, sessionId: session.id });
+  } catch (err) {
+    return structuredError(res, '/api/file-quiz', err);
+  }
 });
 
 /* ----------------------
@@ -757,7 +1795,7 @@ app.post('/api/file-quiz', async (req, res) => {
    POST /api/ocr-beautify (multipart/form-data field 'file')
    Uses node-tesseract-ocr to extract text, then calls the AI to clean, highlight mistakes and summarize.
    ---------------------- */
-app.post('/api/ocr-beautify', upload.single('file'), async (req, res) => {
+app.post('/api/ocr-beautify', acceptUpload('file', ['image']), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ ok: false, error: "No file uploaded (field 'file')" });
     const imgPath = req.file.path;
@@ -773,41 +1811,94 @@ app.post('/api/ocr-beautify', upload.single('file'), async (req, res) => {
     }
 
     // Call AI to beautify handwritten notes: clean, correct mistakes, highlight, summarize
-    if (!groqClient) return res.status(500).json({ ok: false, error: 'AI provider not configured' });
+    if (!providers.hasAny()) return res.status(500).json({ ok: false, error: NO_PROVIDER_ERROR });
     const prompt = `You are a notes beautifier. The user uploaded a handwritten page. Clean and convert the text to well-structured typed notes. Provide: {cleanedNotes: string, corrections: [{original, corrected, reason}], summary: string, highlights: [strings]}. Output JSON only.\n\nHandwritten OCR raw text:\n${ocrText}`;
 
-    const result = await getChatResponse(prompt, { system: 'Handwritten note beautifier', max_tokens: 1200, temperature: 0.2 });
-    const text = String(result.text || '');
-    
-    const parsed = extractAndParseJson(text);
+    const { data } = await structured.generate('ocr-beautify', prompt, { endpoint: 'ocr-beautify', system: 'Handwritten note beautifier', max_tokens: 1200, temperature: 0.2 });
+    return res.json({ ok: true, result: data });
+  } catch (err) {
+    return structuredError(res, '/api/ocr-beautify', err);
+  } finally {
+    if (req.file) fs.unlink(req.file.path, () => {});
+  }
+});
 
-    if (parsed) {
-      return res.json({ ok: true, result: parsed, raw: result.raw });
-    } else {
-      console.error('/api/ocr-beautify error: Failed to parse JSON from AI response');
-      return res.status(500).json({ ok: false, error: 'Failed to parse JSON from AI response', aillm_response: text });
-    }
+/* ----------------------
+   Admin (storage, cache, metrics) - needs "x-admin-token: <ADMIN_TOKEN>" (or "Authorization: Bearer
+   <ADMIN_TOKEN>" for scrapers); disabled while ADMIN_TOKEN is unset
+   ---------------------- */
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN || "";
+  if (!expected) return res.status(404).json({ ok: false, error: "Admin endpoints are disabled (set ADMIN_TOKEN)" });
+  const given = Buffer.from(String(req.get("x-admin-token") || req.authToken || ""));
+  const want = Buffer.from(expected);
+  if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) return res.status(403).json({ ok: false, error: "Admin token required" });
+  return next();
+}
+
+/* GET /api/admin/storage - upload directory usage by type and user, orphans, policy, last GC run */
+app.get("/api/admin/storage", requireAdmin, (req, res) => {
+  try {
+    return res.json({ ok: true, storage: retention.usage() });
+  } catch (err) {
+    console.error("/api/admin/storage error:", err);
+    return res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+/* POST /api/admin/storage/gc { dryRun } - run retention + garbage collection now */
+app.post("/api/admin/storage/gc", requireAdmin, (req, res) => {
+  try {
+    const result = retention.collect({ dryRun: Boolean(req.body?.dryRun) });
+    return res.json({ ok: true, result });
   } catch (err) {
-    console.error('/api/ocr-beautify error:', err);
+    console.error("/api/admin/storage/gc error:", err);
     return res.status(500).json({ ok: false, error: String(err) });
   }
 });
 
-/* serve uploads */
-app.use("/uploads", express.static(path.resolve(UPLOAD_DIR)));
+/* GET /api/admin/cache - response cache entries, hit/miss counters and TTLs per endpoint */
+app.get("/api/admin/cache", requireAdmin, (req, res) => {
+  return res.json({ ok: true, cache: responseCache.stats() });
+});
+
+/* DELETE /api/admin/cache - drop every cached AI response */
+app.delete("/api/admin/cache", requireAdmin, (req, res) => {
+  responseCache.clear();
+  return res.json({ ok: true, cache: responseCache.stats() });
+});
+
+/* GET /api/metrics[?format=json] - AI calls, tokens, latency, errors, cache hits and JSON failures per
+   endpoint / model in Prometheus text format, or as a JSON summary with daily usage and budgets */
+app.get("/api/metrics", requireAdmin, (req, res) => {
+  if (req.query.format === "json") return res.json({ ok: true, metrics: metrics.summary() });
+  res.type("text/plain; version=0.0.4; charset=utf-8");
+  return res.send(metrics.prometheus());
+});
 
 /* start server */
 app.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT}`);
-  if (!groqClient) {
-    console.log("Note: Groq client not configured. Set GROQ_API_KEY in .env and install groq-sdk to enable /api/ai.");
+  // pick up uploads that were still being processed when the server stopped; holds on blobs only
+  // live in memory, so each resumed job takes its hold again (before any job can finish)
+  for (const job of jobs.start()) {
+    if (job.type === "upload") blobs.hold(job.payload.file.filename);
+  }
+  if (!providers.hasAny()) {
+    console.log("Note: no AI provider configured. Set GROQ_API_KEY, OPENAI_API_KEY, GEMINI_API_KEY or LOCAL_LLM_URL in .env to enable /api/ai.");
   } else {
-    console.log("Groq client ready. Model:", process.env.GROQ_MODEL || "default");
+    console.log("AI provider fallback order:", providers.configured().map(n => `${n} (${providers.adapters.get(n).defaultModel})`).join(" -> "));
   }
 
-  // Informational: list current upload dir size/count (helpful)
+  // Informational: upload dir usage, then retention / garbage collection (every UPLOAD_GC_INTERVAL_MINUTES)
   try {
-    const files = fs.readdirSync(UPLOAD_DIR);
-    console.log(`Uploads directory (${UPLOAD_DIR}) contains ${files.length} entries.`);
-  } catch (e) { /* ignore */ }
+    const { totals, orphans, unknown, legacy } = retention.usage();
+    console.log(`Uploads directory (${UPLOAD_DIR}): ${totals.blobs} upload(s), ${totals.files} file(s), ${formatBytes(totals.bytes)}` +
+      (orphans.files ? `; ${orphans.files} orphan file(s) (${formatBytes(orphans.bytes)}) to collect` : "") +
+      (unknown.files ? `; ${unknown.files} unknown file(s) (${formatBytes(unknown.bytes)}) kept` + (retention.policy.deleteUnknown ? " until the GC deletes them (UPLOAD_GC_DELETE_UNKNOWN)" : " - set UPLOAD_GC_DELETE_UNKNOWN=1 to delete them") : "") +
+      (legacy.files ? `; ${legacy.files} legacy upload(s) - run npm run migrate:uploads` : "") + ".");
+    retention.schedule();
+  } catch (e) {
+    console.warn("Storage scan failed:", e?.message || e);
+  }
 });
@@ -0,0 +1,365 @@
+/* ----------------------
+   structured.js - schema-validated JSON output for the structured endpoints
+   - every JSON endpoint declares its response shape in SCHEMAS (a small JSON Schema subset:
+     type, properties, required, items, enum, minimum, maximum, minItems, default, aliases)
+   - the model's reply is parsed (extractAndParseJson), normalized towards the schema
+     ("25 min" -> 25, an object of timers -> an array, { questions: [...] } -> [...], renamed keys)
+     and validated; on failure the model is re-prompted with the validation errors, at most
+     STRUCTURED_MAX_REPAIRS times (default 2)
+   - what the endpoints return is always the documented shape: unknown keys are dropped and
+     missing lists are []
+   ---------------------- */
+
+const str = (extra = {}) => ({ type: "string", ...extra });
+const int = (extra = {}) => ({ type: "integer", ...extra });
+const list = (items, extra = {}) => ({ type: "array", items, ...extra });
+const obj = (properties, required = [], extra = {}) => ({ type: "object", properties, required, ...extra });
+
+export const SCHEMAS = {
+  planner: obj({
+    timers: list(obj({
+      name: str({ aliases: ["label", "title"] }),
+      durationMinutes: int({ minimum: 1, aliases: ["duration", "minutes"] }),
+      startAfterMinutes: int({ minimum: 0, default: 0, aliases: ["startAfter", "start"] })
+    }, ["name", "durationMinutes", "startAfterMinutes"]), { minItems: 1 }),
+    nextBreakInMinutes: int({ minimum: 0 }),
+    reviseInDays: int({ minimum: 0 }),
+    switchSubjectAfterMinutes: int({ minimum: 0 }),
+    motivationalLines: list(str())
+  }, ["timers"]),
+
+  syllabus: obj({
+    syllabus: list(obj({
+      topic: str({ aliases: ["title", "name"] }),
+      description: str({ default: "" })
+    }, ["topic"]), { minItems: 1 }),
+    roadmap: list(obj({
+      milestone: str({ aliases: ["title", "name", "week"] }),
+      objective: str({ default: "", aliases: ["objectives", "description", "goal"] })
+    }, ["milestone"])),
+    weeklySchedule: list(obj({
+      week: int({ minimum: 1 }),
+      topics: list(str())
+    }, ["week"])),
+    expectedQuestions: list(obj({
+      topic: str({ aliases: ["title", "name"] }),
+      questions: list(str())
+    }, ["topic"]))
+  }, ["syllabus"]),
+
+  "voice-quiz": list(obj({
+    id: str(),
+    questionText: str({ aliases: ["question", "text"] }),
+    options: list(str()),
+    correctOption: str({ aliases: ["answer", "correct", "correctAnswer"] }),
+    topic: str({ aliases: ["subtopic", "concept"] })
+  }, ["questionText", "correctOption"]), { minItems: 1 }),
+
+  "voice-evaluate": obj({
+    score: { type: "number", minimum: 0, maximum: 1 },
+    feedback: str({ default: "" }),
+    hints: list(str())
+  }, ["score"]),
+
+  "voice-hints": obj({
+    hints: list(str(), { minItems: 1 })
+  }, ["hints"]),
+
+  "assignment-check": obj({
+    confusingParts: list(str()),
+    incorrectMath: list(obj({
+      location: str({ default: "" }),
+      correction: str({ aliases: ["fix", "corrected"] })
+    }, ["correction"])),
+    missingAssumptions: list(str()),
+    mistakesInReasoning: list(str(), { aliases: ["mistakes"] })
+  }),
+
+  "topic-map": obj({
+    prerequisites: list(str()),
+    whatToLearnNext: list(str(), { aliases: ["nextTopics"] }),
+    realWorldApplications: list(str()),
+    keyConcepts: list(str())
+  }),
+
+  "realtime-analyze": obj({
+    suggestedFormulas: list(str()),
+    relatedConcepts: list(str()),
+    predictedNextQuestion: str({ default: "" })
+  }),
+
+  "summarize-chat": obj({
+    keyPoints: list(str()),
+    importantFormulas: list(str()),
+    revisionSheet: list(str())
+  }),
+
+  "file-quiz": obj({
+    mcq: list(obj({
+      question: str({ aliases: ["q"] }),
+      options: list(str(), { minItems: 2 }),
+      answer: str(),
+      topic: str(),
+      source: int({ minimum: 1, aliases: ["context", "sourceIndex"] })
+    }, ["question", "options", "answer"])),
+    tf: list(obj({
+      q: str({ aliases: ["question", "statement"] }),
+      answer: { type: "boolean" },
+      topic: str(),
+      source: int({ minimum: 1, aliases: ["context", "sourceIndex"] })
+    }, ["q", "answer"])),
+    short: list(obj({
+      q: str({ aliases: ["question"] }),
+      answer: str(),
+      topic: str(),
+      source: int({ minimum: 1, aliases: ["context", "sourceIndex"] })
+    }, ["q", "answer"]))
+  }),
+
+  flashcards: obj({
+    cards: list(obj({
+      front: str({ aliases: ["question", "q", "prompt"] }),
+      back: str({ aliases: ["answer", "a"] }),
+      source: int({ minimum: 1, aliases: ["context", "sourceIndex"] })
+    }, ["front", "back"]), { minItems: 1 })
+  }, ["cards"]),
+
+  "ocr-beautify": obj({
+    cleanedNotes: str(),
+    corrections: list(obj({
+      original: str(),
+      corrected: str(),
+      reason: str({ default: "" })
+    }, ["original", "corrected"])),
+    summary: str({ default: "" }),
+    highlights: list(str())
+  }, ["cleanedNotes"])
+};
+
+/**
+ * StructuredOutputError - the model never produced JSON matching the schema.
+ * `errors` are the validation errors of the last attempt, `text` its raw reply.
+ */
+export class StructuredOutputError extends Error {
+  constructor(message, { schema, errors = [], text = "", attempts = 0 } = {}) {
+    super(message);
+    this.name = "StructuredOutputError";
+    this.schema = schema || null;
+    this.errors = errors;
+    this.text = text;
+    this.attempts = attempts;
+  }
+}
+
+/* ----------------------
+   Parsing
+   ---------------------- */
+
+export function extractAndParseJson(text) {
+  if (!text || typeof text !== "string") return null;
+
+  // JSON inside a markdown code block
+  const codeBlockMatch = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  if (codeBlockMatch && codeBlockMatch[1]) {
+    try {
+      return JSON.parse(codeBlockMatch[1]);
+    } catch (e) {
+      // fall through to bracket matching
+    }
+  }
+
+  // from the first '{' or '[' to the last matching '}' / ']'
+  const starts = [text.indexOf("{"), text.indexOf("[")].filter(i => i !== -1);
+  if (!starts.length) return null;
+  let jsonString = text.substring(Math.min(...starts));
+  try {
+    return JSON.parse(jsonString);
+  } catch (e) {
+    const end = Math.max(jsonString.lastIndexOf("}"), jsonString.lastIndexOf("]"));
+    if (end === -1) return null;
+    jsonString = jsonString.substring(0, end + 1);
+    try {
+      return JSON.parse(jsonString);
+    } catch (e2) {
+      return null;
+    }
+  }
+}
+
+/* ----------------------
+   Normalization + validation
+   ---------------------- */
+
+const isPlainObject = v => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/* first string property an object item is keyed by (timers: { "Focus": {...} } -> name: "Focus") */
+function keyProperty(schema) {
+  return (schema.required || []).find(k => schema.properties[k]?.type === "string") || null;
+}
+
+/**
+ * normalize(value, schema)
+ * - best-effort coercion towards the schema; never throws - validate() reports what is left
+ */
+export function normalize(value, schema) {
+  if (value === undefined || value === null) {
+    if (schema.default !== undefined) return schema.default;
+    return schema.type === "array" ? [] : value;
+  }
+  switch (schema.type) {
+    case "string":
+      if (typeof value === "number" || typeof value === "boolean") return String(value);
+      if (Array.isArray(value) && value.every(v => typeof v !== "object")) return value.join(", ");
+      if (typeof value === "string") return value.trim();
+      return value;
+    case "integer":
+    case "number": {
+      let n = value;
+      if (typeof n === "string") {
+        const m = n.match(/-?\d+(\.\d+)?/);
+        n = m ? Number(m[0]) : n;
+      }
+      if (typeof n !== "number" || !Number.isFinite(n)) return value;
+      // scores given as percentages
+      if (schema.maximum === 1 && n > 1 && n <= 100) n = n / 100;
+      return schema.type === "integer" ? Math.round(n) : n;
+    }
+    case "boolean":
+      if (typeof value === "string") {
+        const s = value.trim().toLowerCase();
+        if (["true", "t", "yes"].includes(s)) return true;
+        if (["false", "f", "no"].includes(s)) return false;
+      }
+      if (value === 1 || value === 0) return value === 1;
+      return value;
+    case "array": {
+      let arr = value;
+      if (isPlainObject(arr)) {
+        const inner = Object.values(arr).filter(Array.isArray);
+        const itemIsObject = schema.items.type === "object";
+        // a single item that merely has a list field ({ questionText, options: [...] }) is not a wrapper
+        const looksLikeItem = itemIsObject && keyProperty(schema.items) in arr;
+        if (inner.length === 1 && !looksLikeItem) {
+          // { questions: [...] } -> [...]
+          arr = inner[0];
+        } else if (itemIsObject && Object.values(arr).every(isPlainObject)) {
+          // { "Focus": { durationMinutes: 25 } } -> [{ name: "Focus", durationMinutes: 25 }]
+          const key = keyProperty(schema.items);
+          arr = Object.entries(arr).map(([k, v]) => (key && v[key] === undefined ? { [key]: k, ...v } : v));
+        } else if (itemIsObject) {
+          arr = [arr];
+        } else {
+          arr = Object.values(arr);
+        }
+      } else if (typeof arr === "string" && schema.items.type === "string") {
+        arr = arr.split(/\r?\n/).map(s => s.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").trim()).filter(Boolean);
+      } else if (!Array.isArray(arr)) {
+        arr = [arr];
+      }
+      return arr.map(item => normalize(item, schema.items));
+    }
+    case "object": {
+      // a bare list where the schema wraps one ({ cards: [...] } answered as [...])
+      const lists = Object.keys(schema.properties).filter(k => schema.properties[k].type === "array");
+      if (Array.isArray(value) && lists.length === 1 && (schema.required || []).includes(lists[0])) value = { [lists[0]]: value };
+      if (!isPlainObject(value)) return value;
+      const out = {};
+      for (const [key, prop] of Object.entries(schema.properties)) {
+        let v = value[key];
+        if (v === undefined) {
+          const alias = (prop.aliases || []).find(a => value[a] !== undefined);
+          if (alias) v = value[alias];
+        }
+        v = normalize(v, prop);
+        if (v !== undefined && v !== null) out[key] = v;
+      }
+      return out;
+    }
+    default:
+      return value;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * validate(value, schema, path) -> ["timers[0].durationMinutes: expected integer, got string", ...]
+ */
+export function validate(value, schema, path = "$") {
+  const errors = [];
+  const actual = typeOf(value);
+  const typeOk = schema.type === actual || (schema.type === "number" && actual === "integer");
+  if (!typeOk) {
+    errors.push(`${path}: expected ${schema.type}, got ${actual}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: must be one of ${schema.enum.join(", ")}`);
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+  if (schema.type === "array") {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+  }
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === "") errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, prop] of Object.entries(schema.properties)) {
+      if (value[key] !== undefined) errors.push(...validate(value[key], prop, `${path}.${key}`));
+    }
+  }
+  return errors;
+}
+
+/* the schema as shown to the model (without the normalizer-only keywords) */
+function describeSchema(schema) {
+  return JSON.stringify(schema, (key, v) => (key === "aliases" || key === "default" ? undefined : v));
+}
+
+/**
+ * createStructuredOutput({ chat, onInvalid, maxRepairs })
+ * - chat(prompt, opts) is getChatResponse from server.js
+ * - onInvalid(result, { schema, endpoint, attempt, errors }) runs for every reply that didn't
+ *   match the schema (server.js drops it from the response cache and counts it)
+ * - generate(schemaName, prompt, opts) -> { data, text, raw, attempts, repaired, cache }
+ *   or throws StructuredOutputError after 1 + maxRepairs attempts
+ */
+export function createStructuredOutput({ chat, onInvalid = () => {}, maxRepairs = 2 }) {
+  async function generate(schemaName, prompt, opts = {}) {
+    const schema = SCHEMAS[schemaName];
+    if (!schema) throw new Error(`Unknown output schema '${schemaName}'`);
+
+    let history = opts.history || [];
+    let request = prompt;
+    let errors = [];
+    let text = "";
+    for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+      const result = await chat(request, { ...opts, history });
+      text = String(result.text || "");
+      const parsed = extractAndParseJson(text);
+      if (parsed === null) {
+        errors = ["$: the reply did not contain parseable JSON"];
+      } else {
+        const data = normalize(parsed, schema);
+        errors = validate(data, schema);
+        if (!errors.length) return { data, text, raw: result.raw, attempts: attempt, repaired: attempt > 1, cache: result.cache };
+      }
+      onInvalid(result, { schema: schemaName, endpoint: opts.endpoint, attempt, errors });
+      console.warn(`[${schemaName}] attempt ${attempt} did not match the schema:`, errors.slice(0, 5).join("; "));
+      // show the model its previous reply and what was wrong with it
+      history = [...history, { role: "user", content: request }, { role: "assistant", content: text }];
+      request = `Your previous reply did not match the required JSON schema. Problems:\n- ${errors.slice(0, 12).join("\n- ")}\n\n` +
+        `Reply again with ONLY a JSON value (no text before or after) that matches this JSON schema:\n${describeSchema(schema)}`;
+    }
+    throw new StructuredOutputError(`AI response did not match the ${schemaName} schema`, { schema: schemaName, errors, text, attempts: maxRepairs + 1 });
+  }
+
+  return { generate };
+}
@@ -0,0 +1,137 @@
+/* ----------------------
+   sync.js - per-account copy of the browser store (DATA_DIR/sync/<userId>.json)
+   - kinds: conversations, notes (keyed by their client id) and profile (a single record)
+   - every record is an envelope { id, updatedAt, syncedAt, deleted, data }:
+     updatedAt is the client's edit time and decides merges (last writer wins, per record),
+     syncedAt is the server time the record was stored and drives the "changes since" cursor,
+     so clock skew between devices never hides a change
+   - deletions are kept as tombstones (deleted: true, data: null) so they sync like edits
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+
+export const SYNC_KINDS = ["conversations", "notes", "profile"];
+const RECORD_ID = /^[\w.-]{1,80}$/;
+
+/**
+ * createSyncStore({ dataDir })
+ * - list(userId, kind, { since, includeDeleted }), get(userId, kind, id)
+ * - put(userId, kind, { id, updatedAt, deleted, data }) -> { applied, record }
+ * - sync(userId, { since, changes }) -> { applied, rejected, changes, cursor }
+ */
+export function createSyncStore({ dataDir }) {
+  const syncDir = path.join(dataDir, "sync");
+  if (!fs.existsSync(syncDir)) fs.mkdirSync(syncDir, { recursive: true });
+  const cache = new Map(); // userId -> { conversations: {}, notes: {}, profile: {} }
+  let lastStamp = 0;
+
+  function userPath(userId) {
+    return path.join(syncDir, `${String(userId).replace(/[^\w.-]/g, "_")}.json`);
+  }
+
+  function load(userId) {
+    if (cache.has(userId)) return cache.get(userId);
+    let state = {};
+    try {
+      state = JSON.parse(fs.readFileSync(userPath(userId), "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn(`Sync store of ${userId} unreadable, starting fresh:`, e?.message || e);
+    }
+    for (const kind of SYNC_KINDS) state[kind] = state[kind] || {};
+    cache.set(userId, state);
+    return state;
+  }
+
+  function save(userId) {
+    const p = userPath(userId);
+    fs.writeFileSync(p + ".tmp", JSON.stringify(cache.get(userId)), "utf8");
+    fs.renameSync(p + ".tmp", p);
+  }
+
+  /* strictly increasing server timestamps, so a cursor never skips a record stored in the same ms */
+  function stamp() {
+    lastStamp = Math.max(Date.now(), lastStamp + 1);
+    return new Date(lastStamp).toISOString();
+  }
+
+  function list(userId, kind, { since = null, includeDeleted = false } = {}) {
+    return Object.values(load(userId)[kind])
+      .filter(r => (since ? r.syncedAt > since : includeDeleted || !r.deleted))
+      .sort((a, b) => String(a.syncedAt).localeCompare(String(b.syncedAt)));
+  }
+
+  function get(userId, kind, id) {
+    const record = load(userId)[kind][id];
+    return record && !record.deleted ? record : null;
+  }
+
+  /* last writer wins; ties keep the stored record */
+  function merge(state, kind, incoming) {
+    const id = kind === "profile" ? "profile" : String(incoming?.id || "");
+    const updatedAt = Date.parse(incoming?.updatedAt);
+    if (!RECORD_ID.test(id) || !Number.isFinite(updatedAt)) return { applied: false, record: null, invalid: true };
+    const current = state[kind][id];
+    if (current && Date.parse(current.updatedAt) >= updatedAt) return { applied: false, record: current };
+    const deleted = !!incoming.deleted;
+    const record = {
+      id,
+      updatedAt: new Date(updatedAt).toISOString(),
+      syncedAt: stamp(),
+      deleted,
+      data: deleted ? null : (incoming.data ?? null)
+    };
+    state[kind][id] = record;
+    return { applied: true, record };
+  }
+
+  function put(userId, kind, incoming) {
+    const result = merge(load(userId), kind, incoming);
+    if (result.applied) save(userId);
+    return result;
+  }
+
+  /**
+   * sync(userId, { since, changes: { conversations: [record], notes: [record], profile: record } })
+   * - applies the client's changes, then returns everything stored after `since`
+   *   (minus what this call just accepted) and the cursor to send next time
+   */
+  function sync(userId, { since = null, changes = {} } = {}) {
+    const state = load(userId);
+    const applied = {};
+    const rejected = {};
+    const accepted = new Set();
+    let dirty = false;
+    for (const kind of SYNC_KINDS) {
+      applied[kind] = [];
+      rejected[kind] = [];
+      const incoming = kind === "profile" ? (changes.profile ? [changes.profile] : []) : (Array.isArray(changes[kind]) ? changes[kind] : []);
+      for (const record of incoming) {
+        const result = merge(state, kind, record);
+        if (result.applied) {
+          applied[kind].push(result.record.id);
+          accepted.add(`${kind}:${result.record.id}`);
+          dirty = true;
+        } else {
+          // stale edits come back in `changes` (the newer server copy); invalid ones are reported
+          rejected[kind].push(result.record ? result.record.id : String(record?.id ?? ""));
+        }
+      }
+    }
+    if (dirty) save(userId);
+
+    const out = {};
+    let cursor = since;
+    for (const kind of SYNC_KINDS) {
+      out[kind] = [];
+      for (const record of Object.values(state[kind])) {
+        if (!cursor || record.syncedAt > cursor) cursor = record.syncedAt;
+        const stale = rejected[kind].includes(record.id);
+        if ((!since || record.syncedAt > since || stale) && !accepted.has(`${kind}:${record.id}`)) out[kind].push(record);
+      }
+    }
+    return { applied, rejected, changes: out, cursor };
+  }
+
+  return { list, get, put, sync };
+}
@@ -0,0 +1,240 @@
+/* ----------------------
+   uploads.js - what may be uploaded and how stored uploads are handed back out
+   - accepted types by extension, each with a size limit per kind (UPLOAD_MAX_PDF_MB,
+     UPLOAD_MAX_IMAGE_MB, UPLOAD_MAX_TEXT_MB) and a content check: PDFs and images must start
+     with their magic bytes, text files must be UTF-8 without NUL bytes
+   - client file names are only kept for display, cleaned by safeFilename(); files on disk get
+     random temp names and then their content address (see blobs.js)
+   - stored files are served through /api/files/:id/content, either to their owner or to anyone
+     holding an expiring signed URL (HMAC-SHA256; FILE_URL_SECRET or a key kept in DATA_DIR)
+   ---------------------- */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const MB = 1024 * 1024;
+
+/* kind -> default limit (MB) and env override */
+const KIND_LIMITS = {
+  pdf: { env: "UPLOAD_MAX_PDF_MB", mb: 50 },
+  image: { env: "UPLOAD_MAX_IMAGE_MB", mb: 15 },
+  text: { env: "UPLOAD_MAX_TEXT_MB", mb: 5 }
+};
+
+const MAGIC = {
+  pdf: [Buffer.from("%PDF-")],
+  png: [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  jpeg: [Buffer.from([0xff, 0xd8, 0xff])]
+};
+
+/* extension -> { kind, mime, magic? } */
+export const UPLOAD_TYPES = {
+  ".pdf": { kind: "pdf", mime: "application/pdf", magic: MAGIC.pdf },
+  ".png": { kind: "image", mime: "image/png", magic: MAGIC.png },
+  ".jpg": { kind: "image", mime: "image/jpeg", magic: MAGIC.jpeg },
+  ".jpeg": { kind: "image", mime: "image/jpeg", magic: MAGIC.jpeg },
+  ".txt": { kind: "text", mime: "text/plain; charset=utf-8" },
+  ".md": { kind: "text", mime: "text/plain; charset=utf-8" },
+  ".csv": { kind: "text", mime: "text/csv; charset=utf-8" },
+  ".json": { kind: "text", mime: "application/json; charset=utf-8" }
+};
+
+/**
+ * UploadError - an upload refused by the policy (unsupported type 415, too large 413,
+ * content not matching its extension 415). `status` is the HTTP status to answer with.
+ */
+export class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "UploadError";
+    this.status = status;
+  }
+}
+
+/* bytes allowed for a kind */
+export function uploadLimit(kind, env = process.env) {
+  const spec = KIND_LIMITS[kind];
+  const mb = Number(env[spec.env]);
+  return Math.round((Number.isFinite(mb) && mb > 0 ? mb : spec.mb) * MB);
+}
+
+/* 52428800 -> "50 MB", 2097 -> "0.002 MB" */
+export function formatLimit(bytes) {
+  return `${Number((bytes / MB).toPrecision(3))} MB`;
+}
+
+/* the largest limit among `kinds` - what multer enforces while receiving */
+export function maxUploadBytes(kinds = Object.keys(KIND_LIMITS), env = process.env) {
+  return Math.max(...kinds.map(k => uploadLimit(k, env)));
+}
+
+export function uploadType(filename) {
+  return UPLOAD_TYPES[path.extname(String(filename || "")).toLowerCase()] || null;
+}
+
+/* extensions accepted for `kinds`, e.g. ".pdf, .png" */
+export function acceptedExtensions(kinds) {
+  return Object.entries(UPLOAD_TYPES).filter(([, t]) => kinds.includes(t.kind)).map(([ext]) => ext).join(", ");
+}
+
+/**
+ * safeFilename(name) -> a display name without directories, control or reserved characters
+ * - "..\\..\\evil<1>.pdf" -> "evil_1_.pdf"; at most 120 characters, extension kept
+ */
+export function safeFilename(name) {
+  let base = String(name || "").split(/[\\/]/).pop().normalize("NFKC");
+  base = base.replace(/[\u0000-\u001f\u007f<>:"|?*]+/g, "_").replace(/\s+/g, " ").replace(/^[.\s]+|[.\s]+$/g, "");
+  if (!base) return "file";
+  if (base.length > 120) {
+    const ext = path.extname(base).slice(0, 10);
+    base = base.slice(0, 120 - ext.length) + ext;
+  }
+  return base;
+}
+
+/* reject before the bytes arrive (multer fileFilter) */
+export function checkUploadName(originalName, kinds) {
+  const type = uploadType(originalName);
+  if (!type || !kinds.includes(type.kind)) {
+    throw new UploadError(`Unsupported file type "${path.extname(String(originalName || "")) || "none"}" - accepted: ${acceptedExtensions(kinds)}`, 415);
+  }
+  return type;
+}
+
+function readHead(filePath, bytes) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const buf = Buffer.alloc(bytes);
+    const n = fs.readSync(fd, buf, 0, bytes, 0);
+    return buf.subarray(0, n);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * verifyUpload({ path, originalname, size }, kinds)
+ * - the received file's per-kind size limit and its content against the extension;
+ *   throws UploadError, returns the upload type
+ */
+export function verifyUpload(file, kinds) {
+  const type = checkUploadName(file.originalname, kinds);
+  const limit = uploadLimit(type.kind);
+  if (file.size > limit) throw new UploadError(`${safeFilename(file.originalname)} is larger than the ${formatLimit(limit)} allowed for ${type.kind} files`, 413);
+  if (!file.size) throw new UploadError("The file is empty", 400);
+
+  const head = readHead(file.path, 8192);
+  if (type.magic) {
+    // PDFs may have a few junk bytes before the header
+    const window = type.kind === "pdf" ? head.subarray(0, 1024) : head.subarray(0, 16);
+    const ok = type.magic.some(m => (type.kind === "pdf" ? window.includes(m) : window.subarray(0, m.length).equals(m)));
+    if (!ok) throw new UploadError(`${safeFilename(file.originalname)} is not a valid ${type.mime.split(";")[0]} file`, 415);
+  } else {
+    const sample = head.length === 8192 ? head.subarray(0, lastCompleteChar(head)) : head;
+    let valid = !sample.includes(0);
+    if (valid) {
+      try {
+        new TextDecoder("utf-8", { fatal: true }).decode(sample);
+      } catch {
+        valid = false;
+      }
+    }
+    if (!valid) throw new UploadError(`${safeFilename(file.originalname)} does not look like a UTF-8 text file`, 415);
+  }
+  return type;
+}
+
+/* length of `buf` without a multi-byte UTF-8 character cut off at its end */
+function lastCompleteChar(buf) {
+  let i = buf.length - 1;
+  let back = 0;
+  while (i >= 0 && back < 4 && (buf[i] & 0xc0) === 0x80) { i--; back++; }
+  if (i < 0) return buf.length;
+  const lead = buf[i];
+  const need = lead >= 0xf0 ? 4 : lead >= 0xe0 ? 3 : lead >= 0xc0 ? 2 : 1;
+  return need > back + 1 ? i : buf.length;
+}
+
+/* "uploads\\abc.pdf" -> "uploads/abc.pdf" (meta files store POSIX paths on every platform) */
+export function toPosixPath(p) {
+  return String(p).split(path.sep).join("/").replace(/\\/g, "/");
+}
+
+/**
+ * createUrlSigner({ dataDir, secret, ttlSeconds })
+ * - sign(resource, { ttlSeconds }) -> { expires (unix seconds), sig }
+ * - verify(resource, expires, sig) -> boolean (false once expired)
+ * - stamp(value) -> "<value>.<sig>", signed without an expiry (anonymous browser ids)
+ * - unstamp(token) -> the value, or null when the signature does not match
+ */
+export function createUrlSigner({ dataDir, secret = process.env.FILE_URL_SECRET, ttlSeconds = 900 }) {
+  let key = secret;
+  if (!key) {
+    // a random key kept across restarts, so issued URLs stay valid until they expire
+    const keyPath = path.join(dataDir, "url-signing.key");
+    try {
+      key = fs.readFileSync(keyPath, "utf8").trim();
+    } catch {
+      key = crypto.randomBytes(32).toString("hex");
+      fs.writeFileSync(keyPath, key, { encoding: "utf8", mode: 0o600 });
+    }
+  }
+
+  function mac(resource, expires) {
+    return crypto.createHmac("sha256", key).update(`${resource}\n${expires}`).digest("base64url");
+  }
+
+  function sign(resource, opts = {}) {
+    const expires = Math.floor(Date.now() / 1000) + (opts.ttlSeconds || ttlSeconds);
+    return { expires, sig: mac(resource, expires) };
+  }
+
+  function verify(resource, expires, sig) {
+    const exp = Number(expires);
+    if (!Number.isInteger(exp) || exp < Date.now() / 1000 || typeof sig !== "string") return false;
+    const expected = Buffer.from(mac(resource, exp));
+    const given = Buffer.from(sig);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  // "id" in place of the expiry keeps these apart from URL signatures
+  function stamp(value) {
+    return `${value}.${mac(value, "id")}`;
+  }
+
+  function unstamp(token) {
+    const dot = String(token || "").lastIndexOf(".");
+    if (dot < 1) return null;
+    const value = token.slice(0, dot);
+    const expected = Buffer.from(mac(value, "id"));
+    const given = Buffer.from(token.slice(dot + 1));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? value : null;
+  }
+
+  return { sign, verify, stamp, unstamp, ttlSeconds };
+}
+
+/**
+ * normalizeMetaPaths(uploadDir) -> number of meta files rewritten
+ * - meta files written on Windows stored the upload's path with backslashes
+ *   ("uploads\\x.pdf"); they now hold "<UPLOAD_DIR>/<filename>" with forward slashes
+ */
+export function normalizeMetaPaths(uploadDir) {
+  let fixed = 0;
+  for (const name of fs.readdirSync(uploadDir).filter(n => n.endsWith(".meta.json"))) {
+    const metaPath = path.join(uploadDir, name);
+    try {
+      // "path" is one of the first keys - only read whole files that need the fix
+      if (!/"path":\s*"[^"]*\\\\/.test(readHead(metaPath, 2048).toString("utf8"))) continue;
+      const meta = JSON.parse(fs.readFileSync(metaPath, "utf8"));
+      meta.path = toPosixPath(path.join(uploadDir, meta.filename || name.slice(0, -".meta.json".length)));
+      fs.writeFileSync(metaPath + ".tmp", JSON.stringify(meta, null, 2), "utf8");
+      fs.renameSync(metaPath + ".tmp", metaPath);
+      fixed += 1;
+    } catch (e) {
+      console.warn(`Could not normalize ${name}:`, e?.message || e);
+    }
+  }
+  return fixed;
+}
@@ -1,26 +1,661 @@
-const http = require('http');
-
-const options = {
-  hostname: 'localhost',
-  port: 3000,
-  path: '/api/ping',
-  method: 'GET'
-};
-
-const req = http.request(options, (res) => {
-  let data = '';
-  res.on('data', (chunk) => { data += chunk; });
-  res.on('end', () => {
-    console.log('Backend /api/ping response:');
-    console.log('Status:', res.statusCode);
-    console.log('Data:', data);
-    process.exit(res.statusCode === 200 ? 0 : 1);
+/* ----------------------
+   test_backend.js - end-to-end test of the backend API, offline
+   Starts backend/server.js with AI_MOCK=replay (answers come from backend/fixtures), a throwaway
+   DATA_DIR / UPLOAD_DIR and a free port, walks every AI feature endpoint and checks the response
+   shapes, then the library, accounts, sync, quiz files and storage endpoints, including what
+   another user must not reach. Then stops the server. No API key or network access is needed.
+
+     node tools/test_backend.js                 (or: cd backend && npm test)
+     BACKEND_URL=http://localhost:3000 node tools/test_backend.js
+                                                 test a server that is already running
+                                                 (it must run with AI_MOCK=replay and the
+                                                 limits startServer() sets below)
+     node tools/test_backend.js --record        (or: cd backend && npm run fixtures:record)
+                                                 re-record the fixtures: the same walk with
+                                                 AI_MOCK=record against the providers configured
+                                                 in backend/.env; when every test passes, the newest
+                                                 recording of each endpoint replaces its
+                                                 backend/fixtures/<endpoint>/default.json
+   Exit code 0 when every test passed (skipped tests are reported as skips).
+   ---------------------- */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+
+const BACKEND_DIR = path.join(__dirname, '..', 'backend');
+const ADMIN_TOKEN = 'e2e-admin-token';
+// anonymous ids are issued (signed) by the server - set in main()
+let USER = null;
+let OTHER = null;
+const ADMIN = { 'x-admin-token': ADMIN_TOKEN };
+const START_TIMEOUT_MS = 20000;
+
+const RECORD = process.argv.includes('--record');
+
+let base = process.env.BACKEND_URL || null;
+let uploadDir = null; // only known for the server started here
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
   });
-});
+}
+
+/* empty values win over backend/.env (dotenv never overrides), so no real provider is used */
+const NO_LLM_KEYS = { GROQ_API_KEY: '', OPENAI_API_KEY: '', GEMINI_API_KEY: '', GOOGLE_API_KEY: '', LOCAL_LLM_URL: '' };
+
+/* spawn the server in mock replay (or record) mode; resolves once /api/ping answers */
+async function startServer() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mystudyai-e2e-'));
+  const port = await freePort();
+  const env = {
+    ...process.env,
+    PORT: String(port),
+    DATA_DIR: path.join(tmp, 'data'),
+    UPLOAD_DIR: path.join(tmp, 'uploads'),
+    AI_MOCK: RECORD ? 'record' : 'replay',
+    AI_MOCK_RECORD_DIR: path.join(tmp, 'fixtures'),
+    ADMIN_TOKEN,
+    ...(RECORD ? {} : NO_LLM_KEYS),
+    STABILITY_API_KEY: '',
+    EMBEDDINGS_BASE_URL: '', EMBEDDINGS_MODEL: '', AI_DAILY_TOKEN_BUDGET: '', AI_TOKEN_BUDGETS: '', UPLOAD_USER_QUOTA_MB: '',
+    // small enough to test: a 50 KB text limit, signed URLs valid for 1 s, GC only on demand and
+    // without a grace period, and no retention rule that would drop the test's uploads
+    UPLOAD_MAX_TEXT_MB: '0.05', FILE_URL_TTL_SECONDS: '1', FILE_URL_SECRET: '',
+    UPLOAD_GC_GRACE_MINUTES: '0', UPLOAD_GC_INTERVAL_MINUTES: '0', UPLOAD_GC_DELETE_UNKNOWN: '', UPLOAD_MAX_AGE_DAYS: '', UPLOAD_MAX_TOTAL_MB: ''
+  };
+  const child = spawn(process.execPath, ['server.js'], { cwd: BACKEND_DIR, env, stdio: ['ignore', 'pipe', 'pipe'] });
+  let log = '';
+  child.stdout.on('data', d => { log += d; });
+  child.stderr.on('data', d => { log += d; });
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`server exited with code ${child.exitCode}:\n${log}`);
+    try {
+      const res = await fetch(`${url}/api/ping`);
+      if (res.ok) return { url, child, tmp, log: () => log };
+    } catch {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  child.kill();
+  throw new Error(`server did not answer within ${START_TIMEOUT_MS} ms:\n${log}`);
+}
+
+async function api(method, route, body, headers = {}) {
+  const opts = { method, headers: { ...(USER ? { 'x-user-id': USER } : {}), ...headers } };
+  if (body instanceof FormData) opts.body = body;
+  else if (body !== undefined) {
+    opts.headers['content-type'] = 'application/json';
+    opts.body = JSON.stringify(body);
+  }
+  const res = await fetch(base + route, opts);
+  const text = await res.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // SSE or plain text
+  }
+  return { status: res.status, json, text, headers: res.headers };
+}
+
+const post = (route, body, headers) => api('POST', route, body, headers);
+const get = (route, headers) => api('GET', route, undefined, headers);
+
+function expectOk(res, status = 200) {
+  assert.strictEqual(res.status, status, `expected ${status}, got ${res.status}: ${res.text.slice(0, 300)}`);
+  assert.ok(res.json && res.json.ok, `expected ok: true, got ${res.text.slice(0, 300)}`);
+  return res.json;
+}
+
+/* a new guest, as the browser gets one */
+const anonymousId = async () => expectOk(await post('/api/auth/anonymous'), 201).userId;
+
+/* a test returns skip(reason) when it cannot run here */
+const skip = reason => ({ skipped: reason });
+/* tests of fixture content or of the mock providers themselves */
+const replayOnly = fn => () => (RECORD ? skip('replay only') : fn());
+
+const isStringList = v => Array.isArray(v) && v.every(x => typeof x === 'string');
+
+/* "event: x\ndata: {...}\n\n" -> [{ event, data }] */
+function parseSse(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const event = (block.match(/^event: (.*)$/m) || [])[1];
+    const data = (block.match(/^data: (.*)$/m) || [])[1];
+    return { event, data: data ? JSON.parse(data) : null };
+  });
+}
+
+function uploadForm(name, content, type = 'text/plain') {
+  const form = new FormData();
+  form.append('file', new Blob([content], { type }), name);
+  return form;
+}
+
+async function waitForJob(jobId) {
+  for (let i = 0; i < 80; i++) {
+    const { job } = expectOk(await get(`/api/jobs/${jobId}`));
+    if (job.status === 'done') return job;
+    if (job.status === 'failed') throw new Error(`job failed: ${job.error}`);
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`job ${jobId} did not finish`);
+}
+
+const NOTES = [
+  '# Newton\'s laws of motion',
+  '',
+  'The first law: a body stays at rest or in uniform motion unless a net force acts on it.',
+  'The second law: the net force equals mass times acceleration, F = m a. The unit of force is the newton.',
+  'The third law: every action has an equal and opposite reaction.',
+  '',
+  '## Worked example',
+  'A 2 kg trolley pushed with a net force of 10 N accelerates at 5 m/s^2.'
+].join('\n');
+
+/* shared between tests */
+const state = {};
+
+const tests = [
+  ['ping reports the mock provider', async () => {
+    const body = expectOk(await get('/api/ping'));
+    assert.strictEqual(body.mock, RECORD ? 'record' : 'replay');
+    if (!RECORD) assert.deepStrictEqual(body.providers.map(p => p.name), ['mock']);
+  }],
+
+  ['/api/ai answers from fixtures, then from the cache', async () => {
+    const first = expectOk(await post('/api/ai', { prompt: 'Explain Newton\'s second law', debugPrompt: true }));
+    if (!RECORD) assert.ok(first.text.includes('F = m a'), 'fixture text expected');
+    assert.strictEqual(first.cache, 'miss');
+    assert.strictEqual(first.prompt.mode, 'standard');
+    const again = expectOk(await post('/api/ai', { prompt: 'Explain Newton\'s second law', debugPrompt: true }));
+    assert.strictEqual(again.cache, 'hit');
+    assert.strictEqual(again.text, first.text);
+    assert.ok(!('raw' in first) && !('raw' in again), 'the provider payload stays on the server');
+    state.aiText = first.text;
+    assert.strictEqual((await post('/api/ai', { prompt: 'x', mode: 'essay' })).status, 400);
+  }],
+
+  ['/api/ai/stream streams the same answer', async () => {
+    const res = await post('/api/ai/stream', { prompt: 'Explain Newton\'s second law' });
+    assert.strictEqual(res.status, 200);
+    const events = parseSse(res.text);
+    assert.strictEqual(events[0].event, 'start');
+    const done = events.find(e => e.event === 'done');
+    assert.ok(done && done.data.usage.total_tokens > 0, 'done event with usage expected');
+    if (RECORD) return;
+    assert.strictEqual(events[0].data.provider, 'mock');
+    assert.strictEqual(events.filter(e => e.event === 'delta').map(e => e.data.text).join(''), state.aiText);
+  }],
+
+  ['/api/planner', async () => {
+    const res = expectOk(await post('/api/planner', { history: 'Physics 2h, Chemistry 1h', preferPomodoro: true }));
+    assert.ok(!('raw' in res), 'the provider payload stays on the server');
+    const { planner } = res;
+    assert.ok(planner.timers.length >= 1);
+    for (const t of planner.timers) assert.ok(typeof t.name === 'string' && Number.isInteger(t.durationMinutes) && Number.isInteger(t.startAfterMinutes));
+    assert.ok(isStringList(planner.motivationalLines));
+  }],
+
+  ['/api/syllabus', async () => {
+    const { syllabus } = expectOk(await post('/api/syllabus', { course: 'Mechanics', weeks: 4 }));
+    assert.ok(syllabus.syllabus.length >= 1 && syllabus.syllabus.every(s => typeof s.topic === 'string'));
+    assert.ok(syllabus.weeklySchedule.every(w => Number.isInteger(w.week) && isStringList(w.topics)));
+    assert.strictEqual((await post('/api/syllabus', {})).status, 400);
+  }],
+
+  ['/api/voice/start-quiz and /api/voice/evaluate', async () => {
+    const { quiz, sessionId } = expectOk(await post('/api/voice/start-quiz', { subject: 'Physics', count: 5 }));
+    assert.ok(quiz.length >= 1 && sessionId);
+    state.quiz = { sessionId, length: quiz.length };
+    const q = quiz[0];
+    const right = expectOk(await post('/api/voice/evaluate', { sessionId, questionIndex: 0, userAnswer: q.correctOption }));
+    assert.strictEqual(right.evaluation.grader, 'local');
+    assert.strictEqual(right.evaluation.score, 1);
+    // the session's answer key wins over one sent by the client
+    const wrong = quiz[1].correctOption === 'A' ? 'B' : 'A';
+    const forged = expectOk(await post('/api/voice/evaluate', { sessionId, questionIndex: 1, userAnswer: wrong, correctAnswer: wrong, question: 'Pick ' + wrong }));
+    assert.strictEqual(forged.evaluation.score, 0);
+    const free = expectOk(await post('/api/voice/evaluate', { question: 'What is inertia?', correctAnswer: 'Resistance to a change in motion', userAnswer: 'Something about mass' }));
+    assert.strictEqual(free.evaluation.grader, 'llm');
+    assert.ok(!('raw' in free) && !('raw' in free.evaluation));
+    assert.ok(free.evaluation.score >= 0 && free.evaluation.score <= 1);
+    assert.ok(isStringList(free.evaluation.hints));
+  }],
+
+  ['/api/topic-map', async () => {
+    const { map } = expectOk(await post('/api/topic-map', { topic: 'Newton\'s laws' }));
+    for (const key of ['prerequisites', 'whatToLearnNext', 'realWorldApplications', 'keyConcepts']) assert.ok(isStringList(map[key]), key);
+  }],
+
+  ['/api/knowledge-graph merges topic maps and marks quizzed topics', replayOnly(async () => {
+    // the topic map above was merged; the voice quiz answered a "Units" question
+    const { graph } = expectOk(await get('/api/knowledge-graph'));
+    const node = id => graph.nodes.find(n => n.id === id);
+    assert.ok(node('newtons-laws')?.exploredAt, 'mapped topic is explored');
+    assert.strictEqual(node('units-measurement')?.status, 'quizzed');
+    assert.ok(graph.edges.some(e => e.from === 'vectors' && e.to === 'newtons-laws' && e.relation === 'prerequisite'));
+
+    const again = expectOk(await post('/api/topic-map', { topic: 'newtons  Laws' }));
+    assert.strictEqual(again.nodeId, 'newtons-laws');
+    assert.deepStrictEqual(again.added, { nodes: 0, edges: 0 });
+
+    const removed = expectOk(await api('DELETE', '/api/knowledge-graph/nodes/vectors'));
+    assert.ok(!removed.graph.nodes.some(n => n.id === 'vectors') && !removed.graph.edges.some(e => e.from === 'vectors'));
+    assert.strictEqual(expectOk(await get('/api/knowledge-graph', OTHER)).graph.nodes.length, 0);
+  })],
+
+  ['/api/realtime-analyze', async () => {
+    const { analysis } = expectOk(await post('/api/realtime-analyze', { text: 'F = m a for a trolley' }));
+    assert.ok(isStringList(analysis.suggestedFormulas) && typeof analysis.predictedNextQuestion === 'string');
+  }],
+
+  ['/api/summarize-chat', async () => {
+    const { summary } = expectOk(await post('/api/summarize-chat', { messages: [{ from: 'user', text: 'What is F = m a?' }, { from: 'ai', text: state.aiText }] }));
+    for (const key of ['keyPoints', 'importantFormulas', 'revisionSheet']) assert.ok(isStringList(summary[key]), key);
+  }],
+
+  ['/api/assignment-check', async () => {
+    const { result } = expectOk(await post('/api/assignment-check', { text: 'Step 3: 10 / 2 = 20 so a = 20 m/s^2' }));
+    assert.ok(Array.isArray(result.incorrectMath) && result.incorrectMath.every(m => typeof m.correction === 'string'));
+  }],
 
-req.on('error', (err) => {
-  console.error('Backend error:', err.message);
+  ['/api/upload stores and analyzes a document', async () => {
+    const upload = expectOk(await post('/api/upload', uploadForm('newton.md', NOTES, 'text/markdown')), 202);
+    const job = await waitForJob(upload.jobId);
+    assert.ok(job.result.meta.chunkCount >= 1, 'chunks expected');
+    assert.strictEqual(job.result.meta.chunks, undefined, 'job results carry no chunk text');
+    assert.ok(typeof job.result.aiResponse === 'string' && job.result.aiResponse.length > 0, 'analysis expected');
+    state.ref = upload.ref;
+    state.filename = job.result.meta.filename;
+    state.jobId = upload.jobId;
+  }],
+
+  ['/api/upload refuses oversized, mislabelled and non-UTF-8 files', async () => {
+    const cases = [
+      ['big.txt', 'x'.repeat(60 * 1024), 413], // over UPLOAD_MAX_TEXT_MB
+      ['photo.png', 'not really a PNG', 415],
+      ['scan.pdf', 'plain text, no %PDF header', 415],
+      ['latin1.txt', Buffer.from([0x46, 0x20, 0xe9, 0x20, 0x6d, 0x61]), 415],
+      ['nul.md', Buffer.from([0x23, 0x00, 0x41]), 415],
+      ['program.exe', 'MZ', 415]
+    ];
+    for (const [name, content, status] of cases) {
+      const res = await post('/api/upload', uploadForm(name, content, 'application/octet-stream'));
+      assert.strictEqual(res.status, status, `${name}: ${res.text.slice(0, 200)}`);
+      assert.strictEqual(res.json.ok, false);
+    }
+    const { files } = expectOk(await get('/api/files'));
+    assert.deepStrictEqual(files.map(f => f.id), [state.ref.id], 'refused uploads are not stored');
+  }],
+
+  ['an upload deleted right after it was stored is still processed, then its blob goes', async () => {
+    const text = `${NOTES}\n\nCopy kept only briefly.\n`;
+    const upload = expectOk(await post('/api/upload', uploadForm('brief.md', text, 'text/markdown')), 202);
+    const { freed } = expectOk(await api('DELETE', `/api/files/${upload.ref.id}`));
+    assert.strictEqual(freed, true);
+    const job = await waitForJob(upload.jobId);
+    assert.strictEqual(job.status, 'done');
+    if (uploadDir) assert.ok(!fs.readdirSync(uploadDir).some(n => n.startsWith(upload.ref.sha256)), 'blob deleted once the job ended');
+  }],
+
+  ['/api/jobs are visible to the uploader only', async () => {
+    expectOk(await get(`/api/jobs/${state.jobId}`));
+    assert.strictEqual((await get(`/api/jobs/${state.jobId}`, OTHER)).status, 404);
+    assert.strictEqual((await get(`/api/jobs/${state.jobId}/events`, OTHER)).status, 404);
+    assert.strictEqual((await get('/api/jobs/no-such-job')).status, 404);
+  }],
+
+  ['/api/file-qa cites the document', async () => {
+    const qa = expectOk(await post('/api/file-qa', { question: 'What is the second law?', fileIds: [state.ref.id] }));
+    assert.ok(typeof qa.text === 'string' && qa.text.length > 0);
+    assert.ok(Array.isArray(qa.citations) && qa.citations.length >= 1, 'citations expected');
+    expectOk(await post('/api/file-qa', { question: 'What is the second law?', fileFilename: state.filename }));
+  }],
+
+  ['/api/file-quiz builds a quiz session', async () => {
+    const body = expectOk(await post('/api/file-quiz', { fileId: state.ref.id, counts: { mcq: 2, tf: 1, short: 1 }, seed: 7 }));
+    assert.strictEqual(body.quiz.mcq.length, 2);
+    assert.strictEqual(body.quiz.tf.length, 1);
+    assert.strictEqual(body.quiz.short.length, 1);
+    assert.ok(body.quiz.mcq.every(q => q.options.length >= 2 && typeof q.answer === 'string'));
+    assert.ok(body.sessionId);
+  }],
+
+  ['/api/file-qa and /api/file-quiz read only the caller\'s own uploads', async () => {
+    const question = 'What is the second law?';
+    const quiz = { counts: { mcq: 1, tf: 0, short: 0 } };
+    for (const name of ['../data/url-signing.key', '/etc/passwd', `../uploads/${state.filename}`, `./${state.filename}`]) {
+      assert.strictEqual((await post('/api/file-qa', { question, fileFilename: name })).status, 404, name);
+      assert.strictEqual((await post('/api/file-qa', { question, fileFilenames: [state.filename, name] })).status, 404, name);
+      assert.strictEqual((await post('/api/file-quiz', { ...quiz, fileFilename: name })).status, 404, name);
+    }
+    // another user knows the stored filename and the library id
+    assert.strictEqual((await post('/api/file-qa', { question, fileFilename: state.filename }, OTHER)).status, 404);
+    assert.strictEqual((await post('/api/file-qa', { question, fileIds: [state.ref.id] }, OTHER)).status, 404);
+    assert.strictEqual((await post('/api/file-quiz', { ...quiz, fileFilename: state.filename }, OTHER)).status, 404);
+    assert.strictEqual((await post('/api/file-quiz', { ...quiz, fileId: state.ref.id }, OTHER)).status, 404);
+  }],
+
+  ['anonymous ids count only as the server signed them', async () => {
+    const bare = USER.slice(0, USER.lastIndexOf('.'));
+    const forged = `${bare}.${'A'.repeat(43)}`;
+    for (const id of [bare, forged, 'e2e-user']) {
+      assert.strictEqual(expectOk(await get('/api/files', { 'x-user-id': id })).files.length, 0, id);
+    }
+    const thief = expectOk(await post('/api/auth/register', { username: 'e2e-thief', password: 'correct horse', claimUserId: forged }), 201);
+    assert.strictEqual(thief.claimed, 0);
+    assert.deepStrictEqual(expectOk(await get('/api/files')).files.map(f => f.id), [state.ref.id]);
+  }],
+
+  ['/api/files lists, edits and serves only the caller\'s documents', async () => {
+    const route = `/api/files/${state.ref.id}`;
+    const { files } = expectOk(await get('/api/files'));
+    assert.deepStrictEqual(files.map(f => [f.id, f.status]), [[state.ref.id, 'ready']]);
+    assert.strictEqual(expectOk(await get('/api/files', OTHER)).files.length, 0);
+
+    const { file } = expectOk(await api('PATCH', route, { name: 'Newton notes', subject: 'Physics', tags: ['mechanics', 'mechanics'] }));
+    assert.deepStrictEqual([file.name, file.subject, file.tags], ['Newton notes', 'Physics', ['mechanics']]);
+    assert.strictEqual(expectOk(await get('/api/files?tag=mechanics&q=newton')).files.length, 1);
+    assert.strictEqual((await api('PATCH', route, { tags: 'mechanics' })).status, 400);
+    assert.ok(expectOk(await get(route)).file.outline, 'detail expected');
+    assert.strictEqual((await get(`${route}/content`)).text, NOTES);
+
+    for (const [method, path, body] of [['GET', ''], ['GET', '/content'], ['GET', '/url'], ['PATCH', '', { name: 'Mine now' }], ['DELETE', '']]) {
+      assert.strictEqual((await api(method, route + path, body, OTHER)).status, 404, `${method} ${path} by another user`);
+    }
+    assert.strictEqual((await get('/api/files/no-such-file')).status, 404);
+    assert.strictEqual((await api('DELETE', '/api/files/no-such-file')).status, 404);
+  }],
+
+  ['signed file URLs work without credentials until they expire', async () => {
+    const { url, expiresAt } = expectOk(await get(`/api/files/${state.ref.id}/url`));
+    const open = await fetch(base + url); // no user header
+    assert.strictEqual(open.status, 200);
+    assert.strictEqual(await open.text(), NOTES);
+    assert.strictEqual((await fetch(base + url.replace(/sig=[^&]+/, 'sig=forged'))).status, 403);
+    assert.strictEqual((await fetch(base + url.replace(/expires=\d+/, m => `${m}9`))).status, 403);
+    assert.strictEqual((await fetch(base + url.replace(/files\/[^/]+/, 'files/another-id'))).status, 403);
+    // FILE_URL_TTL_SECONDS=1
+    await new Promise(resolve => setTimeout(resolve, Math.max(0, Date.parse(expiresAt) - Date.now()) + 200));
+    assert.strictEqual((await fetch(base + url)).status, 403);
+  }],
+
+  ['/api/collections group the caller\'s documents for file-qa', async () => {
+    const { collection } = expectOk(await post('/api/collections', { name: 'Mechanics', fileIds: [state.ref.id] }), 201);
+    assert.deepStrictEqual(collection.files.map(f => f.id), [state.ref.id]);
+    assert.strictEqual((await post('/api/collections', { name: 'Theirs', fileIds: [state.ref.id] }, OTHER)).status, 400);
+    assert.strictEqual((await post('/api/collections', { name: ' ' })).status, 400);
+
+    const qa = expectOk(await post('/api/file-qa', { question: 'What is the second law?', collectionId: collection.id }));
+    assert.ok(qa.citations.length >= 1, 'citations expected');
+    const route = `/api/collections/${collection.id}`;
+    for (const [method, body] of [['GET'], ['PATCH', { name: 'Mine now' }], ['DELETE']]) {
+      assert.strictEqual((await api(method, route, body, OTHER)).status, 404, `${method} by another user`);
+    }
+    assert.strictEqual((await post('/api/file-qa', { question: 'What is the second law?', collectionId: collection.id }, OTHER)).status, 404);
+    assert.strictEqual(expectOk(await get('/api/collections', OTHER)).collections.length, 0);
+
+    const renamed = expectOk(await api('PATCH', route, { name: 'Forces', removeFileIds: [state.ref.id] })).collection;
+    assert.deepStrictEqual([renamed.name, renamed.files.length], ['Forces', 0]);
+    assert.strictEqual((await post('/api/file-qa', { question: 'What is the second law?', collectionId: collection.id })).status, 400);
+    expectOk(await api('DELETE', route));
+    assert.strictEqual((await get(route)).status, 404);
+    expectOk(await get(`/api/files/${state.ref.id}`)); // the document stays in the library
+  }],
+
+  ['/api/flashcards/generate', async () => {
+    const { cards } = expectOk(await post('/api/flashcards/generate', { source: { type: 'note', text: NOTES }, count: 3 }), 201);
+    assert.strictEqual(cards.length, 3);
+    assert.ok(cards.every(c => typeof c.front === 'string' && typeof c.back === 'string'));
+  }],
+
+  ['/api/quiz-export and /api/quiz-import round-trip a quiz session', async () => {
+    const { sessionId, length } = state.quiz;
+    const gift = await post('/api/quiz-export', { format: 'gift', sessionId });
+    assert.strictEqual(gift.status, 200);
+    assert.match(gift.headers.get('content-type'), /^text\/plain/);
+    assert.match(gift.headers.get('content-disposition'), /attachment; filename=".*\.gift\.txt"/);
+    const qti = await post('/api/quiz-export', { format: 'qti', sessionId });
+    assert.strictEqual(qti.headers.get('content-type'), 'application/zip');
+    assert.ok(qti.text.startsWith('PK'), 'zip expected');
+    const anki = await post('/api/quiz-export', { format: 'anki', sessionId });
+    assert.match(anki.headers.get('content-type'), /^text\/csv/);
+    assert.strictEqual((await post('/api/quiz-export', { format: 'gift', sessionId }, OTHER)).status, 404);
+    assert.strictEqual((await post('/api/quiz-export', { format: 'docx', sessionId })).status, 400);
+
+    for (const [format, file] of [['gift', gift], ['anki', anki]]) {
+      const imported = expectOk(await post('/api/quiz-import', { text: file.text, title: 'Re-imported' }), 201);
+      assert.strictEqual(imported.format, format);
+      assert.strictEqual(imported.questions.length, length, `${format} questions`);
+      assert.strictEqual(expectOk(await get(`/api/quiz-sessions/${imported.sessionId}`)).session.subject, 'Re-imported');
+      assert.strictEqual((await get(`/api/quiz-sessions/${imported.sessionId}`, OTHER)).status, 404);
+    }
+    assert.strictEqual((await post('/api/quiz-import', { text: 'no questions in here' })).status, 400);
+    assert.strictEqual((await post('/api/quiz-import', { text: gift.text, format: 'qti' })).status, 400);
+  }],
+
+  ['accounts: register, claim what a guest made, sign in and sync', async () => {
+    const guest = { 'x-user-id': await anonymousId() };
+    // what the browser made before signing in
+    const upload = expectOk(await post('/api/upload', uploadForm('guest.md', NOTES, 'text/markdown'), guest)); // same bytes: deduplicated
+    assert.ok(upload.deduplicated && upload.meta.chunkCount >= 1, 'a duplicate answers with the stored meta');
+    assert.strictEqual(upload.meta.chunks, undefined, 'a duplicate carries no chunk text either');
+    const { collection } = expectOk(await post('/api/collections', { name: 'Guest set', fileIds: [upload.ref.id] }, guest), 201);
+    const { card } = expectOk(await post('/api/flashcards', { front: 'F = ?', back: 'm a', deck: 'Guest deck' }, guest), 201);
+    const quiz = expectOk(await post('/api/quiz-import', { text: '::Sum:: 2 + 2 = ? {=4 ~3 ~5}', title: 'Guest quiz' }, guest), 201);
+    expectOk(await post(`/api/quiz-sessions/${quiz.sessionId}/answers`, { questionIndex: 0, userAnswer: '4' }, guest));
+    const topicMap = expectOk(await post('/api/topic-map', { topic: 'Momentum' }, guest));
+    const image = RECORD ? null : expectOk(await post('/api/image', { prompt: 'a trolley on a slope', conversationId: 'guest-chat' }, guest)).image;
+    expectOk(await post('/api/ai', { prompt: 'What is momentum?', conversationId: 'guest-chat' }, guest)); // logged server-side
+    const owned = async headers => ({
+      files: expectOk(await get('/api/files', headers)).files.map(f => f.id),
+      collections: expectOk(await get('/api/collections', headers)).collections.map(c => c.id),
+      cards: expectOk(await get('/api/flashcards', headers)).cards.map(c => c.id),
+      sessions: expectOk(await get('/api/quiz-sessions', headers)).sessions.map(s => s.id),
+      answered: expectOk(await get('/api/progress', headers)).progress.topics.reduce((n, t) => n + t.answered, 0),
+      nodes: expectOk(await get('/api/knowledge-graph', headers)).graph.nodes.map(n => n.id).sort(),
+      images: expectOk(await get('/api/images', headers)).images.map(i => i.id)
+    });
+    const made = {
+      files: [upload.ref.id], collections: [collection.id], cards: [card.id], sessions: [quiz.sessionId], answered: 1,
+      nodes: topicMap.graph.nodes.map(n => n.id).sort(), images: image ? [image.id] : []
+    };
+    assert.deepStrictEqual(await owned(guest), made);
+
+    const reg = expectOk(await post('/api/auth/register', { username: 'E2E-Student', password: 'correct horse', claimUserId: guest['x-user-id'] }), 201);
+    assert.deepStrictEqual([reg.user.username, reg.magic], ['e2e-student', false]);
+    // the upload, collection, card, quiz session and conversation log, the graph's nodes and the image
+    assert.strictEqual(reg.claimed, 5 + made.nodes.length + made.images.length);
+    assert.strictEqual((await post('/api/auth/register', { username: 'e2e-student', password: 'another one' })).status, 409);
+    assert.strictEqual((await post('/api/auth/register', { username: 'x', password: 'correct horse' })).status, 400);
+    assert.strictEqual((await post('/api/auth/login', { username: 'e2e-student', password: 'wrong horse' })).status, 401);
+    const { token } = expectOk(await post('/api/auth/login', { username: 'e2e-student', password: 'correct horse' }));
+    const auth = t => ({ authorization: `Bearer ${t}` });
+    assert.strictEqual(expectOk(await get('/api/auth/me', auth(token))).user.id, reg.user.id);
+    assert.deepStrictEqual(await owned(auth(token)), made);
+    assert.deepStrictEqual(await owned(guest), { files: [], collections: [], cards: [], sessions: [], answered: 0, nodes: [], images: [] });
+    // the account continues the guest's conversation with its server-side context
+    assert.strictEqual(expectOk(await post('/api/ai', { prompt: 'And impulse?', conversationId: 'guest-chat' }, auth(token))).context.turns, 2);
+    assert.strictEqual(expectOk(await post('/api/ai', { prompt: 'And impulse?', conversationId: 'guest-chat' }, guest)).context.turns, 0);
+
+    // one device edits a note; a stale edit of it is refused
+    const edited = '2026-01-02T00:00:00.000Z';
+    expectOk(await api('PUT', '/api/notes/n1', { data: { text: 'F = m a' }, updatedAt: edited }, auth(token)));
+    const stale = await api('PUT', '/api/notes/n1', { data: { text: 'old' }, updatedAt: '2026-01-01T00:00:00.000Z' }, auth(token));
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.json.record.data.text, 'F = m a');
+    // a second device pulls it and pushes a conversation
+    const device = expectOk(await post('/api/auth/token', undefined, auth(token)), 201).token;
+    const first = expectOk(await post('/api/sync', { changes: { conversations: [{ id: 'c1', updatedAt: edited, data: { title: 'Forces' } }] } }, auth(device)));
+    assert.deepStrictEqual(first.applied.conversations, ['c1']);
+    assert.deepStrictEqual(first.changes.notes.map(r => [r.id, r.data.text]), [['n1', 'F = m a']]);
+    const next = expectOk(await post('/api/sync', { since: first.cursor, changes: {} }, auth(token)));
+    assert.ok(Object.values(next.changes).every(list => list.length === 0), 'nothing new since the cursor');
+    assert.deepStrictEqual(expectOk(await get('/api/conversations', auth(token))).conversations.map(r => r.id), ['c1']);
+    assert.strictEqual((await post('/api/sync', { since: 'yesterday' }, auth(token))).status, 400);
+
+    // nothing of the account without its token
+    assert.strictEqual((await post('/api/sync', { changes: {} })).status, 401);
+    assert.strictEqual((await get('/api/notes/n1', { 'x-user-id': reg.user.id })).status, 401);
+    expectOk(await post('/api/auth/logout', undefined, auth(device)));
+    assert.strictEqual((await get('/api/auth/me', auth(device))).status, 401);
+    expectOk(await get('/api/auth/me', auth(token)));
+  }],
+
+  ['/api/ocr-beautify', async () => {
+    // a 1x1 PNG; the OCR itself needs the tesseract binary, the rest comes from the fixture
+    const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+    const form = new FormData();
+    form.append('file', new Blob([png], { type: 'image/png' }), 'page.png');
+    const res = await post('/api/ocr-beautify', form);
+    if (res.status === 500 && /OCR failed/.test(res.json?.error || '')) return skip('tesseract not installed');
+    const { result } = expectOk(res);
+    assert.ok(typeof result.cleanedNotes === 'string' && Array.isArray(result.corrections));
+  }],
+
+  ['/api/image stores a resized PNG with a thumbnail', replayOnly(async () => {
+    const { url, thumbUrl, image } = expectOk(await post('/api/image', { prompt: 'a labelled diagram of a plant cell', size: '512x384', style: 'diagram', conversationId: 'e2e-chat' }));
+    assert.strictEqual(image.provider, 'mock');
+    for (const [route, width, height] of [[url, 512, 384], [thumbUrl, 256, 192]]) {
+      const res = await fetch(base + route);
+      assert.strictEqual(res.headers.get('content-type'), 'image/png');
+      const png = Buffer.from(await res.arrayBuffer());
+      assert.deepStrictEqual([png.readUInt32BE(16), png.readUInt32BE(20)], [width, height], `${route} size`);
+    }
+    const { images } = expectOk(await get('/api/images?conversationId=e2e-chat'));
+    assert.deepStrictEqual(images.map(i => i.id), [image.id]);
+    assert.strictEqual(expectOk(await get('/api/images?conversationId=e2e-chat', OTHER)).images.length, 0);
+    assert.strictEqual((await post('/api/image', { prompt: 'x', size: '99999x2' })).status, 400);
+    expectOk(await api('DELETE', `/api/images/${image.id}`));
+    assert.strictEqual((await fetch(base + url)).status, 404);
+  })],
+
+  ['/api/admin/storage/gc deletes orphans and keeps referenced and unknown files', async () => {
+    if (!uploadDir) return skip('needs the UPLOAD_DIR of a server started here');
+    const planted = {
+      [`${'a'.repeat(64)}.txt`]: 'a blob nobody references',
+      [`${'b'.repeat(64)}.pdf.meta.json`]: '{}', // extraction of a deleted upload
+      'upload-1700000000000-0a1b2c': 'half-received multer temp file',
+      'old-screenshot.png': 'a file from before content addressing, without a meta'
+    };
+    const past = new Date(Date.now() - 60000);
+    for (const [name, content] of Object.entries(planted)) {
+      fs.writeFileSync(path.join(uploadDir, name), content);
+      fs.utimesSync(path.join(uploadDir, name), past, past);
+    }
+    const present = () => Object.keys(planted).filter(name => fs.existsSync(path.join(uploadDir, name)));
+
+    assert.strictEqual((await get('/api/admin/storage')).status, 403);
+    assert.strictEqual((await post('/api/admin/storage/gc', {})).status, 403);
+    const { storage } = expectOk(await get('/api/admin/storage', ADMIN));
+    assert.strictEqual(storage.orphans.files, 3);
+    assert.deepStrictEqual(storage.unknown.names, ['old-screenshot.png']);
+    assert.strictEqual(storage.policy.deleteUnknown, false);
+
+    const dry = expectOk(await post('/api/admin/storage/gc', { dryRun: true }, ADMIN)).result;
+    assert.deepStrictEqual([dry.dryRun, dry.orphans, dry.unknown], [true, 3, 1]);
+    assert.strictEqual(present().length, 4, 'a dry run deletes nothing');
+
+    const { result } = expectOk(await post('/api/admin/storage/gc', {}, ADMIN));
+    assert.deepStrictEqual([result.orphans, result.unknown, result.unknownDeleted], [3, 1, 0]);
+    assert.ok(result.freedBytes > 0);
+    assert.deepStrictEqual(present(), ['old-screenshot.png']);
+    assert.ok(fs.existsSync(path.join(uploadDir, state.filename)), 'referenced upload kept');
+    assert.strictEqual((await get(`/api/files/${state.ref.id}/content`)).text, NOTES);
+    assert.strictEqual(expectOk(await get('/api/admin/storage', ADMIN)).storage.orphans.files, 0);
+  }],
+
+  ['/api/metrics counts the mock calls', async () => {
+    const { metrics } = expectOk(await get('/api/metrics?format=json', ADMIN));
+    assert.ok(metrics.endpoints.ai.requests >= 1 && metrics.endpoints.ai.cacheHits >= 1);
+    if (!RECORD) assert.ok(metrics.endpoints.ai.models.some(m => m.provider === 'mock'));
+  }]
+];
+
+/* --record: the newest recording of each endpoint becomes its bundled default.json */
+function promoteRecordings(dir) {
+  const promoted = [];
+  for (const endpoint of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+    const newest = fs.readdirSync(path.join(dir, endpoint))
+      .filter(n => n.endsWith('.json'))
+      .map(n => JSON.parse(fs.readFileSync(path.join(dir, endpoint, n), 'utf8')))
+      .sort((a, b) => String(b.recordedAt).localeCompare(String(a.recordedAt)))[0];
+    if (!newest) continue;
+    const target = path.join(BACKEND_DIR, 'fixtures', endpoint);
+    fs.mkdirSync(target, { recursive: true });
+    fs.writeFileSync(path.join(target, 'default.json'), JSON.stringify(newest, null, 2) + '\n', 'utf8');
+    promoted.push(endpoint);
+  }
+  return promoted;
+}
+
+async function main() {
+  if (RECORD && base) throw new Error('--record starts its own server; unset BACKEND_URL');
+  let server = null;
+  if (!base) {
+    server = await startServer();
+    base = server.url;
+    uploadDir = path.join(server.tmp, 'uploads');
+  }
+  USER = await anonymousId();
+  OTHER = { 'x-user-id': await anonymousId() };
+  console.log(`Testing ${base}${server ? ` (AI_MOCK=${RECORD ? 'record' : 'replay'})` : ''}`);
+
+  let failed = 0;
+  let skipped = 0;
+  for (const [name, fn] of tests) {
+    try {
+      const result = await fn();
+      if (result && result.skipped) {
+        skipped += 1;
+        console.log(`  skip  ${name} - ${result.skipped}`);
+      } else {
+        console.log(`  ok    ${name}`);
+      }
+    } catch (err) {
+      failed += 1;
+      console.log(`  FAIL  ${name}\n        ${String(err && err.message || err).split('\n').join('\n        ')}`);
+    }
+  }
+
+  if (server) {
+    server.child.kill();
+    if (failed) console.log(`\nServer log:\n${server.log()}`);
+    const recordings = path.join(server.tmp, 'fixtures');
+    if (RECORD && failed) {
+      console.log(`\nNot promoting the recordings of a failed run; they are in ${recordings}`);
+    } else {
+      if (RECORD) {
+        const promoted = promoteRecordings(recordings);
+        const bundled = fs.readdirSync(path.join(BACKEND_DIR, 'fixtures'));
+        console.log(`\nRecorded default.json for: ${promoted.join(', ') || '(none)'}`);
+        const unchanged = bundled.filter(e => !promoted.includes(e));
+        if (unchanged.length) console.log(`Not exercised, left as they were: ${unchanged.join(', ')}`);
+      }
+      fs.rmSync(server.tmp, { recursive: true, force: true });
+    }
+  }
+  console.log(`\n${tests.length - failed - skipped} passed, ${skipped} skipped, ${failed} failed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Backend e2e error:', err && err.message || err);
   process.exit(1);
 });
-
-req.end();